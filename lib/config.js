@@ -0,0 +1,281 @@
+// lib/config.js
+// Layered configuration shared by the indexers and the TUI. Each option is
+// resolved from, lowest to highest precedence:
+//   1. the schema default
+//   2. a JSON config file (--config <path> or CONFIG_FILE), keyed by option name
+//   3. its environment variable(s)
+//   4. its CLI flag (--batch-size 50 or --batch-size=50)
+// A schema maps option names to
+//   { type, default, env, flag, description, required, min, max, values, item,
+//     parse(value), validate(value, config) }
+// type is string, integer, number, boolean or list (comma separated, or an
+// array in the file; item gives the element type). flag defaults to the
+// kebab-cased name. parse replaces the type's own parsing and throws on bad
+// input; validate returns an error message or null once every option is set.
+import fs from "fs";
+import { NETWORK_URLS } from "./networks.js";
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((error) => `  ${error}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+const kebabCase = (name) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+const flagOf = (name, option) => option.flag ?? kebabCase(name);
+const envNames = (option) => [].concat(option.env ?? []);
+
+function parseScalar(type, value) {
+  switch (type) {
+    case "string":
+      if (typeof value !== "string") throw new Error("must be a string");
+      return value;
+    case "integer": {
+      const number = typeof value === "number" ? value : value.trim() === "" ? NaN : Number(value);
+      if (!Number.isSafeInteger(number)) throw new Error("must be an integer");
+      return number;
+    }
+    case "number": {
+      const number = typeof value === "number" ? value : value.trim() === "" ? NaN : Number(value);
+      if (!Number.isFinite(number)) throw new Error("must be a number");
+      return number;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (/^(true|1|yes)$/i.test(value)) return true;
+      if (/^(false|0|no)$/i.test(value)) return false;
+      throw new Error("must be true or false");
+    default:
+      throw new Error(`has unknown type ${type}`);
+  }
+}
+
+function parseValue(option, value) {
+  if (option.parse) return option.parse(value);
+  let parsed;
+  if (option.type === "list") {
+    const items = Array.isArray(value) ? value : String(value).split(",").map((item) => item.trim()).filter(Boolean);
+    parsed = items.map((item) => parseScalar(option.item || "string", item));
+  } else {
+    parsed = parseScalar(option.type || "string", value);
+  }
+  for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+    if (option.values && !option.values.includes(item)) throw new Error(`must be one of ${option.values.join(", ")}`);
+    if (option.min !== undefined && item < option.min) throw new Error(`must be at least ${option.min}`);
+    if (option.max !== undefined && item > option.max) throw new Error(`must be at most ${option.max}`);
+  }
+  return parsed;
+}
+
+// Splits argv into config flags and everything else (the command and its own
+// flags), which is passed through untouched
+function splitArgs(schema, argv) {
+  const byFlag = new Map(Object.entries(schema).map(([name, option]) => [flagOf(name, option), name]));
+  const flags = {};
+  const rest = [];
+  let configFile;
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      rest.push(argv[i]);
+      continue;
+    }
+    const [, flag, inline] = match;
+    if (flag === "config") {
+      configFile = inline ?? argv[++i];
+    } else if (byFlag.has(flag)) {
+      const name = byFlag.get(flag);
+      // A boolean flag on its own means true
+      const bare = inline === undefined && schema[name].type === "boolean" && (argv[i + 1] === undefined || argv[i + 1].startsWith("--"));
+      flags[name] = bare ? "true" : inline ?? argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  return { flags, rest, configFile };
+}
+
+// Resolves the schema against a file, the environment and argv. Throws a
+// ConfigError listing every problem at once. Scripts without commands pass
+// allowArgs: false so that anything besides their options is an error.
+export function parseConfig(schema, { argv = [], env = {}, allowArgs = true } = {}) {
+  const { flags, rest, configFile: fileFlag } = splitArgs(schema, argv);
+  const errors = [];
+  if (!allowArgs && rest.length > 0) {
+    errors.push(`unknown option(s) or argument(s): ${rest.join(" ")} (run with --help to list the options)`);
+  }
+  const configFile = fileFlag ?? env.CONFIG_FILE;
+  let file = {};
+  if (configFile) {
+    try {
+      file = JSON.parse(fs.readFileSync(configFile, "utf8"));
+      if (!file || typeof file !== "object" || Array.isArray(file)) throw new Error("must contain a JSON object");
+    } catch (error) {
+      throw new ConfigError([`config file ${configFile}: ${error.message}`]);
+    }
+    for (const key of Object.keys(file)) {
+      if (!schema[key]) errors.push(`config file ${configFile}: unknown option "${key}"`);
+    }
+  }
+
+  const config = {};
+  for (const [name, option] of Object.entries(schema)) {
+    const envName = envNames(option).find((candidate) => env[candidate] !== undefined && env[candidate] !== "");
+    const layers = [
+      flags[name] !== undefined && { value: flags[name], source: `--${flagOf(name, option)}` },
+      envName && { value: env[envName], source: envName },
+      file[name] !== undefined && { value: file[name], source: `${name} in ${configFile}` },
+    ].filter(Boolean);
+
+    if (layers.length === 0) {
+      config[name] = typeof option.default === "function" ? option.default() : option.default;
+      if (option.required && config[name] === undefined) {
+        const sources = [`--${flagOf(name, option)}`, ...envNames(option)].join(" or ");
+        errors.push(`${name} is required (set ${sources}${configFile ? ` or "${name}" in ${configFile}` : ""})`);
+      }
+      continue;
+    }
+    try {
+      config[name] = parseValue(option, layers[0].value);
+    } catch (error) {
+      errors.push(`${layers[0].source} ${error.message} (got ${JSON.stringify(layers[0].value)})`);
+    }
+  }
+
+  // Cross-option checks only make sense once every option parsed
+  if (errors.length === 0) {
+    for (const [name, option] of Object.entries(schema)) {
+      const message = option.validate?.(config[name], config);
+      if (message) errors.push(`${name}: ${message}`);
+    }
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+  return { config, args: rest };
+}
+
+export function formatHelp(schema, usage) {
+  const rows = Object.entries(schema).map(([name, option]) => {
+    const flag = `--${flagOf(name, option)} <${option.type === "list" ? `${option.item || "string"},...` : option.type || "string"}>`;
+    const env = envNames(option).join(", ");
+    const fallback = typeof option.default === "function" ? undefined : option.default;
+    const defaultText = fallback === undefined ? "" : ` (default: ${Array.isArray(fallback) ? fallback.join(",") : fallback})`;
+    return { flag, env, text: `${option.description || name}${defaultText}` };
+  });
+  const flagWidth = Math.max(...rows.map((row) => row.flag.length));
+  const envWidth = Math.max(...rows.map((row) => row.env.length));
+  return [
+    usage,
+    "",
+    "Options can also come from a JSON file (--config <path> or CONFIG_FILE) keyed by option name.",
+    "Precedence: flags, then environment variables, then the config file, then defaults.",
+    "",
+    ...rows.map((row) => `  ${row.flag.padEnd(flagWidth)}  ${row.env.padEnd(envWidth)}  ${row.text}`),
+  ].join("\n");
+}
+
+// parseConfig for a script's entry point: prints --help or the errors and exits
+export function loadConfig(schema, { usage, argv = process.argv.slice(2), env = process.env, allowArgs } = {}) {
+  if (argv.includes("--help")) {
+    console.log(formatHelp(schema, usage));
+    process.exit(0);
+  }
+  try {
+    return parseConfig(schema, { argv, env, allowArgs });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`${new Date().toISOString()} [ERROR] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Copies a schema with new defaults, e.g. per-script batch sizes
+export function withDefaults(schema, defaults) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, option]) => [name, name in defaults ? { ...option, default: defaults[name] } : option])
+  );
+}
+
+// --- Shared Options ---
+export const NETWORK_OPTIONS = {
+  network: {
+    type: "string",
+    env: "NETWORK",
+    default: "megaethTestnet",
+    description: `Hypersync network (${Object.keys(NETWORK_URLS).join(", ")}), or any name with --hypersync-urls`,
+    validate: (network, config) =>
+      NETWORK_URLS[network] || config.hypersyncUrls?.length > 0 ? null : `unknown network "${network}"; set hypersyncUrls to use it`,
+  },
+  hypersyncUrls: {
+    type: "list",
+    env: "HYPERSYNC_URLS",
+    description: "Hypersync endpoints to use instead of the network's, in order of preference",
+    validate: (urls) => (urls?.some((url) => !/^https?:\/\//.test(url)) ? "every URL must start with http:// or https://" : null),
+  },
+  hypersyncTimeout: {
+    type: "integer",
+    env: "HYPERSYNC_TIMEOUT",
+    min: 1,
+    default: 30000,
+    description: "Milliseconds before a Hypersync request times out",
+  },
+  startBlock: { type: "integer", env: "START_BLOCK", min: 0, description: "First block to index" },
+  pollingInterval: { type: "integer", env: "POLLING_INTERVAL", min: 1, description: "Milliseconds between chain tip checks" },
+};
+
+// Where rows are stored; the TUI reads them back for replays
+export const STORAGE_OPTIONS = {
+  storage: {
+    type: "string",
+    env: "STORAGE",
+    values: ["supabase", "postgres", "sqlite", "jsonl"],
+    default: "supabase",
+    description: "Storage backend: supabase, postgres, sqlite or jsonl",
+  },
+  databaseUrl: { type: "string", env: "DATABASE_URL", description: "Postgres connection string for postgres storage" },
+  sqlitePath: { type: "string", env: "SQLITE_PATH", description: "SQLite file for sqlite storage" },
+  jsonlPath: { type: "string", env: "JSONL_PATH", description: "JSON Lines file for jsonl storage" },
+  supabaseUrl: { type: "string", env: "SUPABASE_URL", description: "Supabase project URL" },
+  supabaseServiceKey: { type: "string", env: "SUPABASE_SERVICE_ROLE_KEY", description: "Supabase service role key" },
+  supabaseDbConnectionString: {
+    type: "string",
+    env: "SUPABASE_DB_CONNECTION_STRING",
+    description: "Supabase Postgres connection string, used for migrations",
+  },
+};
+
+export const INDEXER_OPTIONS = {
+  ...NETWORK_OPTIONS,
+  hypersyncMaxRetries: {
+    type: "integer",
+    env: "HYPERSYNC_MAX_RETRIES",
+    min: 0,
+    description: "Retries the Hypersync client makes itself before a request fails (client default if unset)",
+  },
+  logLevel: {
+    type: "string",
+    env: "LOG_LEVEL",
+    values: ["verbose", "normal", "event-only"],
+    default: "event-only",
+    description: "Log level: verbose, normal or event-only",
+  },
+  ...STORAGE_OPTIONS,
+  batchSize: { type: "integer", env: "BATCH_SIZE", min: 1, description: "Most rows per storage upsert; larger batches are split" },
+  maxRetries: { type: "integer", env: "MAX_RETRIES", min: 1, default: 20, description: "Attempts per storage write" },
+  retryBaseDelay: { type: "integer", env: "RETRY_BASE_DELAY", min: 0, default: 500, description: "Milliseconds before the first retry, doubled after each" },
+  reorgDepth: { type: "integer", env: "REORG_DEPTH", min: 1, default: 200, description: "Blocks behind the tip whose hashes are kept for reorg detection" },
+  confirmations: { type: "integer", env: "CONFIRMATIONS", min: 0, default: 10, description: "Blocks deep a row must be to count as confirmed" },
+  backfillRangeSize: { type: "integer", env: "BACKFILL_RANGE_SIZE", min: 1, default: 100000, description: "Blocks per backfill range" },
+  backfillWorkers: { type: "integer", env: "BACKFILL_WORKERS", min: 1, default: 4, description: "Ranges indexed concurrently by the backfill command" },
+  deadLetterPath: { type: "string", env: "DEAD_LETTER_PATH", description: "File for batches that failed every retry" },
+  deadLetterHaltThreshold: {
+    type: "integer",
+    env: "DEAD_LETTER_HALT_THRESHOLD",
+    min: 0,
+    default: 0,
+    description: "Pending dead letters that halt the indexer; 0 never halts",
+  },
+  notificationsPath: { type: "string", env: "NOTIFICATIONS_CONFIG", description: "JSON file of notification webhooks and rules" },
+  statusPort: { type: "integer", env: "STATUS_PORT", min: 0, max: 65535, default: 8080, description: "Port of the status server" },
+};
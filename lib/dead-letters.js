@@ -0,0 +1,116 @@
+// lib/dead-letters.js
+// Local dead-letter queue for event batches that could not be written after
+// every retry. Like the JSONL storage backend it is an append-only file of
+// { op, ... } lines:
+//   add       a failed batch: id, table, rows, error, fromBlock, toBlock
+//   resolve   the batch with this id was replayed
+//   rollback  a reorg orphaned every queued row at or above fromBlock
+// Pending batches are kept in memory: the file is read once when the queue is
+// opened, and afterwards only the lines appended since the last read, so the
+// replay command and a running indexer can still share it.
+import fs from "fs";
+import { randomUUID } from "crypto";
+
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+const NEWLINE = 0x0a;
+
+export function createDeadLetterQueue(path, log) {
+  const batches = new Map(); // id -> pending batch, oldest first
+  let offset = 0; // bytes of the file already applied
+
+  // Entries are applied in file order. Each is idempotent, so a line this
+  // process wrote and already applied can be read back without harm.
+  function apply(entry) {
+    if (entry.op === "add") {
+      batches.set(entry.id, entry);
+    } else if (entry.op === "resolve") {
+      batches.delete(entry.id);
+    } else if (entry.op === "rollback") {
+      for (const [id, batch] of batches) {
+        const rows = batch.rows.filter((row) => row.block_number < entry.fromBlock);
+        if (rows.length === 0) batches.delete(id);
+        else batches.set(id, { ...batch, rows, toBlock: Math.max(...rows.map((row) => row.block_number)) });
+      }
+    }
+  }
+
+  // Applies the complete lines appended since the last read. A line still
+  // being written is left for the next one; an unreadable line is skipped.
+  function readAppended() {
+    let size;
+    try {
+      size = fs.statSync(path).size;
+    } catch (e) {
+      if (e.code !== "ENOENT") log(`Could not read ${path}: ${e.message}`, "error");
+      return "";
+    }
+    if (size < offset) {
+      // Replaced or truncated: start over
+      batches.clear();
+      offset = 0;
+    }
+    if (size === offset) return "";
+
+    const buffer = Buffer.alloc(size - offset);
+    const fd = fs.openSync(path, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = buffer.lastIndexOf(NEWLINE) + 1;
+    for (const line of buffer.subarray(0, end).toString("utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        log(`Ignoring unreadable line in ${path}: ${e.message}`, "error");
+      }
+    }
+    offset += end;
+    return buffer.subarray(end).toString("utf8");
+  }
+
+  // An append cut short by a crash leaves a last line without its newline;
+  // ending it keeps the next entry on a line of its own
+  if (readAppended()) {
+    log(`Ignoring incomplete last line of ${path}`, "error");
+    fs.appendFileSync(path, "\n");
+  }
+
+  // Batches still waiting to be replayed, oldest first
+  function pending() {
+    readAppended();
+    return [...batches.values()];
+  }
+
+  // Applies the entry as it will read back from the file
+  async function append(entry) {
+    const line = toJson(entry);
+    await fs.promises.appendFile(path, `${line}\n`);
+    apply(JSON.parse(line));
+    return entry;
+  }
+
+  function add(table, rows, error) {
+    const blocks = rows.map((row) => row.block_number);
+    return append({
+      op: "add",
+      id: randomUUID(),
+      table,
+      fromBlock: Math.min(...blocks),
+      toBlock: Math.max(...blocks),
+      error: error?.message || JSON.stringify(error),
+      failedAt: new Date().toISOString(),
+      rows,
+    });
+  }
+
+  return {
+    path,
+    pending,
+    add,
+    resolve: (id) => append({ op: "resolve", id, replayedAt: new Date().toISOString() }),
+    rollback: (fromBlock) => append({ op: "rollback", fromBlock, rolledBackAt: new Date().toISOString() }),
+  };
+}
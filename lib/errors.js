@@ -0,0 +1,4 @@
+// lib/errors.js
+// Errors thrown from route handlers carry the HTTP status they should map to
+export const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+export const notFound = (message) => Object.assign(new Error(message), { statusCode: 404 });
@@ -0,0 +1,40 @@
+// lib/format.js
+// Display and timestamp helpers shared by the indexers and their event
+// processors. Nothing here logs or throws on bad input.
+
+export const formatAddress = (address) => {
+  if (!address || address.length < 12) return address || "N/A";
+  return `${address.substring(0, 8)}...${address.substring(
+    address.length - 4
+  )}`;
+};
+
+// Renders a raw token amount in whole tokens with `places` decimals,
+// truncating the rest
+export const formatUnits = (value, decimals = 18, places = 6) => {
+  if (value === null || value === undefined) return "N/A";
+  try {
+    const scale = 10n ** BigInt(places);
+    const scaled = (BigInt(value) * scale) / 10n ** BigInt(decimals);
+    return (Number(scaled) / Number(scale)).toFixed(places);
+  } catch {
+    return String(value);
+  }
+};
+
+// The largest timestamp a Date can hold, in milliseconds
+const MAX_DATE_MS = 8640000000000000n;
+
+// Unix seconds (number, BigInt or decimal string) to a Date. Null when the
+// value is missing, not an integer or beyond what a Date can represent.
+export function secondsToDate(seconds) {
+  if (seconds === null || seconds === undefined || seconds === "") return null;
+  let milliseconds;
+  try {
+    milliseconds = BigInt(seconds) * 1000n;
+  } catch {
+    return null;
+  }
+  if (milliseconds > MAX_DATE_MS || milliseconds < -MAX_DATE_MS) return null;
+  return new Date(Number(milliseconds));
+}
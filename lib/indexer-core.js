@@ -0,0 +1,1717 @@
+// lib/indexer-core.js
+// Shared runtime for the Hypersync indexers. An indexer declares its contracts,
+// event signatures, handlers, sink tables and migrations; RPC fallback,
+// streaming, batching, checkpoints, reorg handling and the status server all
+// live here. Rows are written through the storage backend picked in config
+// (see lib/storage/index.js).
+import { toEventSelector } from "viem";
+import {
+  HypersyncClient,
+  LogField,
+  JoinMode,
+  Decoder,
+  BlockField,
+} from "@envio-dev/hypersync-client";
+import http from "http";
+import pg from "pg";
+import { createStorage } from "./storage/index.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { createDeadLetterQueue } from "./dead-letters.js";
+import { createNotifier } from "./notifications.js";
+import { createLiveFeed } from "./live-feed.js";
+import { NETWORK_URLS, hypersyncUrlsFor } from "./networks.js";
+import { formatAddress } from "./format.js";
+const { Pool } = pg;
+
+// --- Helper Functions ---
+export function createLogger(config) {
+  return (message, level = "normal") => {
+    const timestamp = new Date().toISOString();
+    const logMessage = `${timestamp} [${level.toUpperCase()}] ${message}`;
+
+    if (level === "error") {
+      console.error(logMessage);
+      return;
+    }
+
+    if (
+      config.logLevel === "verbose" ||
+      level === "event" ||
+      level === "startup" ||
+      level === "supabase" ||
+      level === "db_setup"
+    ) {
+      console.log(logMessage);
+    } else if (config.logLevel === "normal" && level !== "verbose") {
+      console.log(logMessage);
+    } else if (
+      config.logLevel === "event-only" &&
+      (level === "event" || level === "startup" || level === "db_setup")
+    ) {
+      console.log(logMessage);
+    }
+  };
+}
+
+export const isAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(value);
+
+export { badRequest, notFound } from "./errors.js";
+export { formatAddress };
+export { NETWORK_URLS };
+
+// Parses "--name value" and "--name=value" command arguments into an object
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) throw new Error(`Unexpected argument: ${args[i]}`);
+    flags[match[1]] = match[2] ?? args[++i];
+  }
+  return flags;
+}
+
+const isConnectionFailure = (error, markers) => markers.some((marker) => error.message.includes(marker));
+
+// --- Database Migrations ---
+// Every indexer records its own migrations under a scope in this table.
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    scope TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (scope, version)
+);
+`;
+
+const BASE_LOG_FIELDS = [
+  LogField.BlockNumber,
+  LogField.Address,
+  LogField.TransactionHash,
+  LogField.LogIndex,
+  LogField.Data,
+  LogField.Topic0,
+  LogField.Topic1,
+  LogField.Topic2,
+  LogField.Topic3,
+];
+
+// --- Indexer Runtime ---
+// The definition describes one indexer:
+//   name                  label used in startup logs
+//   config                network, storage settings, batching, retry, reorg and
+//                         backfill settings
+//   log                   logger from createLogger
+//   contracts             [{ address, startBlock }] followed from their own checkpoints
+//   contractColumn        event table column holding the emitting contract, if any
+//   events                [{ name, signature, table, handle(ctx) }]; handle returns the
+//                         row for `table` (minus block/tx/log/confirmed columns) or null
+//   fieldSelection        extra block/transaction fields, with joinMode to join them
+//   migrationScope        key under which migrations are recorded
+//   migrations            [{ version, name, sql }], append-only
+//   createContractState   per-contract state kept in memory, exposed as contract.state
+//   contractStatus        extra per-contract fields for the status endpoint
+//   status                extra top-level fields for the status endpoint
+//   onStart               runs once after checkpoints are loaded
+//   restoreState          async (contract, block) restores the state the event
+//                         handlers fold, as of the end of block - 1, from stored
+//                         rows; a backfill starting past a contract's start block
+//                         needs it
+//   afterCommit           receives { table: rows } once a response's rows are written;
+//                         returning false holds the checkpoints
+//   onRollback            receives { table: rows } deleted by a reorg rollback
+//   routes                [{ pattern, handler(params, searchParams), sql }] read-only
+//                         JSON routes served by the status server; sql: false marks
+//                         routes that work without the SQL migrations
+//   notificationRules     { type: factory(options) } rule types for the notifications
+//                         config (see lib/notifications.js)
+export function createIndexer(definition) {
+  const { config, log } = definition;
+
+  // --- Validate Configuration ---
+  if (!definition.contracts || definition.contracts.length === 0) {
+    log(`Error: ${definition.name} has no contracts to index.`, "error");
+    process.exit(1);
+  }
+
+  // --- Initialize Storage ---
+  let storage;
+  try {
+    storage = createStorage(config, log);
+  } catch (e) {
+    log(`Error: ${e.message}`, "error");
+    process.exit(1);
+  }
+  log(`🌐 Available RPCs for ${config.network}: ${hypersyncUrlsFor(config).join(', ')}`, 'startup');
+  if (!storage.sql) {
+    log(`${storage.name} storage has no SQL functions: migrations, derived tables and the JSON API routes are skipped.`, "startup");
+  }
+
+  // Batches that exhaust their retries are parked here instead of being dropped
+  const deadLetters = createDeadLetterQueue(config.deadLetterPath, log);
+
+  // Optional webhook notifications, with rule types supplied by the indexer
+  let notifier = null;
+  try {
+    notifier = createNotifier(config.notificationsPath, definition.notificationRules || {}, log);
+  } catch (e) {
+    log(`Error: invalid notifications config: ${e.message}`, "error");
+    process.exit(1);
+  }
+
+  // --- Event Signatures and Topics ---
+  const events = definition.events.map((event) => ({ ...event, topic: toEventSelector(event.signature) }));
+  const eventsByTopic = new Map(events.map((event) => [event.topic, event]));
+  const eventTables = [...new Set(events.map((event) => event.table))];
+
+  // --- Metrics and State ---
+  const eventCounts = {
+    ...Object.fromEntries(events.map((event) => [event.name, 0])),
+    SupabaseBatchesSent: 0,
+    SupabaseEventsUpserted: 0,
+    SupabaseErrors: 0,
+    Reorgs: 0,
+  };
+  let currentBlock = Math.min(...definition.contracts.map((contract) => contract.startBlock));
+  let latestChainHeight = null;
+  let consecutiveFailures = 0;
+  let startTime = performance.now();
+  let hypersyncClient = null;
+
+  // Track which RPC we're currently using
+  let currentRpcIndex = 0;
+  let currentRpcUrl = null;
+
+  // Once a batch fails, no checkpoint moves forward again, so a restart
+  // re-streams the failed range for every contract.
+  let checkpointHeld = false;
+
+  // One entry per followed contract, keyed by lowercased address. nextBlock is
+  // the first block whose logs still have to be processed for that contract;
+  // checkpointBlock is the last one committed to the database.
+  const contracts = new Map(
+    definition.contracts.map(({ address, startBlock }) => [
+      address.toLowerCase(),
+      {
+        address,
+        startBlock,
+        nextBlock: startBlock,
+        checkpointBlock: null,
+        eventCounts: Object.fromEntries(events.map((event) => [event.name, 0])),
+        state: definition.createContractState ? definition.createContractState() : {},
+      },
+    ])
+  );
+  const contractAddresses = definition.contracts.map((contract) => contract.address);
+
+  // --- Prometheus Metrics ---
+  // Served from /metrics. Values the indexer already tracks are read when
+  // scraped; the rest are updated where they happen.
+  const metrics = createMetricsRegistry("indexer_");
+  metrics.counter("events_processed_total", "Decoded events processed, by event type", {
+    labelNames: ["event"],
+    collect: () => events.map((event) => [{ event: event.name }, eventCounts[event.name]]),
+  });
+  const upsertBatches = metrics.counter("upsert_batches_total", "Event batches upserted, by table", { labelNames: ["table"] });
+  const upsertRows = metrics.counter("upsert_rows_total", "Event rows upserted, by table", { labelNames: ["table"] });
+  const upsertErrors = metrics.counter("upsert_errors_total", "Failed upsert attempts, by table", { labelNames: ["table"] });
+  const upsertDuration = metrics.histogram("upsert_duration_seconds", "Duration of each upsert attempt, by table", { labelNames: ["table"] });
+  metrics.gauge("current_block", "Next block the stream will process", { collect: () => currentBlock });
+  metrics.gauge("chain_height", "Latest chain height reported by Hypersync", {
+    collect: () => (latestChainHeight === null ? [] : latestChainHeight),
+  });
+  // Blocks up to and including the chain height that are not processed yet
+  metrics.gauge("block_lag", "Blocks between the current block and the chain tip", {
+    collect: () => (latestChainHeight === null ? [] : Math.max(0, latestChainHeight + 1 - currentBlock)),
+  });
+  const rpcSwitches = metrics.counter("rpc_switches_total", "Switches to another Hypersync endpoint");
+  const streamRestarts = metrics.counter("stream_restarts_total", "Event streams recreated, by reason", { labelNames: ["reason"] });
+  metrics.gauge("consecutive_failures", "Stream or main loop failures since the last successful response", {
+    collect: () => consecutiveFailures,
+  });
+  metrics.counter("reorgs_total", "Chain reorganizations rolled back", { collect: () => eventCounts.Reorgs });
+  metrics.gauge("checkpoint_held", "1 while checkpoints are held after a batch failed to commit", {
+    collect: () => Number(checkpointHeld),
+  });
+  const deadLettersQueued = metrics.counter("dead_letters_queued_total", "Failed batches written to the dead-letter queue, by table", {
+    labelNames: ["table"],
+  });
+  metrics.gauge("live_feed_clients", "Clients connected to the /stream event feed", {
+    collect: () => liveFeed.clientCount(),
+  });
+  metrics.gauge("dead_letters_pending", "Dead-letter batches waiting to be replayed", {
+    collect: () => deadLetters.pending().length,
+  });
+
+  // Start every series at zero so rate() and increase() see the first event
+  for (const table of eventTables) {
+    upsertBatches.inc({ table }, 0);
+    upsertRows.inc({ table }, 0);
+    upsertErrors.inc({ table }, 0);
+    deadLettersQueued.inc({ table }, 0);
+  }
+  rpcSwitches.inc({}, 0);
+  for (const reason of ["new_blocks", "reorg", "error"]) {
+    streamRestarts.inc({ reason }, 0);
+  }
+
+  // --- RPC Management Functions ---
+  function getCurrentRpcUrl(network) {
+    const urls = hypersyncUrlsFor(config);
+    if (!urls || urls.length === 0) {
+      throw new Error(`No RPC URLs configured for network: ${network}`);
+    }
+
+    currentRpcIndex = currentRpcIndex % urls.length;
+    currentRpcUrl = urls[currentRpcIndex];
+    return currentRpcUrl;
+  }
+
+  function switchToNextRpc(network) {
+    const urls = hypersyncUrlsFor(config);
+    if (!urls || urls.length <= 1) {
+      return false;
+    }
+
+    const previousUrl = currentRpcUrl;
+    currentRpcIndex = (currentRpcIndex + 1) % urls.length;
+    currentRpcUrl = urls[currentRpcIndex];
+    rpcSwitches.inc();
+
+    log(`🔄 Switching RPC from ${previousUrl} to ${currentRpcUrl}`, 'startup');
+    return true;
+  }
+
+  // maxNumRetries is left to the client's default unless configured
+  function createHypersyncClient(url, timeoutMillis = config.hypersyncTimeout) {
+    return HypersyncClient.new({
+      url,
+      bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
+      httpReqTimeoutMillis: timeoutMillis,
+      ...(config.hypersyncMaxRetries === undefined ? {} : { maxNumRetries: config.hypersyncMaxRetries }),
+    });
+  }
+
+  // --- Enhanced Hypersync client creation with RPC fallback ---
+  async function createHypersyncClientWithFallback(maxRetries = 3) {
+    const urls = hypersyncUrlsFor(config);
+    if (!urls || urls.length === 0) {
+      throw new Error(`No RPC URLs configured for network: ${config.network}`);
+    }
+
+    let totalAttempts = 0;
+    const maxTotalAttempts = maxRetries * urls.length;
+
+    while (totalAttempts < maxTotalAttempts) {
+      const rpcUrl = getCurrentRpcUrl(config.network);
+      totalAttempts++;
+
+      try {
+        log(`🔌 Attempting to connect to ${rpcUrl} (attempt ${totalAttempts}/${maxTotalAttempts})`, 'startup');
+
+        const client = createHypersyncClient(rpcUrl);
+
+        const height = await client.getHeight();
+        log(`✅ Successfully connected to ${rpcUrl}. Chain height: ${height}`, 'startup');
+        return { client, rpcUrl };
+
+      } catch (error) {
+        log(`❌ Failed to connect to ${rpcUrl}: ${error.message}`, 'error');
+
+        if (isConnectionFailure(error, ['503', 'Service Unavailable', 'timeout', 'ECONNREFUSED', 'ENOTFOUND']) && switchToNextRpc(config.network)) {
+          log(`Connection error detected, trying next RPC...`, 'startup');
+          continue;
+        }
+
+        if (totalAttempts < maxTotalAttempts) {
+          const delay = Math.min(1000 * Math.pow(2, Math.floor(totalAttempts / urls.length)), 30000);
+          log(`Retrying in ${delay}ms...`, 'startup');
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          switchToNextRpc(config.network);
+        }
+      }
+    }
+
+    throw new Error(`Failed to connect to any Hypersync RPC after ${maxTotalAttempts} attempts across ${urls.length} endpoints`);
+  }
+
+  async function createStreamWithFallback(client, query, maxRetries = 3) {
+    let attempts = 0;
+
+    while (attempts < maxRetries) {
+      attempts++;
+      try {
+        log(`Creating stream (attempt ${attempts}/${maxRetries})...`, 'startup');
+        const stream = await client.stream(query, {});
+        log(`✅ Stream created successfully`, 'startup');
+        return stream;
+      } catch (error) {
+        log(`❌ Stream creation failed (attempt ${attempts}/${maxRetries}): ${error.message}`, 'error');
+
+        if (isConnectionFailure(error, ['503', 'Service Unavailable', 'timeout']) && attempts === maxRetries) {
+          throw new Error(`Stream creation failed after ${maxRetries} attempts: ${error.message}`);
+        }
+
+        if (attempts < maxRetries) {
+          const delay = 1000 * attempts;
+          log(`Retrying stream creation in ${delay}ms...`, 'startup');
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw new Error(`Failed to create stream after ${maxRetries} attempts`);
+  }
+
+  // --- Database Migrations ---
+  // Applied in order inside a transaction each and recorded in schema_migrations.
+  async function runMigrations() {
+    const migrations = definition.migrations || [];
+    if (!storage.sql) {
+      log(`Skipping migrations: ${storage.name} storage creates tables as rows arrive.`, "db_setup");
+      return;
+    }
+    log("Starting database migrations...", "db_setup");
+    const pool = new Pool({
+      connectionString: storage.migrationConnectionString,
+    });
+    let client;
+
+    try {
+      client = await pool.connect();
+      log("Database connection successful for migrations.", "db_setup");
+
+      // Serialize concurrent indexer startups against the same database
+      await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+      await client.query(SCHEMA_MIGRATIONS_SQL);
+
+      const { rows } = await client.query(
+        "SELECT version FROM public.schema_migrations WHERE scope = $1",
+        [definition.migrationScope]
+      );
+      const applied = new Set(rows.map((row) => row.version));
+      const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+      if (pending.length === 0) {
+        log(`Database schema is up to date (version ${migrations[migrations.length - 1]?.version ?? 0}).`, "db_setup");
+      }
+
+      for (const migration of pending) {
+        const label = `${migration.version}_${migration.name}`;
+        log(`Applying migration ${label}...`, "db_setup");
+        try {
+          await client.query("BEGIN");
+          await client.query(migration.sql);
+          await client.query(
+            "INSERT INTO public.schema_migrations (scope, version, name) VALUES ($1, $2, $3)",
+            [definition.migrationScope, migration.version, migration.name]
+          );
+          await client.query("COMMIT");
+        } catch (err) {
+          await client.query("ROLLBACK");
+          err.message = `Migration ${label} failed: ${err.message}`;
+          throw err;
+        }
+        log(`Applied migration ${label}.`, "db_setup");
+      }
+    } catch (err) {
+      log(`Database migration failed: ${err.message}`, "error");
+      log(`SQL Error Details: ${err.stack}`, "error");
+      log("Exiting due to critical database setup failure.", "error");
+      process.exit(1);
+    } finally {
+      if (client) {
+        try {
+          await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+        } catch (unlockError) {
+          log(`Failed to release migration lock: ${unlockError.message}`, "error");
+        }
+        client.release();
+        log("Database migration client released.", "db_setup");
+      }
+      await pool.end();
+      log("Database migration pool closed.", "db_setup");
+    }
+  }
+
+  async function testStorageConnection() {
+    const { error } = await storage.select(eventTables[0], { columns: ["transaction_hash"], limit: 1 });
+    if (error) {
+      log(`${storage.name} storage connection/permission test failed: ${error.message}`, "error");
+      log(`Storage error details: ${JSON.stringify(error)}`, "error");
+      return false;
+    }
+    log(`${storage.name} storage connection/permission test successful.`, "startup");
+    return true;
+  }
+
+  // --- Checkpoint Functions ---
+  async function loadCheckpoints() {
+    const { data, error } = await storage.select("indexer_checkpoints", {
+      columns: ["contract_address", "next_block"],
+      filters: [
+        ["contract_address", "in", [...contracts.keys()]],
+        ["network", "eq", config.network],
+      ],
+    });
+
+    if (error) {
+      throw new Error(`Failed to load checkpoints: ${error.message || JSON.stringify(error)}`);
+    }
+    for (const row of data || []) {
+      const contract = contracts.get(row.contract_address);
+      if (!contract) continue;
+      contract.checkpointBlock = Number(row.next_block);
+      contract.nextBlock = Math.max(contract.startBlock, contract.checkpointBlock);
+    }
+  }
+
+  async function saveCheckpoints(nextBlock, targets) {
+    try {
+      const { error } = await storage.upsert(
+        "indexer_checkpoints",
+        targets.map((contract) => ({
+          contract_address: contract.address.toLowerCase(),
+          network: config.network,
+          next_block: nextBlock,
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: ["contract_address", "network"] }
+      );
+      if (error) throw error;
+      for (const contract of targets) contract.checkpointBlock = nextBlock;
+      log(`Checkpoint saved at block ${nextBlock} for ${targets.length} contract(s)`, "verbose");
+      return true;
+    } catch (e) {
+      // Not fatal: the next committed batch writes a newer checkpoint, and a
+      // restart from an older one only re-upserts rows we already have.
+      log(`Failed to save checkpoint at block ${nextBlock}: ${e.message || JSON.stringify(e)}`, "error");
+      return false;
+    }
+  }
+
+  // Called after a response has been fully processed. Only moves checkpoints
+  // forward while every batch so far has been committed, and never touches a
+  // contract whose start block or checkpoint is still ahead of the stream.
+  async function commitCheckpoints(nextBlock) {
+    for (const contract of contracts.values()) {
+      contract.nextBlock = Math.max(contract.nextBlock, nextBlock);
+    }
+    if (checkpointHeld) return;
+    const due = [...contracts.values()].filter(
+      (contract) => contract.startBlock < nextBlock && (contract.checkpointBlock ?? 0) < nextBlock
+    );
+    if (due.length > 0) await saveCheckpoints(nextBlock, due);
+  }
+
+  // --- Chain Reorganization Handling ---
+  // Block hashes are only kept for the last config.reorgDepth blocks behind the
+  // tip; anything deeper is treated as final. Hash history and finished
+  // backfill ranges are kept per indexer, so adding or removing a contract
+  // keeps them.
+  const BLOCK_TRACKING_SOURCE = definition.migrationScope;
+  // Earlier versions keyed them by the sorted list of followed contracts
+  const LEGACY_TRACKING_SOURCE = [...contracts.keys()].sort().join(",");
+  let lastTrackedBlock = null; // { number, hash } of the highest block we hold a hash for
+  let unconfirmedRange = null; // { from, to } block range that may still hold unconfirmed rows
+
+  async function fetchBlockHeaders(client, fromBlock, toBlock) {
+    const headers = [];
+    let nextFrom = fromBlock;
+
+    while (nextFrom < toBlock) {
+      const res = await client.get({
+        fromBlock: nextFrom,
+        toBlock,
+        includeAllBlocks: true,
+        fieldSelection: {
+          block: [BlockField.Number, BlockField.Hash, BlockField.ParentHash],
+        },
+      });
+      for (const block of res.data?.blocks || []) {
+        headers.push({ number: block.number, hash: block.hash, parentHash: block.parentHash });
+      }
+      if (!res.nextBlock || res.nextBlock <= nextFrom) break;
+      nextFrom = res.nextBlock;
+    }
+
+    return headers.sort((a, b) => a.number - b.number);
+  }
+
+  const trackingFilters = (...extra) => [
+    ["source", "eq", BLOCK_TRACKING_SOURCE],
+    ["network", "eq", config.network],
+    ...extra,
+  ];
+
+  // Moves rows stored under the legacy key for the current contract list to
+  // the indexer's key. Once moved there is nothing left to match.
+  async function adoptLegacyTracking() {
+    for (const table of ["indexer_block_hashes", "backfill_ranges"]) {
+      const { error, count } = await storage.update(table, { source: BLOCK_TRACKING_SOURCE }, [
+        ["source", "eq", LEGACY_TRACKING_SOURCE],
+        ["network", "eq", config.network],
+      ]);
+      if (error) {
+        log(`Failed to move ${table} rows to source ${BLOCK_TRACKING_SOURCE}: ${error.message || JSON.stringify(error)}`, "error");
+      } else if (count > 0) {
+        log(`Moved ${count} ${table} rows from source ${LEGACY_TRACKING_SOURCE} to ${BLOCK_TRACKING_SOURCE}`, "startup");
+      }
+    }
+  }
+
+  async function loadLastTrackedBlock() {
+    const { data, error } = await storage.select("indexer_block_hashes", {
+      columns: ["block_number", "block_hash"],
+      filters: trackingFilters(),
+      order: [["block_number", "desc"]],
+      limit: 1,
+      single: true,
+    });
+
+    if (error) {
+      throw new Error(`Failed to load tracked block hashes: ${error.message || JSON.stringify(error)}`);
+    }
+    lastTrackedBlock = data ? { number: Number(data.block_number), hash: data.block_hash } : null;
+  }
+
+  // Walks the recorded hashes from the oldest up and returns the first block
+  // the chain no longer agrees with, or null if every recorded block matches.
+  async function findForkBlock(client) {
+    const { data, error } = await storage.select("indexer_block_hashes", {
+      columns: ["block_number", "block_hash"],
+      filters: trackingFilters(),
+      order: [["block_number", "asc"]],
+    });
+
+    if (error) {
+      throw new Error(`Failed to read tracked block hashes: ${error.message || JSON.stringify(error)}`);
+    }
+    if (!data || data.length === 0) return null;
+
+    const oldestBlock = Number(data[0].block_number);
+    const newestBlock = Number(data[data.length - 1].block_number);
+    const headers = await fetchBlockHeaders(client, oldestBlock, newestBlock + 1);
+    const chainHashes = new Map(headers.map((header) => [header.number, header.hash]));
+
+    for (const row of data) {
+      const blockNumber = Number(row.block_number);
+      if (chainHashes.get(blockNumber) !== row.block_hash) {
+        if (blockNumber === oldestBlock) {
+          log(`Fork reaches the oldest tracked block ${oldestBlock}; rows more than ${config.reorgDepth} blocks deep may still be orphaned`, "error");
+        }
+        return blockNumber;
+      }
+    }
+    return null;
+  }
+
+  // Cheap check run whenever we resume from the tip: if the newest block we
+  // recorded still has the same hash, everything below it is unchanged too.
+  async function checkForReorg(client) {
+    if (!lastTrackedBlock) return null;
+
+    const [header] = await fetchBlockHeaders(client, lastTrackedBlock.number, lastTrackedBlock.number + 1);
+    if (header && header.hash === lastTrackedBlock.hash) return null;
+
+    log(`⚠️ Block ${lastTrackedBlock.number} changed from ${formatAddress(lastTrackedBlock.hash)} to ${formatAddress(header?.hash)}. Looking for fork point...`, "error");
+    return await findForkBlock(client);
+  }
+
+  // Records hashes for the blocks in [fromBlock, toBlock) that fall inside the
+  // reorg window. Returns the fork block if the new headers do not extend the
+  // chain recorded so far, otherwise null.
+  async function trackRecentBlocks(client, fromBlock, toBlock, chainHeight) {
+    const windowStart = Math.max(fromBlock, chainHeight - config.reorgDepth);
+    if (windowStart >= toBlock) return null;
+
+    const headers = await fetchBlockHeaders(client, windowStart, toBlock);
+    if (headers.length === 0) return null;
+
+    if (lastTrackedBlock) {
+      const overlap = headers.find((header) => header.number === lastTrackedBlock.number);
+      const child = headers.find((header) => header.number === lastTrackedBlock.number + 1);
+      const diverged = overlap
+        ? overlap.hash !== lastTrackedBlock.hash
+        : child !== undefined && child.parentHash !== lastTrackedBlock.hash;
+      if (diverged) {
+        log(`⚠️ New blocks do not build on recorded block ${lastTrackedBlock.number}. Looking for fork point...`, "error");
+        return await findForkBlock(client);
+      }
+    }
+
+    const rows = headers.map((header) => ({
+      source: BLOCK_TRACKING_SOURCE,
+      network: config.network,
+      block_number: header.number,
+      block_hash: header.hash,
+      parent_hash: header.parentHash,
+    }));
+    const { error } = await storage.upsert("indexer_block_hashes", rows, {
+      onConflict: ["source", "network", "block_number"],
+    });
+    if (error) {
+      log(`Failed to record block hashes up to block ${toBlock - 1}: ${error.message || JSON.stringify(error)}`, "error");
+      return null;
+    }
+    const newest = headers[headers.length - 1];
+    lastTrackedBlock = { number: newest.number, hash: newest.hash };
+
+    const { error: pruneError } = await storage.delete(
+      "indexer_block_hashes",
+      trackingFilters(["block_number", "lt", toBlock - config.reorgDepth])
+    );
+    if (pruneError) {
+      log(`Failed to prune old block hashes: ${pruneError.message || JSON.stringify(pruneError)}`, "error");
+    }
+    return null;
+  }
+
+  // Event table filters, limited to our contracts when tables are shared
+  const contractFilters = (...extra) => [
+    ...extra,
+    ...(definition.contractColumn ? [[definition.contractColumn, "in", contractAddresses]] : []),
+  ];
+
+  // Deletes everything at or above the fork block so it can be re-streamed.
+  async function rollbackToBlock(forkBlock) {
+    log(`⏪ Chain reorganization: rolling back indexed data to block ${forkBlock}`, "startup");
+
+    const deletedRows = {};
+    for (const table of eventTables) {
+      const { data, error, count } = await storage.delete(
+        table,
+        contractFilters(["block_number", "gte", forkBlock]),
+        { returning: Boolean(definition.onRollback) }
+      );
+      if (error) {
+        throw new Error(`Rollback of ${table} failed: ${error.message || JSON.stringify(error)}`);
+      }
+      deletedRows[table] = data || [];
+      log(`Deleted ${count ?? 0} orphaned rows from ${table}`, "startup");
+    }
+
+    if (definition.onRollback) {
+      await definition.onRollback(deletedRows, forkBlock);
+    }
+    liveFeed.rollback(forkBlock);
+
+    // Queued rows from orphaned blocks must not be replayed
+    if (deadLetters.pending().some((batch) => batch.toBlock >= forkBlock)) {
+      await deadLetters.rollback(forkBlock);
+      log(`Dropped dead-letter rows at or above block ${forkBlock}`, "startup");
+    }
+
+    const { error } = await storage.delete(
+      "indexer_block_hashes",
+      trackingFilters(["block_number", "gte", forkBlock])
+    );
+    if (error) {
+      throw new Error(`Rollback of indexer_block_hashes failed: ${error.message || JSON.stringify(error)}`);
+    }
+    await loadLastTrackedBlock();
+
+    eventCounts.Reorgs++;
+    currentBlock = Math.min(currentBlock, forkBlock);
+    for (const contract of contracts.values()) {
+      contract.nextBlock = Math.max(contract.startBlock, Math.min(contract.nextBlock, forkBlock));
+    }
+    // Lowering checkpoints is always safe, even while they are held.
+    const rewound = [...contracts.values()].filter(
+      (contract) => contract.checkpointBlock !== null && contract.checkpointBlock > forkBlock
+    );
+    if (rewound.length > 0) {
+      await saveCheckpoints(forkBlock, rewound);
+    }
+  }
+
+  function isConfirmed(blockNumber, chainHeight) {
+    const confirmed = blockNumber <= chainHeight - config.confirmations;
+    if (!confirmed) {
+      unconfirmedRange = {
+        from: Math.min(unconfirmedRange?.from ?? blockNumber, blockNumber),
+        to: Math.max(unconfirmedRange?.to ?? blockNumber, blockNumber),
+      };
+    }
+    return confirmed;
+  }
+
+  async function confirmSettledRows(chainHeight) {
+    if (!unconfirmedRange) return;
+    const confirmedUpTo = chainHeight - config.confirmations;
+    if (confirmedUpTo < unconfirmedRange.from) return;
+
+    for (const table of eventTables) {
+      const { error } = await storage.update(
+        table,
+        { confirmed: true },
+        contractFilters(["confirmed", "eq", false], ["block_number", "lte", confirmedUpTo])
+      );
+      if (error) {
+        log(`Failed to confirm rows in ${table}: ${error.message || JSON.stringify(error)}`, "error");
+        return;
+      }
+    }
+
+    unconfirmedRange = unconfirmedRange.to <= confirmedUpTo
+      ? null
+      : { from: confirmedUpTo + 1, to: unconfirmedRange.to };
+  }
+
+  // --- Storage Write Functions ---
+  // Upserts rows in chunks of config.batchSize, one after another. A chunk that
+  // still fails after every retry fails the whole call; the caller then queues
+  // all of the rows, which is safe since upserts of landed rows are idempotent.
+  async function batchUpsertEventsWithRetry(tableName, rows) {
+    if (!rows || rows.length === 0) {
+      return { success: true, error: null };
+    }
+    const chunkSize = config.batchSize ?? rows.length;
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      const result = await upsertChunkWithRetry(tableName, rows.slice(start, start + chunkSize));
+      if (!result.success) return result;
+    }
+    return { success: true, error: null };
+  }
+
+  async function upsertChunkWithRetry(tableName, batchData) {
+    let attempts = 0;
+    const batchSize = batchData.length;
+
+    while (attempts < config.maxRetries) {
+      attempts++;
+      try {
+        const { error } = await upsertDuration.time({ table: tableName }, () =>
+          storage.upsert(tableName, batchData, {
+            onConflict: ["transaction_hash", "log_index"],
+          })
+        );
+        if (error) throw error;
+        log(`Successfully upserted batch of ${batchSize} events to ${tableName}${attempts > 1 ? ` after ${attempts} attempts` : ""}`, "supabase");
+        eventCounts.SupabaseBatchesSent++;
+        eventCounts.SupabaseEventsUpserted += batchSize;
+        upsertBatches.inc({ table: tableName });
+        upsertRows.inc({ table: tableName }, batchSize);
+        return { success: true, error: null };
+      } catch (e) {
+        upsertErrors.inc({ table: tableName });
+        log(`Storage batch upsert error (Attempt ${attempts}/${config.maxRetries}, Table: ${tableName}, Size: ${batchSize}): ${e.message || JSON.stringify(e)}`, "error");
+        if (attempts < config.maxRetries) {
+          const delay = Math.pow(2, attempts - 1) * config.retryBaseDelay;
+          log(`Retrying batch upsert to ${tableName} in ${delay}ms`, "supabase");
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        } else {
+          eventCounts.SupabaseErrors += batchSize;
+          return { success: false, error: e };
+        }
+      }
+    }
+    log(`Failed to upsert batch to ${tableName} after ${config.maxRetries} attempts`, "error");
+    return { success: false, error: { message: `Failed after ${config.maxRetries} attempts` } };
+  }
+
+  // Derived data lives in SQL functions, so backends without them skip it
+  async function rpcWithRetry(functionName, params) {
+    if (!storage.sql) return { success: true, error: null };
+    let attempts = 0;
+
+    while (attempts < config.maxRetries) {
+      attempts++;
+      try {
+        const { error } = await storage.rpc(functionName, params);
+        if (error) throw error;
+        log(`Successfully ran ${functionName}${attempts > 1 ? ` after ${attempts} attempts` : ""}`, "supabase");
+        return { success: true, error: null };
+      } catch (e) {
+        log(`Storage rpc error (Attempt ${attempts}/${config.maxRetries}, Function: ${functionName}): ${e.message || JSON.stringify(e)}`, "error");
+        if (attempts < config.maxRetries) {
+          const delay = Math.pow(2, attempts - 1) * config.retryBaseDelay;
+          log(`Retrying ${functionName} in ${delay}ms`, "supabase");
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        } else {
+          eventCounts.SupabaseErrors++;
+          return { success: false, error: e };
+        }
+      }
+    }
+    return { success: false, error: { message: `Failed after ${config.maxRetries} attempts` } };
+  }
+
+  // --- Event Processing ---
+  function buildQuery(fromBlock, toBlock) {
+    return {
+      fromBlock,
+      ...(toBlock === undefined ? {} : { toBlock }),
+      logs: [{ address: contractAddresses, topics: [events.map((event) => event.topic)] }],
+      fieldSelection: {
+        ...definition.fieldSelection,
+        log: BASE_LOG_FIELDS,
+      },
+      joinMode: definition.joinMode ?? JoinMode.JoinNothing,
+    };
+  }
+
+  // Decodes one stream response, hands every log to its event handler and
+  // writes the rows to their sink tables. Returns false if any write failed.
+  // notify is only set by the live stream; backfills and replays stay quiet
+  async function processResponse(res, decoder, chainHeight, { notify = false } = {}) {
+    if (!res.data || !res.data.logs || res.data.logs.length === 0) return true;
+
+    const blockTimestampMap = new Map(
+      res.data.blocks?.map((block) => [block.number, block.timestamp]) || []
+    );
+    const decodedLogs = await decoder.decodeLogs(res.data.logs);
+    const batches = Object.fromEntries(eventTables.map((table) => [table, []]));
+    const committedEvents = [];
+
+    for (let i = 0; i < decodedLogs.length; i++) {
+      const decodedLog = decodedLogs[i];
+      const rawLog = res.data.logs[i];
+      if (decodedLog === null) {
+        log(`Skipping undecodable log idx ${i}, blk ${rawLog.blockNumber}`, "verbose");
+        continue;
+      }
+
+      const blockNumber = rawLog.blockNumber;
+      const transactionHash = rawLog.transactionHash;
+      const logIndex = rawLog.logIndex;
+      if (transactionHash === undefined || logIndex === undefined || blockNumber === undefined) {
+        log(`Missing critical fields in log idx ${i}, blk ${rawLog.blockNumber}. Skipping. Raw: ${JSON.stringify(rawLog)}`, "error");
+        continue;
+      }
+
+      // Route by emitting contract; one that is still behind its own
+      // checkpoint or start block has nothing to pick up here yet.
+      const contract = contracts.get(String(rawLog.address).toLowerCase());
+      if (!contract) {
+        log(`Skipping log from unknown contract ${rawLog.address}, blk ${blockNumber}`, "verbose");
+        continue;
+      }
+      if (blockNumber < contract.nextBlock) continue;
+
+      const event = eventsByTopic.get(rawLog.topics[0]);
+      if (!event) {
+        log(`Skipping log with unknown topic ${rawLog.topics[0]}, blk ${blockNumber}`, "verbose");
+        continue;
+      }
+
+      try {
+        eventCounts[event.name]++;
+        contract.eventCounts[event.name]++;
+        const row = event.handle({
+          decoded: decodedLog,
+          rawLog,
+          contract,
+          blockTimestamp: blockTimestampMap.get(blockNumber),
+        });
+        if (!row) continue;
+
+        const eventRow = {
+          block_number: Number(blockNumber),
+          transaction_hash: String(transactionHash),
+          log_index: Number(logIndex),
+          ...row,
+          confirmed: isConfirmed(Number(blockNumber), chainHeight),
+        };
+        batches[event.table].push(eventRow);
+        committedEvents.push({ event: event.name, table: event.table, row: eventRow, contract: contract.address });
+      } catch (processingError) {
+        log(`Error processing log: ${processingError.message}. Tx: ${formatAddress(transactionHash)}, Log: ${logIndex}. Skipping. Stack: ${processingError.stack}`, "error");
+      }
+    }
+
+    // Send Batches
+    const written = Object.fromEntries(Object.entries(batches).filter(([, rows]) => rows.length > 0));
+    if (Object.keys(written).length === 0) return true;
+
+    const tables = Object.keys(written);
+    const results = await Promise.all(tables.map((table) => batchUpsertEventsWithRetry(table, written[table])));
+    const landed = {};
+    let queued = true;
+    for (const [index, table] of tables.entries()) {
+      if (results[index].success) {
+        landed[table] = written[table];
+        continue;
+      }
+      log(`Failed final upsert batch. Error: ${JSON.stringify(results[index].error)}`, "error");
+      if (!(await deadLetterBatch(table, written[table], results[index].error))) queued = false;
+    }
+    const landedEvents = committedEvents.filter(({ table }) => landed[table]);
+    if (landedEvents.length > 0) {
+      liveFeed.publish(landedEvents);
+      if (notify && notifier) notifier.handleEvents(landedEvents);
+    }
+
+    // Derived data is only recomputed from rows that actually landed
+    if (definition.afterCommit && Object.keys(landed).length > 0 && !(await definition.afterCommit(landed))) {
+      return false;
+    }
+    return queued;
+  }
+
+  // --- Dead-Letter Queue ---
+  // A queued batch counts as handled, so checkpoints keep moving; only a batch
+  // that could not even be queued holds them. Returns false in that case.
+  async function deadLetterBatch(table, rows, error) {
+    try {
+      const batch = await deadLetters.add(table, rows, error);
+      deadLettersQueued.inc({ table });
+      log(`Queued ${rows.length} rows for ${table} (blocks ${batch.fromBlock}-${batch.toBlock}) as dead letter ${batch.id}`, "error");
+    } catch (e) {
+      log(`Could not write dead letter for ${table} to ${deadLetters.path}: ${e.message}`, "error");
+      return false;
+    }
+    haltOnDeadLetterThreshold();
+    return true;
+  }
+
+  // Exits before the current batch is checkpointed, so nothing is skipped
+  // once the queue has been replayed and the indexer restarted
+  function haltOnDeadLetterThreshold() {
+    if (config.deadLetterHaltThreshold === 0) return;
+    const pendingCount = deadLetters.pending().length;
+    if (pendingCount > config.deadLetterHaltThreshold) {
+      log(`CRITICAL: ${pendingCount} dead-letter batches pending (threshold ${config.deadLetterHaltThreshold}). Halting; replay them with the replay-dead-letters command.`, "error");
+      process.exit(1);
+    }
+  }
+
+  // `replay-dead-letters [--id <id>]` writes pending batches through the
+  // normal upsert path, reruns the derived-data hook for them and marks them
+  // resolved. Confirmation flags are recomputed against the current height.
+  async function replayDeadLetters(args = []) {
+    const flags = parseFlags(args);
+    const unknown = Object.keys(flags).filter((flag) => flag !== "id");
+    if (unknown.length > 0) throw new Error(`Unknown replay-dead-letters option(s): ${unknown.map((flag) => `--${flag}`).join(", ")}`);
+
+    const batches = deadLetters.pending().filter((batch) => flags.id === undefined || batch.id === flags.id);
+    if (flags.id !== undefined && batches.length === 0) throw new Error(`No pending dead letter with id ${flags.id}`);
+    if (batches.length === 0) {
+      log(`No pending dead letters in ${deadLetters.path}`, "startup");
+      return;
+    }
+
+    await runMigrations();
+    if (!(await testStorageConnection())) {
+      throw new Error(`${storage.name} storage connection test failed`);
+    }
+    const { client } = await createHypersyncClientWithFallback();
+    const height = await client.getHeight();
+
+    const failed = [];
+    for (const batch of batches) {
+      const rows = batch.rows.map((row) => ({ ...row, confirmed: isConfirmed(row.block_number, height) }));
+      const result = await batchUpsertEventsWithRetry(batch.table, rows);
+      const committed = result.success && (!definition.afterCommit || (await definition.afterCommit({ [batch.table]: rows })));
+      if (!committed) {
+        failed.push(batch.id);
+        log(`Dead letter ${batch.id} could not be replayed; it stays queued`, "error");
+        continue;
+      }
+      await deadLetters.resolve(batch.id);
+      log(`Replayed dead letter ${batch.id}: ${rows.length} rows into ${batch.table} (blocks ${batch.fromBlock}-${batch.toBlock})`, "startup");
+    }
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} of ${batches.length} dead letter(s) could not be replayed`);
+    }
+  }
+
+  // --- JSON API Routes ---
+  async function handleApiRequest(req, res, url) {
+    const route = (definition.routes || []).find(({ pattern }) => pattern.test(url.pathname));
+    if (!route) return false;
+
+    const headers = {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    };
+    if (req.method !== "GET") {
+      res.writeHead(405, { ...headers, Allow: "GET" });
+      res.end(JSON.stringify({ error: "Method not allowed" }));
+      return true;
+    }
+    // Most routes read views and SQL functions created by the migrations
+    if (!storage.sql && route.sql !== false) {
+      res.writeHead(501, headers);
+      res.end(JSON.stringify({ error: `Not available with ${storage.name} storage` }));
+      return true;
+    }
+
+    try {
+      const params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+      const body = await route.handler(params, url.searchParams);
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(body, null, 2));
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        log(`API error on ${url.pathname}: ${error.message || JSON.stringify(error)}`, "error");
+      }
+      res.writeHead(statusCode, headers);
+      res.end(JSON.stringify({ error: error.message || "Internal server error" }, null, 2));
+    }
+    return true;
+  }
+
+  // --- Live Event Feed ---
+  const liveFeed = createLiveFeed({
+    storage,
+    events,
+    rowFilters: contractFilters,
+    contractOf: (row) => (definition.contractColumn ? row[definition.contractColumn] : contractAddresses[0]),
+    snapshot: () => ({
+      currentBlock,
+      chainHeight: latestChainHeight,
+      contracts: [...contracts.values()].map((contract) => ({
+        address: contract.address,
+        nextBlock: contract.nextBlock,
+        ...(definition.contractStatus ? definition.contractStatus(contract) : {}),
+      })),
+      ...(definition.status ? definition.status() : {}),
+    }),
+    log,
+  });
+
+  // --- Simplified JSON Status Server ---
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    // Health check for all RPCs
+    if (url.pathname === '/health/rpcs') {
+      const rpcStatuses = [];
+      const availableRpcs = hypersyncUrlsFor(config);
+
+      for (let i = 0; i < availableRpcs.length; i++) {
+        const rpcUrl = availableRpcs[i];
+        try {
+          const testClient = createHypersyncClient(rpcUrl, 10000);
+
+          const startTime = Date.now();
+          const height = await testClient.getHeight();
+          const responseTime = Date.now() - startTime;
+
+          rpcStatuses.push({
+            url: rpcUrl,
+            status: 'healthy',
+            height: height,
+            responseTime: responseTime,
+            active: i === currentRpcIndex
+          });
+        } catch (error) {
+          rpcStatuses.push({
+            url: rpcUrl,
+            status: 'unhealthy',
+            error: error.message,
+            active: i === currentRpcIndex
+          });
+        }
+      }
+
+      const healthyCount = rpcStatuses.filter(rpc => rpc.status === 'healthy').length;
+      const overallStatus = healthyCount > 0 ? 'healthy' : 'unhealthy';
+
+      res.writeHead(overallStatus === 'healthy' ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        overall: overallStatus,
+        network: config.network,
+        healthyRpcs: healthyCount,
+        totalRpcs: availableRpcs.length,
+        currentRpc: currentRpcUrl,
+        rpcs: rpcStatuses,
+        timestamp: new Date().toISOString()
+      }, null, 2));
+      return;
+    }
+
+    // Single RPC health check
+    if (url.pathname === '/health') {
+      try {
+        if (!hypersyncClient || !currentRpcUrl) {
+          throw new Error('No active Hypersync client');
+        }
+        const height = await hypersyncClient.getHeight();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          status: 'healthy',
+          hypersync: 'connected',
+          rpc: currentRpcUrl,
+          height: height,
+          network: config.network
+        }, null, 2));
+      } catch (error) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          status: 'unhealthy',
+          hypersync: 'disconnected',
+          rpc: currentRpcUrl || 'none',
+          error: error.message,
+          network: config.network
+        }, null, 2));
+      }
+      return;
+    }
+
+    // Prometheus scrape endpoint
+    if (url.pathname === '/metrics') {
+      try {
+        const body = metrics.render();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`${error.message}\n`);
+      }
+      return;
+    }
+
+    // Pending dead letters, without their rows
+    if (url.pathname === '/dead-letters') {
+      try {
+        const batches = deadLetters.pending().map(({ rows, op, ...batch }) => ({ ...batch, rowCount: rows.length }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ path: deadLetters.path, pending: batches.length, batches }, null, 2));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }, null, 2));
+      }
+      return;
+    }
+
+    // Server-Sent Events feed of committed events
+    if (url.pathname === '/stream') {
+      try {
+        await liveFeed.handle(req, res, url);
+      } catch (error) {
+        if (!res.headersSent) {
+          res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }, null, 2));
+        }
+      }
+      return;
+    }
+
+    // Indexer-specific routes
+    if (await handleApiRequest(req, res, url)) {
+      return;
+    }
+
+    // Default status endpoint
+    const totalEvents = events.reduce((sum, event) => sum + eventCounts[event.name], 0);
+    const uptimeSeconds = ((performance.now() - startTime) / 1000);
+    const eventsPerSecond = uptimeSeconds > 0 ? (totalEvents / uptimeSeconds).toFixed(2) : "0.00";
+    const dbOpsPerSecond = uptimeSeconds > 0 ? (eventCounts.SupabaseEventsUpserted / uptimeSeconds).toFixed(2) : "0.00";
+
+    const status = {
+      status: "running",
+      uptimeSeconds: Math.floor(uptimeSeconds),
+      network: config.network,
+      currentBlock,
+      checkpointHeld,
+      reorgTracking: {
+        lastTrackedBlock: lastTrackedBlock?.number ?? null,
+        reorgDepth: config.reorgDepth,
+        confirmations: config.confirmations,
+      },
+      processingRate: {
+        eventsPerSecond,
+        dbOpsPerSecond,
+      },
+      rpcStatus: {
+        currentRpc: currentRpcUrl || "Not connected",
+        availableRpcs: hypersyncUrlsFor(config),
+      },
+      contracts: [...contracts.values()].map((contract) => ({
+        address: contract.address,
+        startBlock: contract.startBlock,
+        nextBlock: contract.nextBlock,
+        checkpointBlock: contract.checkpointBlock,
+        ...(definition.contractStatus ? definition.contractStatus(contract) : {}),
+        eventStatistics: contract.eventCounts,
+      })),
+      ...(definition.status ? definition.status() : {}),
+      eventStatistics: eventCounts,
+    };
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(status, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value,
+    2));
+  });
+
+  // --- Historical Backfill ---
+  // `backfill --from <block> --to <block> [--range-size <blocks>] [--workers <n>]`
+  // splits [from, to] into ranges, fetches them concurrently and writes them in
+  // block order through the same upsert path. Finished ranges are recorded in
+  // backfill_ranges so a rerun only picks up the missing ones. `to` has to be
+  // at least reorgDepth blocks behind the tip; once every range is done the
+  // checkpoints move to to + 1 and the live indexer carries on from there.
+  async function loadCompletedRanges(fromBlock, toBlock) {
+    const { data, error } = await storage.select("backfill_ranges", {
+      columns: ["from_block", "to_block"],
+      filters: trackingFilters(["from_block", "lte", toBlock], ["to_block", "gte", fromBlock]),
+    });
+
+    if (error) {
+      throw new Error(`Failed to load backfill ranges: ${error.message || JSON.stringify(error)}`);
+    }
+    return (data || []).map((row) => ({ from: Number(row.from_block), to: Number(row.to_block) }));
+  }
+
+  // Whether the ranges together cover every block in [fromBlock, toBlock]
+  function coversBlocks(ranges, fromBlock, toBlock) {
+    let next = fromBlock;
+    for (const range of [...ranges].sort((a, b) => a.from - b.from)) {
+      if (range.from > next) break;
+      next = Math.max(next, range.to + 1);
+    }
+    return next > toBlock;
+  }
+
+  async function markRangeCompleted(range) {
+    const { error } = await storage.upsert(
+      "backfill_ranges",
+      [{
+        source: BLOCK_TRACKING_SOURCE,
+        network: config.network,
+        from_block: range.from,
+        to_block: range.to,
+        completed_at: new Date().toISOString(),
+      }],
+      { onConflict: ["source", "network", "from_block", "to_block"] }
+    );
+    if (error) {
+      // The range is simply indexed again on the next run
+      log(`Failed to record backfill range ${range.from}-${range.to}: ${error.message || JSON.stringify(error)}`, "error");
+    }
+  }
+
+  // Fetches one inclusive block range. Resolves to its responses in block
+  // order, each with the chain height to confirm its rows against, or to null
+  // if a request kept failing or the backfill is stopping.
+  async function fetchRange(client, range, shouldStop) {
+    const responses = [];
+    let fromBlock = range.from;
+    let attempts = 0;
+
+    while (fromBlock <= range.to) {
+      if (shouldStop()) return null;
+      try {
+        const res = await client.get(buildQuery(fromBlock, range.to + 1));
+        responses.push({ res, chainHeight: res.archiveHeight ?? await client.getHeight() });
+        attempts = 0;
+        if (!res.nextBlock || res.nextBlock <= fromBlock) break;
+        fromBlock = res.nextBlock;
+      } catch (error) {
+        attempts++;
+        log(`Backfill range ${range.from}-${range.to} error at block ${fromBlock} (Attempt ${attempts}/${config.maxRetries}): ${error.message}`, "error");
+        if (attempts >= config.maxRetries) return null;
+        await new Promise((resolve) => setTimeout(resolve, Math.min(Math.pow(2, attempts - 1) * config.retryBaseDelay, 30000)));
+      }
+    }
+    return responses;
+  }
+
+  // Writes a fetched range. Returns false if any batch was not committed.
+  async function commitRange(decoder, range, responses) {
+    try {
+      for (const { res, chainHeight } of responses) {
+        if (!(await processResponse(res, decoder, chainHeight))) return false;
+      }
+      return true;
+    } catch (error) {
+      log(`Backfill range ${range.from}-${range.to} could not be written: ${error.message}`, "error");
+      return false;
+    }
+  }
+
+  async function backfill(args = []) {
+    const flags = parseFlags(args);
+    const unknown = Object.keys(flags).filter((flag) => !["from", "to", "range-size", "workers"].includes(flag));
+    if (unknown.length > 0) throw new Error(`Unknown backfill option(s): ${unknown.map((flag) => `--${flag}`).join(", ")}`);
+    const rangeSize = Number(flags["range-size"] ?? config.backfillRangeSize);
+    const workers = Number(flags.workers ?? config.backfillWorkers);
+    const fromBlock = Number(flags.from ?? Math.min(...definition.contracts.map((contract) => contract.startBlock)));
+    if (!Number.isSafeInteger(rangeSize) || rangeSize < 1) throw new Error("--range-size must be a positive integer");
+    if (!Number.isSafeInteger(workers) || workers < 1) throw new Error("--workers must be a positive integer");
+    if (!Number.isSafeInteger(fromBlock) || fromBlock < 0) throw new Error("--from must be a block number");
+
+    await runMigrations();
+    if (!(await testStorageConnection())) {
+      throw new Error(`${storage.name} storage connection test failed`);
+    }
+
+    const { client, rpcUrl } = await createHypersyncClientWithFallback();
+    hypersyncClient = client;
+    const height = await client.getHeight();
+    const safeTip = height - config.reorgDepth;
+    const toBlock = Number(flags.to ?? safeTip);
+    if (!Number.isSafeInteger(toBlock) || toBlock < fromBlock) {
+      throw new Error(`--to must be a block number no lower than --from (${fromBlock})`);
+    }
+    if (toBlock > safeTip) {
+      throw new Error(`--to ${toBlock} is within ${config.reorgDepth} blocks of the tip (${height}); use ${safeTip} or lower`);
+    }
+
+    await adoptLegacyTracking();
+    const completed = await loadCompletedRanges(fromBlock, toBlock);
+    const ranges = [];
+    for (let from = fromBlock; from <= toBlock; from += rangeSize) {
+      const range = { from, to: Math.min(from + rangeSize - 1, toBlock) };
+      if (!completed.some((done) => done.from <= range.from && done.to >= range.to)) ranges.push(range);
+    }
+    const total = Math.ceil((toBlock - fromBlock + 1) / rangeSize);
+    log(`🚀 Backfilling blocks ${fromBlock}-${toBlock} using ${rpcUrl}: ${ranges.length}/${total} range(s) to do, ${workers} worker(s)`, "startup");
+
+    // Ctrl+C lets in-flight requests finish but leaves their ranges unrecorded
+    let stopping = false;
+    const stop = () => {
+      if (!stopping) log("Stopping backfill; unfinished ranges are picked up on the next run.", "startup");
+      stopping = true;
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    // Handlers fold in-memory state as they go, so a contract whose history
+    // began before the first range to write starts from its stored state
+    if (ranges.length > 0) {
+      const resumed = [...contracts.values()].filter(
+        (contract) => contract.startBlock < ranges[0].from && contract.startBlock <= toBlock
+      );
+      if (resumed.length > 0 && !definition.restoreState) {
+        process.removeListener("SIGINT", stop);
+        process.removeListener("SIGTERM", stop);
+        throw new Error(`${definition.name} cannot restore its state at block ${ranges[0].from}; backfill from the contracts' start block instead`);
+      }
+      for (const contract of resumed) {
+        await definition.restoreState(contract, ranges[0].from);
+        log(`${contract.address}: restored state as of block ${ranges[0].from - 1}`, "startup");
+      }
+    }
+
+    const decoder = Decoder.fromSignatures(events.map((event) => event.signature));
+    let done = total - ranges.length;
+    let halted = false;
+    const queue = [...ranges];
+    // Ranges are fetched concurrently but written one after another in block
+    // order, since the event handlers fold in-memory state (game rounds, the
+    // pool's latest price) as they go. Each worker waits for its range to be
+    // written before fetching another, so at most `workers` ranges are held.
+    // Once a range fails nothing after it is written or recorded, so the
+    // finished ranges stay a contiguous run that a rerun continues in order.
+    let previousCommit = Promise.resolve(true);
+    const shouldStop = () => stopping || halted;
+    await Promise.all(
+      Array.from({ length: Math.min(workers, queue.length) }, async () => {
+        while (!shouldStop() && queue.length > 0) {
+          const range = queue.shift();
+          const fetched = fetchRange(client, range, shouldStop);
+          const commit = previousCommit.then(async (inOrder) => {
+            if (!inOrder) return false;
+            const responses = await fetched;
+            if (responses === null || !(await commitRange(decoder, range, responses))) {
+              if (!stopping) log(`Backfill range ${range.from}-${range.to} was not committed; stopping so later ranges wait for it. Rerun backfill to continue.`, "error");
+              halted = true;
+              return false;
+            }
+            await markRangeCompleted(range);
+            done++;
+            log(`📊 Backfill: blocks ${range.from}-${range.to} done (${done}/${total} ranges)`, "normal");
+            return true;
+          });
+          previousCommit = commit;
+          await commit;
+        }
+      })
+    );
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+
+    if (stopping || halted) {
+      throw new Error(`Backfill incomplete: ${total - done} of ${total} range(s) still missing`);
+    }
+
+    // Hand over to the live indexer, without moving any checkpoint backwards
+    // or past blocks that were never indexed. A contract resumes from its
+    // checkpoint, or its start block without one; it only moves to toBlock + 1
+    // if everything from there up to fromBlock was indexed before.
+    await loadCheckpoints();
+    const due = [];
+    for (const contract of contracts.values()) {
+      if (contract.startBlock > toBlock || (contract.checkpointBlock ?? 0) >= toBlock + 1) continue;
+      const resumeFrom = contract.checkpointBlock ?? contract.startBlock;
+      if (resumeFrom >= fromBlock || coversBlocks(await loadCompletedRanges(resumeFrom, fromBlock - 1), resumeFrom, fromBlock - 1)) {
+        due.push(contract);
+      } else {
+        log(`${contract.address}: blocks ${resumeFrom}-${fromBlock - 1} have not been indexed, so its checkpoint stays at block ${resumeFrom}. Backfill from ${resumeFrom} to cover them.`, "error");
+      }
+    }
+    if (due.length > 0 && !(await saveCheckpoints(toBlock + 1, due))) {
+      throw new Error(`Backfill finished but checkpoints could not be moved to block ${toBlock + 1}`);
+    }
+    log(`✅ Backfill of blocks ${fromBlock}-${toBlock} complete. ${due.length} of ${contracts.size} contract(s) resume live from block ${toBlock + 1}.`, "startup");
+  }
+
+  // --- Enhanced Main Function with Comprehensive RPC Fallback ---
+  async function main() {
+    const runStartTime = performance.now();
+    let lastTipReachedTime = 0;
+    const chainTipReportInterval = 5 * 60 * 1000;
+    let stream;
+    const maxConsecutiveFailures = 5;
+
+    server.listen(config.statusPort, "0.0.0.0", () => {
+      log(`Status web server running on port ${server.address().port}`, "startup");
+    });
+
+    // Bring the schema up to date first
+    await runMigrations();
+
+    // Test the storage connection
+    const connectionOk = await testStorageConnection();
+    if (!connectionOk) {
+      log(`CRITICAL: ${storage.name} storage connection test failed after setup. Exiting.`, "error");
+      process.exit(1);
+    }
+    haltOnDeadLetterThreshold();
+
+    // Resume each contract from its last committed checkpoint, if any. The
+    // stream starts at the earliest block any contract still needs.
+    try {
+      await loadCheckpoints();
+      for (const contract of contracts.values()) {
+        if (contract.nextBlock > contract.startBlock) {
+          log(`📍 ${contract.address}: resuming from checkpoint at block ${contract.nextBlock}`, "startup");
+        } else {
+          log(`${contract.address}: no checkpoint found, starting from block ${contract.startBlock}`, "startup");
+        }
+      }
+      currentBlock = Math.min(...[...contracts.values()].map((contract) => contract.nextBlock));
+      await adoptLegacyTracking();
+      await loadLastTrackedBlock();
+      // Rows written before a restart may still be waiting for confirmations
+      unconfirmedRange = { from: 0, to: currentBlock };
+    } catch (e) {
+      log(`CRITICAL: ${e.message}. Exiting.`, "error");
+      process.exit(1);
+    }
+
+    if (definition.onStart) {
+      await definition.onStart();
+    }
+
+    const decoder = Decoder.fromSignatures(events.map((event) => event.signature));
+
+    // Main retry loop with RPC fallback
+    while (true) {
+      try {
+        // Create Hypersync client with RPC fallback
+        const clientResult = await createHypersyncClientWithFallback();
+        hypersyncClient = clientResult.client;
+
+        log(`🚀 Starting ${definition.name} using ${clientResult.rpcUrl}`, "startup");
+        log(`Network: ${config.network}, Contracts: ${contractAddresses.join(", ")}, Resume Block: ${currentBlock}`, "startup");
+
+        let height = await hypersyncClient.getHeight();
+        latestChainHeight = height;
+        log(`Initial chain height: ${height}`, "startup");
+
+        // Make sure the blocks we stopped at are still canonical before resuming
+        const startupForkBlock = await checkForReorg(hypersyncClient);
+        if (startupForkBlock !== null) {
+          await rollbackToBlock(startupForkBlock);
+        }
+
+        let query = buildQuery(currentBlock);
+
+        log(`Starting event stream from block ${query.fromBlock}...`, "startup");
+        stream = await createStreamWithFallback(hypersyncClient, query);
+
+        let lastProgressLogBlock = currentBlock;
+        consecutiveFailures = 0;
+
+        // Main event processing loop
+        while (true) {
+          try {
+            const res = await stream.recv();
+
+            if (res === null) {
+              // Reached chain tip logic
+              const now = Date.now();
+              if (now - lastTipReachedTime > chainTipReportInterval) {
+                log(`⏳ Reached chain tip at block ${currentBlock} on ${currentRpcUrl}. Waiting...`, "verbose");
+                lastTipReachedTime = now;
+              }
+              await new Promise((resolve) => setTimeout(resolve, config.pollingInterval));
+
+              try {
+                const newHeight = await hypersyncClient.getHeight();
+                if (newHeight > height) {
+                  log(`📈 Chain advanced to ${newHeight}. Re-querying...`, "verbose");
+                  await stream.close();
+                  height = newHeight;
+                  latestChainHeight = newHeight;
+                  const forkBlock = await checkForReorg(hypersyncClient);
+                  if (forkBlock !== null) {
+                    await rollbackToBlock(forkBlock);
+                  }
+                  await confirmSettledRows(newHeight);
+                  query.fromBlock = currentBlock;
+                  stream = await createStreamWithFallback(hypersyncClient, query);
+                  streamRestarts.inc({ reason: "new_blocks" });
+                }
+              } catch (err) {
+                log(`Error checking height: ${err.message}`, "error");
+                throw err;
+              }
+              continue;
+            }
+
+            consecutiveFailures = 0;
+            const chainHeight = res.archiveHeight ?? height;
+            latestChainHeight = Math.max(latestChainHeight ?? 0, chainHeight);
+
+            const committed = await processResponse(res, decoder, chainHeight, { notify: true });
+            if (!checkpointHeld && !committed) {
+              checkpointHeld = true;
+              log(`Checkpoints held: a batch starting at block ${currentBlock} was not committed. Restart to re-stream from there.`, "error");
+            }
+
+            // Update block position
+            const previousBlock = currentBlock;
+            if (res.nextBlock) {
+              currentBlock = res.nextBlock;
+
+              if (currentBlock - lastProgressLogBlock >= 10000) {
+                const seconds = (performance.now() - runStartTime) / 1000;
+                const totalEvents = events.reduce((sum, event) => sum + eventCounts[event.name], 0);
+                log(`📊 Progress: Block ${currentBlock} | ${totalEvents} events | ${eventCounts.SupabaseEventsUpserted} DB upserts | ${eventCounts.SupabaseErrors} DB errors | ${seconds.toFixed(1)}s | RPC: ${currentRpcUrl}`, "normal");
+                lastProgressLogBlock = currentBlock;
+              }
+            } else if (res.data && res.data.logs && res.data.logs.length > 0) {
+              const lastLogBlock = res.data.logs[res.data.logs.length - 1]?.blockNumber;
+              if (lastLogBlock && lastLogBlock >= currentBlock) {
+                currentBlock = lastLogBlock + 1;
+                log(`Advanced currentBlock to ${currentBlock} based on last log at tip`, "verbose");
+              }
+            }
+
+            if (currentBlock > previousBlock) {
+              query.fromBlock = currentBlock;
+              const forkBlock = await trackRecentBlocks(hypersyncClient, previousBlock, currentBlock, chainHeight);
+              if (forkBlock !== null) {
+                await rollbackToBlock(forkBlock);
+                await stream.close();
+                query.fromBlock = currentBlock;
+                stream = await createStreamWithFallback(hypersyncClient, query);
+                streamRestarts.inc({ reason: "reorg" });
+                continue;
+              }
+              await commitCheckpoints(currentBlock);
+            }
+
+          } catch (streamError) {
+            consecutiveFailures++;
+            log(`Stream error (${consecutiveFailures}/${maxConsecutiveFailures}): ${streamError.message}`, "error");
+
+            if (consecutiveFailures >= maxConsecutiveFailures) {
+              log(`Too many consecutive stream failures, breaking to retry with different RPC`, "error");
+              throw streamError;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            // The client ends a stream after an error, and its next recv()
+            // returns null as if at the tip; resume from the last committed block
+            await stream.close();
+            query.fromBlock = currentBlock;
+            stream = await createStreamWithFallback(hypersyncClient, query);
+            streamRestarts.inc({ reason: "error" });
+          }
+        }
+
+      } catch (error) {
+        consecutiveFailures++;
+        log(`💥 Main loop error (${consecutiveFailures}): ${error.message}`, "error");
+
+        let retryDelay;
+
+        if (isConnectionFailure(error, ['503', 'Service Unavailable', 'timeout', 'ECONNREFUSED', 'fetch'])) {
+          log(`🔄 Connection error detected, will try different RPC endpoint`, "error");
+          retryDelay = 5000;
+          switchToNextRpc(config.network);
+        } else {
+          log(`⚠️ Non-connection error, using exponential backoff`, "error");
+          retryDelay = Math.min(1000 * Math.pow(2, consecutiveFailures), 60000);
+        }
+
+        // Clean up existing connections
+        if (stream) {
+          try {
+            await stream.close();
+          } catch (closeError) {
+            log(`Error closing stream: ${closeError.message}`, "error");
+          }
+          stream = null;
+        }
+
+        hypersyncClient = null;
+        streamRestarts.inc({ reason: "error" });
+
+        log(`⏱️ Retrying main loop in ${retryDelay}ms...`, "startup");
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  return {
+    config,
+    log,
+    storage,
+    contracts,
+    eventCounts,
+    metrics,
+    runMigrations,
+    rpcWithRetry,
+    backfill,
+    replayDeadLetters,
+    notify: (items) => notifier?.handleEvents(items),
+    main,
+  };
+}
+
+// Wraps a command that takes no options, so a stray or misspelled flag is
+// reported instead of ignored
+export const withoutOptions = (run) => async (args = []) => {
+  if (args.length > 0) throw new Error(`Unexpected argument(s): ${args.join(" ")}`);
+  return run();
+};
+
+// --- Start the application ---
+// `node <script>` runs the indexer; `node <script> <command> [args]` runs a
+// maintenance task. argv is what is left once the config flags are taken out.
+export function runCli(indexer, commands = {}, argv = process.argv.slice(2)) {
+  const available = {
+    migrate: withoutOptions(indexer.runMigrations),
+    backfill: indexer.backfill,
+    "replay-dead-letters": indexer.replayDeadLetters,
+    ...commands,
+  };
+  const [command, ...args] = argv;
+  if (command?.startsWith("--")) {
+    indexer.log(`Unknown option: ${command}. Run with --help to list the options.`, "error");
+    process.exit(1);
+  }
+  if (command && !available[command]) {
+    indexer.log(`Unknown command: ${command}. Available commands: ${Object.keys(available).join(", ")}`, "error");
+    process.exit(1);
+  }
+
+  (command ? available[command](args) : indexer.main())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      indexer.log(`Unhandled error in main execution: ${error.message}`, "error");
+      indexer.log(`Stack Trace: ${error.stack}`, "error");
+      process.exit(1);
+    });
+}
@@ -0,0 +1,106 @@
+// lib/last-tap-events.js
+// Tapped and RoundEnded processing for run.js, kept apart from streaming and
+// storage. Each processor takes a decoded log and the contract's game state
+// and returns { row, state, logs }: the row to store (null to skip the log),
+// the game state after the event and the lines to log. Addresses in rows are
+// lower-cased. They read no clock and do no I/O, so the same log always gives
+// the same result.
+import { formatAddress, formatUnits, secondsToDate } from "./format.js";
+
+export const formatTokens = (wei) =>
+  wei === null || wei === undefined ? "N/A" : `${formatUnits(wei, 18, 4)} TAP`;
+
+const skipped = (state, message) => ({ row: null, state, logs: [{ level: "error", message }] });
+
+// Round deadlines are compared against the clock as numbers; one past the safe
+// integer range can never be reached, so it is stored but not tracked
+function deadlineOf(newEndTime) {
+  const deadline = Number(newEndTime);
+  return Number.isSafeInteger(deadline) ? deadline : null;
+}
+
+// The game state after a Tapped or RoundEnded row, whether just built from a
+// log or read back from storage
+export function applyGameRow(state, eventName, row) {
+  if (eventName === "Tapped") {
+    return {
+      ...state,
+      currentRound: String(row.round_number),
+      lastTapper: row.player,
+      tapCost: String(row.cost),
+      deadline: deadlineOf(row.new_end_time),
+    };
+  }
+  return {
+    ...state,
+    lastWinner: row.winner,
+    lastPrize: String(row.prize),
+    // Round numbers are uint256; BigInt keeps them exact past 2^53
+    currentRound: (BigInt(row.round_number) + 1n).toString(),
+    deadline: null,
+  };
+}
+
+export function processTapped({ decoded, rawLog, contractAddress }, state) {
+  const roundNumber = decoded.indexed[0]?.val?.toString();
+  const player = decoded.indexed[1]?.val?.toString();
+  const cost = decoded.body[0]?.val?.toString();
+  const newEndTime = decoded.body[1]?.val?.toString();
+  const timestamp = decoded.body[2]?.val?.toString();
+  if (!roundNumber || !player || !cost || !newEndTime || !timestamp) {
+    return skipped(state, `Missing data in Tapped event: Tx ${formatAddress(rawLog.transactionHash)}, Log ${rawLog.logIndex}. Skipping.`);
+  }
+  const eventTimestamp = secondsToDate(timestamp);
+  if (!eventTimestamp) {
+    return skipped(state, `Invalid timestamp ${timestamp} in Tapped event: Tx ${formatAddress(rawLog.transactionHash)}, Log ${rawLog.logIndex}. Skipping.`);
+  }
+
+  const row = {
+    round_number: roundNumber,
+    player: player.toLowerCase(),
+    cost,
+    new_end_time: newEndTime,
+    timestamp,
+    event_timestamp: eventTimestamp.toISOString(),
+    contract_address: contractAddress.toLowerCase(),
+  };
+  return {
+    row,
+    state: applyGameRow(state, "Tapped", row),
+    logs: [{
+      level: "event",
+      message: `TAPPED | ${formatAddress(contractAddress)} | Blk: ${rawLog.blockNumber} | Rnd: ${roundNumber} | Player: ${formatAddress(player)} | Cost: ${formatTokens(cost)} | ${eventTimestamp.toISOString()}`,
+    }],
+  };
+}
+
+export function processRoundEnded({ decoded, rawLog, contractAddress }, state) {
+  const roundNumber = decoded.indexed[0]?.val?.toString();
+  const winner = decoded.indexed[1]?.val?.toString();
+  const prize = decoded.body[0]?.val?.toString();
+  const timestamp = decoded.body[1]?.val?.toString();
+  if (!roundNumber || !winner || !prize || !timestamp) {
+    return skipped(state, `Missing data in RoundEnded event: Tx ${formatAddress(rawLog.transactionHash)}, Log ${rawLog.logIndex}. Skipping.`);
+  }
+  const eventTimestamp = secondsToDate(timestamp);
+  if (!eventTimestamp) {
+    return skipped(state, `Invalid timestamp ${timestamp} in RoundEnded event: Tx ${formatAddress(rawLog.transactionHash)}, Log ${rawLog.logIndex}. Skipping.`);
+  }
+
+  const row = {
+    round_number: roundNumber,
+    winner: winner.toLowerCase(),
+    prize,
+    timestamp,
+    event_timestamp: eventTimestamp.toISOString(),
+    contract_address: contractAddress.toLowerCase(),
+  };
+  return {
+    row,
+    state: applyGameRow(state, "RoundEnded", row),
+    logs: [{
+      level: "event",
+      message: `ROUND END | ${formatAddress(contractAddress)} | Blk: ${rawLog.blockNumber} | Rnd: ${roundNumber} | Winner: ${formatAddress(winner)} | Prize: ${formatTokens(prize)} | ${eventTimestamp.toISOString()}`,
+    }],
+  };
+}
@@ -0,0 +1,150 @@
+// lib/last-tap-history.js
+// In-memory index of Tapped/RoundEnded rows for the terminal UI's round and
+// player browser and its charts. Rows are added in chain order as the replay
+// or the live stream produces them; amounts stay BigInt-exact and come back as
+// strings. Chart series use chain time, so a replay charts like the original.
+
+const compareBigInt = (a, b) => (BigInt(a) > BigInt(b) ? 1 : BigInt(a) < BigInt(b) ? -1 : 0);
+const byRoundDesc = (a, b) => compareBigInt(b.round, a.round);
+const minuteOf = (timestamp) => Math.floor(new Date(timestamp).getTime() / 60000);
+const sum = (rows, column) => rows.reduce((total, row) => total + BigInt(row[column]), 0n).toString();
+
+export function createGameHistory() {
+  let rounds = new Map(); // round number -> { round, taps, end }
+  let players = new Map(); // lowercased address -> { address, taps, wins }
+  let tapsByMinute = new Map(); // minute since the epoch -> taps
+  let lastMinute = null;
+  let size = 0;
+
+  const roundOf = (round) => {
+    if (!rounds.has(round)) rounds.set(round, { round, taps: [], end: null });
+    return rounds.get(round);
+  };
+  const playerOf = (address) => {
+    const key = address.toLowerCase();
+    if (!players.has(key)) players.set(key, { address, taps: [], wins: [] });
+    return players.get(key);
+  };
+
+  function summarizeRound({ round, taps, end }) {
+    return {
+      round,
+      taps: taps.length,
+      players: new Set(taps.map((row) => row.player.toLowerCase())).size,
+      spent: sum(taps, "cost"),
+      winner: end?.winner ?? null,
+      prize: end?.prize ?? null,
+      ended: end !== null,
+      lastTapper: taps[taps.length - 1]?.player ?? null,
+      lastTimestamp: (end ?? taps[taps.length - 1])?.event_timestamp ?? null,
+    };
+  }
+
+  return {
+    // Rows added since the last clear
+    get size() { return size; },
+
+    add(eventName, row) {
+      const round = String(row.round_number);
+      if (eventName === "Tapped") {
+        roundOf(round).taps.push(row);
+        playerOf(row.player).taps.push(row);
+        const minute = minuteOf(row.event_timestamp);
+        if (Number.isFinite(minute)) {
+          tapsByMinute.set(minute, (tapsByMinute.get(minute) ?? 0) + 1);
+          lastMinute = Math.max(lastMinute ?? minute, minute);
+        }
+      } else {
+        roundOf(round).end = row;
+        playerOf(row.winner).wins.push(row);
+      }
+      size++;
+    },
+
+    clear() {
+      rounds = new Map();
+      players = new Map();
+      tapsByMinute = new Map();
+      lastMinute = null;
+      size = 0;
+    },
+
+    // Every round seen, newest first
+    rounds() {
+      return [...rounds.values()].map(summarizeRound).sort(byRoundDesc);
+    },
+
+    // A round's summary and its taps in order, or null if it was never seen
+    round(number) {
+      const entry = rounds.get(String(number));
+      return entry ? { ...summarizeRound(entry), tapRows: entry.taps, endRow: entry.end } : null;
+    },
+
+    // Taps in each of the `minutes` minutes up to the latest tap, oldest first
+    tapsPerMinute(minutes) {
+      if (lastMinute === null) return [];
+      return Array.from({ length: minutes }, (_, index) => {
+        const minute = lastMinute - minutes + 1 + index;
+        return { minute: minute * 60000, taps: tapsByMinute.get(minute) ?? 0 };
+      });
+    },
+
+    // The prizes of the last `limit` ended rounds, oldest first
+    prizes(limit) {
+      if (limit <= 0) return [];
+      return [...rounds.values()]
+        .filter(({ end }) => end !== null)
+        .sort((a, b) => compareBigInt(a.round, b.round))
+        .slice(-limit)
+        .map(({ round, end }) => ({ round, prize: end.prize, winner: end.winner }));
+    },
+
+    // The `limit` players with the most taps, ties going to the bigger spender
+    topPlayers(limit) {
+      return [...players.values()]
+        .filter(({ taps }) => taps.length > 0)
+        .map(({ address, taps, wins }) => ({ address, taps: taps.length, spent: sum(taps, "cost"), wins: wins.length }))
+        .sort((a, b) => b.taps - a.taps || compareBigInt(b.spent, a.spent))
+        .slice(0, limit);
+    },
+
+    // A player's totals and the rounds they tapped in or won, newest first.
+    // The win rate counts only ended rounds they took part in.
+    player(address) {
+      const entry = players.get(String(address).toLowerCase());
+      if (!entry) return null;
+      const played = new Map();
+      const roundEntry = (round) => {
+        if (!played.has(round)) {
+          const end = rounds.get(round)?.end ?? null;
+          played.set(round, { round, taps: 0, spent: 0n, ended: end !== null, won: false, prize: null });
+        }
+        return played.get(round);
+      };
+      for (const row of entry.taps) {
+        const item = roundEntry(String(row.round_number));
+        item.taps++;
+        item.spent += BigInt(row.cost);
+      }
+      for (const row of entry.wins) {
+        const item = roundEntry(String(row.round_number));
+        item.won = true;
+        item.prize = row.prize;
+      }
+      const history = [...played.values()]
+        .map((item) => ({ ...item, spent: item.spent.toString() }))
+        .sort(byRoundDesc);
+      const endedRounds = history.filter((item) => item.ended).length;
+      return {
+        address: entry.address,
+        taps: entry.taps.length,
+        spent: sum(entry.taps, "cost"),
+        wins: entry.wins.length,
+        prizes: sum(entry.wins, "prize"),
+        endedRounds,
+        winRate: endedRounds > 0 ? entry.wins.length / endedRounds : null,
+        rounds: history,
+      };
+    },
+  };
+}
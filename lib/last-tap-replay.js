@@ -0,0 +1,108 @@
+// lib/last-tap-replay.js
+// Replays the Tapped/RoundEnded rows run.js stored, for the terminal UI.
+// loadGameEvents reads a contract's rows from any storage backend in chain
+// order; createReplay steps through them, seeks and scales their timing by a
+// speed factor, folding the game state as it goes. Timers, pausing and keys
+// stay with the caller, which waits delay() milliseconds between next() calls.
+import { applyGameRow } from "./last-tap-events.js";
+
+const GAME_TABLES = { Tapped: "tapped_events_2", RoundEnded: "round_ended_events_2" };
+const PAGE_SIZE = 1000;
+
+export const MIN_REPLAY_SPEED = 1 / 16;
+export const MAX_REPLAY_SPEED = 4096;
+
+const compareEvents = (a, b) =>
+  Number(a.row.block_number) - Number(b.row.block_number) || Number(a.row.log_index) - Number(b.row.log_index);
+
+// Resolves to { data: [{ name, row }], error } like the storage calls
+export async function loadGameEvents(storage, contractAddress) {
+  const events = [];
+  for (const [name, table] of Object.entries(GAME_TABLES)) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await storage.select(table, {
+        filters: [["contract_address", "ilike", contractAddress]],
+        order: [["block_number", "asc"], ["log_index", "asc"]],
+        limit: PAGE_SIZE,
+        offset,
+      });
+      if (error) return { data: null, error };
+      for (const row of data) events.push({ name, row });
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+  return { data: events.sort(compareEvents), error: null };
+}
+
+export function createReplay(events, { speed = 1, maxGapMs = 2000 } = {}) {
+  // Events that open a round, for seeking round by round
+  const roundStarts = events
+    .map((event, index) => index)
+    .filter((index) => index === 0 || String(events[index].row.round_number) !== String(events[index - 1].row.round_number));
+
+  let position = 0; // events applied so far
+  let game = {};
+  let counts = { Tapped: 0, RoundEnded: 0 };
+
+  function apply(event) {
+    game = applyGameRow(game, event.name, event.row);
+    counts = { ...counts, [event.name]: counts[event.name] + 1 };
+  }
+
+  const replay = {
+    events,
+    speed: Math.min(Math.max(speed, MIN_REPLAY_SPEED), MAX_REPLAY_SPEED),
+    get position() { return position; },
+    get done() { return position >= events.length; },
+    get game() { return game; },
+    get counts() { return counts; },
+    // The last applied event, if any
+    get current() { return events[position - 1] ?? null; },
+
+    // Applies and returns the next event; null once every event is applied
+    next() {
+      if (position >= events.length) return null;
+      const event = events[position++];
+      apply(event);
+      return event;
+    },
+
+    // Milliseconds to wait before the next event: the on-chain gap between it
+    // and the last one, divided by the speed and capped at maxGapMs
+    delay() {
+      if (position === 0 || position >= events.length) return 0;
+      const gap = Number(events[position].row.timestamp) - Number(events[position - 1].row.timestamp);
+      if (!Number.isFinite(gap) || gap <= 0) return 0;
+      return Math.min((gap * 1000) / replay.speed, maxGapMs);
+    },
+
+    setSpeed(value) {
+      replay.speed = Math.min(Math.max(value, MIN_REPLAY_SPEED), MAX_REPLAY_SPEED);
+      return replay.speed;
+    },
+
+    // Moves so that `target` events are applied. Going back replays from the
+    // start, since the game state only folds forward.
+    seek(target) {
+      const clamped = Math.min(Math.max(Math.trunc(target), 0), events.length);
+      if (clamped < position) {
+        position = 0;
+        game = {};
+        counts = { Tapped: 0, RoundEnded: 0 };
+      }
+      while (position < clamped) apply(events[position++]);
+    },
+
+    // Seeks to just before the next round's first event (direction 1), or
+    // back to the current round's start, or the previous one's if already
+    // there (-1)
+    seekRound(direction) {
+      if (direction > 0) {
+        replay.seek(roundStarts.find((index) => index > position) ?? events.length);
+      } else {
+        replay.seek(roundStarts.filter((index) => index < position).pop() ?? 0);
+      }
+    },
+  };
+  return replay;
+}
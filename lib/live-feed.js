@@ -0,0 +1,172 @@
+// lib/live-feed.js
+// Server-Sent Events feed of committed event rows for the status server.
+// Every event carries `id: <block>:<logIndex>`; a client resumes after that
+// position with ?cursor=<block>:<logIndex> or the Last-Event-ID header that
+// EventSource sends on reconnect. Missed rows are read back from storage
+// before the client joins the live feed, and live rows that arrive during
+// that catch-up are held and sent after it, so nothing is skipped or sent
+// twice. Besides the decoded events the feed sends:
+//   snapshot   indexer state on connect and after every committed batch
+//   rollback   a reorg removed every event at or above data.fromBlock; its id
+//              moves the cursor back so a reconnect replays re-indexed rows
+import { badRequest } from "./errors.js";
+
+const CATCH_UP_PAGE_SIZE = 500;
+const MAX_HELD_EVENTS = 10000; // live rows held per client during catch-up
+const MAX_BUFFERED_BYTES = 1024 * 1024; // slower clients are disconnected
+const HEARTBEAT_INTERVAL = 15000;
+
+const compareKeys = (a, b) => a.block - b.block || a.logIndex - b.logIndex;
+const keyOf = (row) => ({ block: Number(row.block_number), logIndex: Number(row.log_index) });
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+
+function parseCursor(value) {
+  const match = /^(\d+):(-?\d+)$/.exec(value);
+  if (!match) throw badRequest("cursor must look like <block>:<logIndex>");
+  return { block: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+// events are the indexer's { name, table }. rowFilters(...extra) scopes reads
+// to the followed contracts, contractOf(row) names a row's contract and
+// snapshot() returns the current indexer state.
+export function createLiveFeed({ storage, events, rowFilters, contractOf, snapshot, log }) {
+  const eventByTable = new Map(events.map((event) => [event.table, event.name]));
+  const clients = new Set();
+
+  function write(client, chunk) {
+    if (client.closed) return;
+    client.res.write(chunk);
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      log("Live feed client is not keeping up; disconnecting it", "error");
+      close(client);
+    }
+  }
+
+  function close(client) {
+    if (client.closed) return;
+    client.closed = true;
+    clients.delete(client);
+    clearInterval(client.heartbeat);
+    client.res.end();
+  }
+
+  function sendEvent(client, { event, row, contract }) {
+    const key = keyOf(row);
+    if (client.cursor && compareKeys(key, client.cursor) <= 0) return;
+    client.cursor = key;
+    if (client.events && !client.events.has(event)) return;
+    write(client, `id: ${key.block}:${key.logIndex}\nevent: ${event}\ndata: ${toJson({ event, contract, ...row })}\n\n`);
+  }
+
+  const snapshotMessage = () => `event: snapshot\ndata: ${toJson(snapshot())}\n\n`;
+
+  // Next page of one table's rows after the cursor, in log order. A page
+  // shorter than CATCH_UP_PAGE_SIZE means the table has nothing more.
+  async function nextPage(table, cursor) {
+    const order = [["block_number", "asc"], ["log_index", "asc"]];
+    const sameBlock = await storage.select(table, {
+      filters: rowFilters(["block_number", "eq", cursor.block], ["log_index", "gt", cursor.logIndex]),
+      order,
+      limit: CATCH_UP_PAGE_SIZE,
+    });
+    if (sameBlock.error) throw sameBlock.error;
+    if (sameBlock.data.length === CATCH_UP_PAGE_SIZE) return sameBlock.data;
+    const later = await storage.select(table, {
+      filters: rowFilters(["block_number", "gt", cursor.block]),
+      order,
+      limit: CATCH_UP_PAGE_SIZE - sameBlock.data.length,
+    });
+    if (later.error) throw later.error;
+    return sameBlock.data.concat(later.data);
+  }
+
+  // Merges one page from every table. Rows past the end of the shortest full
+  // page wait for the next round, since that table may have earlier ones.
+  async function catchUp(client) {
+    const tables = [...eventByTable.keys()].filter((table) => !client.events || client.events.has(eventByTable.get(table)));
+    while (!client.closed) {
+      const pages = await Promise.all(tables.map(async (table) => ({ table, rows: await nextPage(table, client.cursor) })));
+      const full = pages.filter(({ rows }) => rows.length === CATCH_UP_PAGE_SIZE);
+      const boundary = full.length > 0 ? full.map(({ rows }) => keyOf(rows[rows.length - 1])).sort(compareKeys)[0] : null;
+      const rows = pages
+        .flatMap(({ table, rows }) => rows.map((row) => ({ event: eventByTable.get(table), row })))
+        .filter(({ row }) => !boundary || compareKeys(keyOf(row), boundary) <= 0)
+        .sort((a, b) => compareKeys(keyOf(a.row), keyOf(b.row)));
+      for (const item of rows) sendEvent(client, { ...item, contract: contractOf(item.row) });
+      if (!boundary) return;
+    }
+  }
+
+  async function handle(req, res, url) {
+    const lastEventId = url.searchParams.get("cursor") ?? req.headers["last-event-id"];
+    const cursor = lastEventId ? parseCursor(lastEventId) : null;
+    const eventNames = url.searchParams.get("events");
+    const selected = eventNames ? new Set(eventNames.split(",").map((name) => name.trim())) : null;
+    const unknown = selected ? [...selected].filter((name) => !events.some((event) => event.name === name)) : [];
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown event(s): ${unknown.join(", ")}. Available events: ${events.map((event) => event.name).join(", ")}`);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.write("retry: 3000\n\n");
+
+    const client = { res, cursor, events: selected, held: cursor ? [] : null, closed: false };
+    client.heartbeat = setInterval(() => write(client, ": ping\n\n"), HEARTBEAT_INTERVAL);
+    req.on("close", () => close(client));
+    clients.add(client);
+    write(client, snapshotMessage());
+
+    if (!cursor) return;
+    try {
+      await catchUp(client);
+      for (const item of client.held) {
+        if (item.rollback !== undefined) sendRollback(client, item.rollback);
+        else sendEvent(client, item);
+      }
+      client.held = null;
+      write(client, snapshotMessage());
+    } catch (error) {
+      log(`Live feed catch-up failed: ${error.message || JSON.stringify(error)}`, "error");
+      write(client, `event: error\ndata: ${toJson({ error: "Catch-up failed; reconnect to retry" })}\n\n`);
+      close(client);
+    }
+  }
+
+  // items are { event, row, contract } in log order
+  function publish(items) {
+    if (clients.size === 0) return;
+    const snapshotChunk = snapshotMessage();
+    for (const client of clients) {
+      if (client.held) {
+        client.held.push(...items);
+        if (client.held.length > MAX_HELD_EVENTS) {
+          log("Live feed client fell too far behind during catch-up; disconnecting it", "error");
+          close(client);
+        }
+        continue;
+      }
+      for (const item of items) sendEvent(client, item);
+      write(client, snapshotChunk);
+    }
+  }
+
+  function sendRollback(client, fromBlock) {
+    const cursor = { block: fromBlock, logIndex: -1 };
+    if (client.cursor && compareKeys(client.cursor, cursor) > 0) client.cursor = cursor;
+    write(client, `id: ${fromBlock}:-1\nevent: rollback\ndata: ${toJson({ fromBlock })}\n\n`);
+  }
+
+  function rollback(fromBlock) {
+    for (const client of clients) {
+      if (client.held) client.held.push({ rollback: fromBlock });
+      else sendRollback(client, fromBlock);
+    }
+  }
+
+  return { handle, publish, rollback, clientCount: () => clients.size };
+}
@@ -0,0 +1,127 @@
+// lib/metrics.js
+// Minimal Prometheus registry for the status server's /metrics route.
+// Counters, gauges and histograms with labels, rendered in the text
+// exposition format. A metric can take a collect() callback instead of being
+// updated in place, for values the indexer already tracks elsewhere.
+
+export const DEFAULT_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+export function createMetricsRegistry(prefix = "") {
+  const metrics = [];
+
+  // Values are keyed by their serialized label set
+  function register(type, name, help, { labelNames = [], collect } = {}) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, collect, values: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function labelsOf(metric, labels = {}) {
+    const unknown = Object.keys(labels).filter((name) => !metric.labelNames.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown labels for ${metric.name}: ${unknown.join(", ")}`);
+    return Object.fromEntries(metric.labelNames.map((name) => [name, labels[name] ?? ""]));
+  }
+
+  function counter(name, help, options) {
+    const metric = register("counter", name, help, options);
+    return {
+      inc(labels, amount = 1) {
+        const resolved = labelsOf(metric, labels);
+        const key = formatLabels(resolved);
+        metric.values.set(key, (metric.values.get(key) ?? 0) + amount);
+      },
+    };
+  }
+
+  function gauge(name, help, options) {
+    const metric = register("gauge", name, help, options);
+    return {
+      set(labels, value) {
+        metric.values.set(formatLabels(labelsOf(metric, labels)), value);
+      },
+    };
+  }
+
+  function histogram(name, help, { labelNames, buckets = DEFAULT_LATENCY_BUCKETS } = {}) {
+    const metric = register("histogram", name, help, { labelNames });
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const resolved = labelsOf(metric, labels);
+        const key = formatLabels(resolved);
+        if (!metric.values.has(key)) {
+          metric.values.set(key, { labels: resolved, counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = metric.values.get(key);
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+      // Runs fn and records its duration in seconds, whether or not it throws
+      async time(labels, fn) {
+        const started = performance.now();
+        try {
+          return await fn();
+        } finally {
+          this.observe(labels, (performance.now() - started) / 1000);
+        }
+      },
+    };
+  }
+
+  // collect() returns [labels, value] pairs, or a bare number for a metric
+  // without labels
+  function collectSamples(metric) {
+    const collected = metric.collect();
+    const pairs = typeof collected === "number" ? [[{}, collected]] : collected;
+    return pairs.map(([labels, value]) => [formatLabels(labelsOf(metric, labels)), value]);
+  }
+
+  function renderHistogram(metric) {
+    const lines = [];
+    for (const { labels, counts, sum, count } of metric.values.values()) {
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === "histogram") {
+        lines.push(...renderHistogram(metric));
+        continue;
+      }
+      const samples = metric.collect ? collectSamples(metric) : [...metric.values.entries()];
+      for (const [key, value] of samples) {
+        lines.push(`${metric.name}${key} ${formatValue(Number(value))}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
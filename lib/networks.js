@@ -0,0 +1,15 @@
+// lib/networks.js
+// Hypersync endpoints per network, first one preferred. The hypersyncUrls
+// option replaces a network's list.
+export const NETWORK_URLS = {
+  ethereum: ["https://eth.hypersync.xyz"],
+  arbitrum: ["https://arbitrum.hypersync.xyz"],
+  optimism: ["https://optimism.hypersync.xyz"],
+  megaethTestnet: [
+    "https://megaeth-testnet.hypersync.xyz",
+    "https://6342.rpc.hypersync.xyz"
+  ],
+};
+
+export const hypersyncUrlsFor = (config) =>
+  config.hypersyncUrls?.length > 0 ? config.hypersyncUrls : NETWORK_URLS[config.network] || [];
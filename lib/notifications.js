@@ -0,0 +1,193 @@
+// lib/notifications.js
+// Webhook notifications driven by indexed events. The JSON file at
+// config.notificationsPath lists webhooks and rules:
+//   {
+//     "maxEventAgeSeconds": 600,
+//     "webhooks": [
+//       { "name": "discord", "url": "https://discord.com/api/webhooks/...",
+//         "template": { "content": "{{message}}" },
+//         "rateLimit": { "count": 5, "perSeconds": 10 } }
+//     ],
+//     "rules": [{ "type": "round_ended", "webhooks": ["discord"] }]
+//   }
+// Rule types come from the indexer: each factory takes the rule's options and
+// returns { event, match(event) }, where match returns { message, ...fields }
+// for events worth a notification and null otherwise. Rules see every live
+// event so they can keep state, but only events newer than
+// maxEventAgeSeconds are delivered. Deliveries run in the background with
+// retries and a per-webhook rate limit, so a slow webhook never holds up
+// indexing.
+import fs from "fs";
+
+const DEFAULTS = {
+  maxEventAgeSeconds: 600,
+  rateLimit: { count: 30, perSeconds: 60 },
+  maxRetries: 5,
+  retryBaseDelay: 1000,
+  timeoutMs: 10000,
+  maxQueue: 100,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "{{a.b}}" reads a dotted path. A string that is exactly one placeholder
+// keeps the value's type; placeholders inside text are stringified.
+function renderTemplate(template, values) {
+  const lookup = (path) => path.split(".").reduce((value, key) => value?.[key], values);
+  if (typeof template === "string") {
+    const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (whole) return lookup(whole[1]) ?? null;
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => String(lookup(path) ?? ""));
+  }
+  if (Array.isArray(template)) return template.map((item) => renderTemplate(item, values));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values)]));
+  }
+  return template;
+}
+
+function createWebhook(options, log) {
+  const { name, url, headers = {}, template } = options;
+  const rateLimit = { ...DEFAULTS.rateLimit, ...options.rateLimit };
+  const maxRetries = options.maxRetries ?? DEFAULTS.maxRetries;
+  const retryBaseDelay = options.retryBaseDelay ?? DEFAULTS.retryBaseDelay;
+  const maxQueue = options.maxQueue ?? DEFAULTS.maxQueue;
+  const queue = [];
+  const sentAt = [];
+  let draining = false;
+
+  // Sliding window: wait until the oldest send in the window has aged out
+  async function waitForRateLimit() {
+    const windowMs = rateLimit.perSeconds * 1000;
+    while (true) {
+      const now = Date.now();
+      while (sentAt.length > 0 && now - sentAt[0] >= windowMs) sentAt.shift();
+      if (sentAt.length < rateLimit.count) return;
+      await sleep(windowMs - (now - sentAt[0]));
+    }
+  }
+
+  // 429 and 5xx responses and network errors are retried, honouring Retry-After
+  async function deliver(notification) {
+    const body = JSON.stringify(template === undefined ? notification : renderTemplate(template, notification));
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      await waitForRateLimit();
+      sentAt.push(Date.now());
+      let retryAfterMs = null;
+      try {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body,
+          signal: AbortSignal.timeout(options.timeoutMs ?? DEFAULTS.timeoutMs),
+        });
+        if (response.ok) {
+          log(`Notification ${notification.rule} sent to ${name}`, "verbose");
+          return;
+        }
+        if (response.status !== 429 && response.status < 500) {
+          log(`Webhook ${name} rejected notification ${notification.rule}: HTTP ${response.status} ${await response.text()}`, "error");
+          return;
+        }
+        const retryAfter = Number(response.headers.get("retry-after"));
+        if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+        log(`Webhook ${name} returned HTTP ${response.status} (Attempt ${attempt}/${maxRetries})`, "error");
+      } catch (error) {
+        log(`Webhook ${name} error (Attempt ${attempt}/${maxRetries}): ${error.message}`, "error");
+      }
+      if (attempt < maxRetries) {
+        await sleep(retryAfterMs ?? Math.min(Math.pow(2, attempt - 1) * retryBaseDelay, 60000));
+      }
+    }
+    log(`Dropping notification ${notification.rule} for ${name} after ${maxRetries} attempts`, "error");
+  }
+
+  async function drain() {
+    draining = true;
+    while (queue.length > 0) {
+      await deliver(queue.shift());
+    }
+    draining = false;
+  }
+
+  return {
+    name,
+    send(notification) {
+      if (queue.length >= maxQueue) {
+        const dropped = queue.shift();
+        log(`Webhook ${name} queue is full; dropping notification ${dropped.rule}`, "error");
+      }
+      queue.push(notification);
+      if (!draining) {
+        drain().catch((error) => {
+          draining = false;
+          log(`Webhook ${name} delivery failed: ${error.message}`, "error");
+        });
+      }
+    },
+  };
+}
+
+// Returns null when notifications are not configured. Throws if the file or
+// one of its rules is invalid.
+export function createNotifier(path, ruleTypes, log) {
+  if (!path) return null;
+  const settings = JSON.parse(fs.readFileSync(path, "utf8"));
+  const maxEventAgeSeconds = settings.maxEventAgeSeconds ?? DEFAULTS.maxEventAgeSeconds;
+
+  const webhooks = new Map();
+  for (const options of settings.webhooks || []) {
+    if (!options.name || !options.url) throw new Error(`${path}: every webhook needs a name and a url`);
+    if (webhooks.has(options.name)) throw new Error(`${path}: duplicate webhook ${options.name}`);
+    webhooks.set(options.name, createWebhook(options, log));
+  }
+
+  const rules = (settings.rules || []).map((options, index) => {
+    const createRule = ruleTypes[options.type];
+    if (!createRule) {
+      throw new Error(`${path}: rule ${index + 1} has unknown type "${options.type}". Available types: ${Object.keys(ruleTypes).join(", ")}`);
+    }
+    const targets = options.webhooks || [...webhooks.keys()];
+    const missing = targets.filter((name) => !webhooks.has(name));
+    if (missing.length > 0) throw new Error(`${path}: rule ${index + 1} names unknown webhook(s) ${missing.join(", ")}`);
+    return { name: options.name || options.type, type: options.type, targets, ...createRule(options) };
+  });
+
+  log(`Notifications: ${rules.length} rule(s), ${webhooks.size} webhook(s) from ${path}`, "startup");
+
+  // events are { event, row, contract } in log order
+  function handleEvents(events) {
+    for (const { event, row, contract } of events) {
+      for (const rule of rules) {
+        if (rule.event !== event) continue;
+        let match;
+        try {
+          match = rule.match({ event, row, contract });
+        } catch (error) {
+          log(`Notification rule ${rule.name} failed: ${error.message}`, "error");
+          continue;
+        }
+        if (!match) continue;
+
+        const age = row.event_timestamp ? (Date.now() - Date.parse(row.event_timestamp)) / 1000 : 0;
+        if (age > maxEventAgeSeconds) continue;
+
+        const notification = {
+          rule: rule.name,
+          type: rule.type,
+          event,
+          contract,
+          blockNumber: row.block_number,
+          transactionHash: row.transaction_hash,
+          logIndex: row.log_index,
+          timestamp: row.event_timestamp ?? null,
+          ...match,
+        };
+        log(`NOTIFY | ${rule.name} | ${match.message}`, "event");
+        for (const name of rule.targets) webhooks.get(name).send(notification);
+      }
+    }
+  }
+
+  return { handleEvents };
+}
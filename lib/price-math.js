@@ -0,0 +1,50 @@
+// lib/price-math.js
+// Exact token price math. A price is a { numerator, denominator } pair of
+// BigInts and is only rounded when it is rendered as a decimal string.
+
+// Uniswap V2 takes 0.3% of every swap's input
+export const UNISWAP_V2_FEE_FACTOR = { numerator: 997n, denominator: 1000n };
+
+// Decimal places written to the NUMERIC price columns
+export const PRICE_DECIMALS = 36;
+
+const gcd = (a, b) => {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+};
+
+function reduce({ numerator, denominator }) {
+  const divisor = gcd(numerator, denominator);
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+}
+
+// Price of one whole base token in quote tokens, from raw amounts and each
+// token's decimals. Returns null unless both amounts are positive.
+export function priceOf(quoteAmount, quoteDecimals, baseAmount, baseDecimals) {
+  if (quoteAmount <= 0n || baseAmount <= 0n) return null;
+  return reduce({
+    numerator: quoteAmount * 10n ** BigInt(baseDecimals),
+    denominator: baseAmount * 10n ** BigInt(quoteDecimals),
+  });
+}
+
+export const invert = (price) =>
+  price && { numerator: price.denominator, denominator: price.numerator };
+
+export const multiply = (price, factor) =>
+  price && reduce({
+    numerator: price.numerator * factor.numerator,
+    denominator: price.denominator * factor.denominator,
+  });
+
+// Renders a price with `decimals` places, rounding half up. Null stays null so
+// it can be written straight into a nullable column.
+export function toDecimalString(price, decimals = PRICE_DECIMALS) {
+  if (!price) return null;
+  const scale = 10n ** BigInt(decimals);
+  const scaled = (price.numerator * scale * 2n + price.denominator) / (price.denominator * 2n);
+  if (decimals === 0) return scaled.toString();
+  const whole = scaled / scale;
+  const fraction = (scaled % scale).toString().padStart(decimals, "0");
+  return `${whole}.${fraction}`;
+}
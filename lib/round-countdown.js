@@ -0,0 +1,39 @@
+// lib/round-countdown.js
+// Round countdown alerts for run.js, kept apart from the timer and the
+// notifier. Each tap moves the round's deadline: armCountdown arms the
+// thresholds still ahead of it, and dueCountdowns reports the alerts that
+// have come due since the last check. Both take the time in unix seconds
+// instead of reading the clock.
+
+// A round's countdown, or null when it has no deadline. Deadlines that are
+// already past arm nothing, so replaying history stays quiet.
+export function armCountdown(round, deadline, now, { thresholds, expiredGrace }) {
+  if (deadline === null) return null;
+  const remaining = deadline - now;
+  return {
+    round,
+    thresholds: new Set(thresholds.filter((seconds) => remaining > seconds)),
+    expiryArmed: remaining > -expiredGrace,
+  };
+}
+
+// Returns [{ kind, secondsRemaining, threshold }] and disarms what it returns,
+// so each threshold fires once per countdown. When several thresholds pass
+// between checks, only the closest one fires.
+export function dueCountdowns(countdown, deadline, now, { expiredGrace }) {
+  if (!countdown) return [];
+  const remaining = deadline - now;
+  const due = [];
+
+  const passed = [...countdown.thresholds].filter((seconds) => remaining <= seconds);
+  passed.forEach((seconds) => countdown.thresholds.delete(seconds));
+  if (passed.length > 0 && remaining > 0) {
+    due.push({ kind: "threshold", secondsRemaining: remaining, threshold: Math.min(...passed) });
+  }
+
+  if (countdown.expiryArmed && remaining <= -expiredGrace) {
+    countdown.expiryArmed = false;
+    due.push({ kind: "expired", secondsRemaining: remaining, threshold: null });
+  }
+  return due;
+}
@@ -0,0 +1,44 @@
+// lib/storage/index.js
+// Storage backends for the indexers, picked with config.storage:
+//   supabase   Supabase REST client (default)
+//   postgres   direct connection through pg to any Postgres database
+//   sqlite     local SQLite file; tables and columns are created on first write
+//   jsonl      append-only JSONL file, replayed into memory on startup
+//
+// Every backend exposes the same table-level calls. Results resolve to
+// { data, error, count } like supabase-js and never throw.
+//   name                        backend name for logs
+//   sql                         true when the indexers' Postgres migrations run
+//                               against it, so SQL functions, views and
+//                               derived tables exist
+//   migrationConnectionString   Postgres connection string for migrations
+//   select(table, { columns, filters, order, limit, offset, count, single })
+//   upsert(table, rows, { onConflict })
+//   update(table, values, filters)
+//   delete(table, filters, { returning })
+//   rpc(functionName, params)
+//
+// filters are [column, op, value] triples with op one of eq, in, gt, gte, lt,
+// lte or ilike. columns may carry a "::text" cast, which the non-Postgres
+// backends ignore. order is a list of [column, "asc" | "desc"].
+import { createJsonlStorage } from "./jsonl.js";
+import { createPostgresStorage } from "./postgres.js";
+import { createSqliteStorage } from "./sqlite.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+export const STORAGE_BACKENDS = {
+  supabase: createSupabaseStorage,
+  postgres: createPostgresStorage,
+  sqlite: createSqliteStorage,
+  jsonl: createJsonlStorage,
+};
+
+// Throws if the backend is unknown or its settings are missing
+export function createStorage(config, log) {
+  const backend = config.storage || "supabase";
+  const create = STORAGE_BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+  }
+  return create(config, log);
+}
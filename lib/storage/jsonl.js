@@ -0,0 +1,160 @@
+// lib/storage/jsonl.js
+// Append-only JSONL backend. Every write is appended as one
+// { op, table, ... } line and applied to in-memory tables; on startup the file
+// is replayed to rebuild them. Existing lines are never rewritten, so the
+// file doubles as a full write log. Meant for local runs: all rows are kept
+// in memory.
+import fs from "fs";
+import { compareValues, matchesFilters, parseColumn } from "./query.js";
+
+export function createJsonlStorage(config, log) {
+  if (!config.jsonlPath) {
+    throw new Error("JSONL_PATH is required for jsonl storage.");
+  }
+
+  const tables = new Map(); // table -> Map of conflict key -> row
+  const keyOf = (row, onConflict) => JSON.stringify(onConflict.map((column) => row[column] ?? null));
+
+  function rowsOf(table) {
+    return tables.has(table) ? [...tables.get(table).values()] : [];
+  }
+
+  function applyUpsert(table, rows, onConflict) {
+    if (!tables.has(table)) tables.set(table, new Map());
+    const stored = tables.get(table);
+    for (const row of rows) {
+      const key = keyOf(row, onConflict);
+      stored.set(key, { ...stored.get(key), ...row });
+    }
+  }
+
+  function applyUpdate(table, values, filters) {
+    let changed = 0;
+    for (const row of rowsOf(table)) {
+      if (matchesFilters(row, filters)) {
+        Object.assign(row, values);
+        changed++;
+      }
+    }
+    return changed;
+  }
+
+  function applyDelete(table, filters) {
+    const deleted = [];
+    const stored = tables.get(table);
+    if (!stored) return deleted;
+    for (const [key, row] of stored) {
+      if (matchesFilters(row, filters)) {
+        stored.delete(key);
+        deleted.push(row);
+      }
+    }
+    return deleted;
+  }
+
+  function apply(entry) {
+    switch (entry.op) {
+      case "upsert": return applyUpsert(entry.table, entry.rows, entry.onConflict);
+      case "update": return applyUpdate(entry.table, entry.values, entry.filters);
+      case "delete": return applyDelete(entry.table, entry.filters);
+      default: throw new Error(`Unknown JSONL operation: ${entry.op}`);
+    }
+  }
+
+  // --- Replay ---
+  // Every append ends in a newline, so text after the last one is a write
+  // that was cut short by a crash. It is dropped before appending again.
+  let replayed = 0;
+  if (fs.existsSync(config.jsonlPath)) {
+    const content = fs.readFileSync(config.jsonlPath, "utf8");
+    const complete = content.slice(0, content.lastIndexOf("\n") + 1);
+    if (complete.length < content.length) {
+      log(`Dropping incomplete last line of ${config.jsonlPath}`, "error");
+      fs.truncateSync(config.jsonlPath, Buffer.byteLength(complete));
+    }
+    complete.split("\n").forEach((line, index) => {
+      if (!line) return;
+      try {
+        apply(JSON.parse(line));
+      } catch (e) {
+        throw new Error(`${config.jsonlPath}:${index + 1}: ${e.message}`);
+      }
+      replayed++;
+    });
+  }
+  log(`JSONL storage: ${config.jsonlPath} (${replayed} operations replayed)`, "startup");
+
+  // Appends go out one at a time so concurrent writers never interleave lines
+  let appendQueue = Promise.resolve();
+  function append(entry) {
+    const result = appendQueue.then(() => fs.promises.appendFile(config.jsonlPath, `${JSON.stringify(entry)}\n`));
+    appendQueue = result.catch(() => {});
+    return result;
+  }
+
+  async function write(entry) {
+    try {
+      await append(entry);
+      return apply(entry);
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  return {
+    name: "jsonl",
+    sql: false,
+    migrationConnectionString: null,
+
+    select: async (table, { columns = ["*"], filters, order = [], limit, offset = 0, count, single } = {}) => {
+      try {
+        const names = columns.map((column) => parseColumn(column).name);
+        let rows = rowsOf(table).filter((row) => matchesFilters(row, filters));
+        const total = rows.length;
+        if (order.length > 0) {
+          rows = rows.sort((a, b) => {
+            for (const [column, direction = "asc"] of order) {
+              const result = compareValues(a[column] ?? "", b[column] ?? "");
+              if (result !== 0) return direction === "desc" ? -result : result;
+            }
+            return 0;
+          });
+        }
+        rows = rows.slice(offset, limit === undefined ? undefined : offset + limit);
+        if (!names.includes("*")) {
+          rows = rows.map((row) => Object.fromEntries(names.map((name) => [name, row[name] ?? null])));
+        } else {
+          rows = rows.map((row) => ({ ...row }));
+        }
+        return { data: single ? rows[0] ?? null : rows, error: null, count: count ? total : null };
+      } catch (error) {
+        return { data: null, error, count: null };
+      }
+    },
+
+    upsert: async (table, rows, { onConflict }) => {
+      if (rows.length === 0) return { data: null, error: null };
+      const result = await write({ op: "upsert", table, onConflict, rows });
+      return { data: null, error: result?.error ?? null };
+    },
+
+    update: async (table, values, filters) => {
+      const result = await write({ op: "update", table, values, filters });
+      return typeof result === "number"
+        ? { data: null, error: null, count: result }
+        : { data: null, error: result.error, count: null };
+    },
+
+    delete: async (table, filters, { returning = false } = {}) => {
+      const result = await write({ op: "delete", table, filters });
+      return Array.isArray(result)
+        ? { data: returning ? result : null, error: null, count: result.length }
+        : { data: null, error: result.error, count: null };
+    },
+
+    rpc: async (functionName) => ({
+      data: null,
+      error: new Error(`jsonl storage cannot run SQL function ${functionName}`),
+    }),
+  };
+}
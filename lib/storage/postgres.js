@@ -0,0 +1,120 @@
+// lib/storage/postgres.js
+// Direct Postgres backend through a pg Pool. Runs the same migrations as
+// Supabase, so SQL functions, views and derived tables all work.
+import pg from "pg";
+import { buildOrder, buildWhere, parseColumn, quoteIdentifier } from "./query.js";
+const { Pool } = pg;
+
+// Postgres caps a statement at 65535 parameters
+const MAX_PARAMETERS = 65535;
+
+function selectList(columns) {
+  return columns
+    .map((column) => {
+      if (column === "*") return "*";
+      const { name, cast } = parseColumn(column);
+      return cast ? `${quoteIdentifier(name)}::${cast} AS ${quoteIdentifier(name)}` : quoteIdentifier(name);
+    })
+    .join(", ");
+}
+
+export function createPostgresStorage(config, log) {
+  if (!config.databaseUrl) {
+    throw new Error("DATABASE_URL environment variable is required for postgres storage.");
+  }
+  log(`DATABASE_URL format check: ${/^postgres(ql)?:\/\//.test(config.databaseUrl) ? "OK" : "INVALID"}`, "startup");
+
+  const pool = new Pool({ connectionString: config.databaseUrl });
+
+  async function run(build) {
+    try {
+      return await build();
+    } catch (error) {
+      return { data: null, error, count: null };
+    }
+  }
+
+  function parameters() {
+    const values = [];
+    return { values, placeholder: (value) => `$${values.push(value)}` };
+  }
+
+  async function upsertChunk(table, rows, onConflict) {
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const { values, placeholder } = parameters();
+    const tuples = rows.map((row) => `(${columns.map((column) => placeholder(row[column] ?? null)).join(", ")})`);
+    const updates = columns
+      .filter((column) => !onConflict.includes(column))
+      .map((column) => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`);
+    await pool.query(
+      `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(", ")}) VALUES ${tuples.join(", ")}` +
+        ` ON CONFLICT (${onConflict.map(quoteIdentifier).join(", ")}) ` +
+        (updates.length > 0 ? `DO UPDATE SET ${updates.join(", ")}` : "DO NOTHING"),
+      values
+    );
+  }
+
+  return {
+    name: "postgres",
+    sql: true,
+    migrationConnectionString: config.databaseUrl,
+
+    select: (table, { columns = ["*"], filters, order, limit, offset, count, single } = {}) =>
+      run(async () => {
+        const { values, placeholder } = parameters();
+        const where = buildWhere(filters, placeholder, "ILIKE");
+        let sql = `SELECT ${selectList(columns)} FROM ${quoteIdentifier(table)}${where}${buildOrder(order)}`;
+        if (limit !== undefined) sql += ` LIMIT ${Number(limit)}`;
+        if (offset) sql += ` OFFSET ${Number(offset)}`;
+        const { rows } = await pool.query(sql, values);
+
+        let total = null;
+        if (count) {
+          const result = await pool.query(`SELECT count(*) AS count FROM ${quoteIdentifier(table)}${where}`, values);
+          total = Number(result.rows[0].count);
+        }
+        return { data: single ? rows[0] ?? null : rows, error: null, count: total };
+      }),
+
+    upsert: (table, rows, { onConflict }) =>
+      run(async () => {
+        if (rows.length === 0) return { data: null, error: null };
+        const perRow = new Set(rows.flatMap((row) => Object.keys(row))).size;
+        const chunkSize = Math.max(1, Math.floor(MAX_PARAMETERS / perRow));
+        for (let i = 0; i < rows.length; i += chunkSize) {
+          await upsertChunk(table, rows.slice(i, i + chunkSize), onConflict);
+        }
+        return { data: null, error: null };
+      }),
+
+    update: (table, values, filters) =>
+      run(async () => {
+        const { values: params, placeholder } = parameters();
+        const assignments = Object.entries(values).map(([column, value]) => `${quoteIdentifier(column)} = ${placeholder(value)}`);
+        const result = await pool.query(
+          `UPDATE ${quoteIdentifier(table)} SET ${assignments.join(", ")}${buildWhere(filters, placeholder, "ILIKE")}`,
+          params
+        );
+        return { data: null, error: null, count: result.rowCount };
+      }),
+
+    delete: (table, filters, { returning = false } = {}) =>
+      run(async () => {
+        const { values, placeholder } = parameters();
+        const result = await pool.query(
+          `DELETE FROM ${quoteIdentifier(table)}${buildWhere(filters, placeholder, "ILIKE")}${returning ? " RETURNING *" : ""}`,
+          values
+        );
+        return { data: returning ? result.rows : null, error: null, count: result.rowCount };
+      }),
+
+    // Named arguments, as PostgREST calls them
+    rpc: (functionName, params = {}) =>
+      run(async () => {
+        const { values, placeholder } = parameters();
+        const args = Object.entries(params).map(([name, value]) => `${quoteIdentifier(name)} => ${placeholder(value)}`);
+        const { rows } = await pool.query(`SELECT * FROM ${quoteIdentifier(functionName)}(${args.join(", ")})`, values);
+        return { data: rows, error: null };
+      }),
+  };
+}
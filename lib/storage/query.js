@@ -0,0 +1,84 @@
+// lib/storage/query.js
+// Helpers shared by the SQL backends for turning select/update/delete options
+// into SQL, plus the comparisons the in-memory backend filters with.
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const OPERATORS = { eq: "=", gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+export function quoteIdentifier(name) {
+  if (!IDENTIFIER.test(name)) throw new Error(`Invalid identifier: ${name}`);
+  return `"${name}"`;
+}
+
+// "cost::text" -> { name: "cost", cast: "text" }
+export function parseColumn(column) {
+  const [name, cast] = column.split("::").map((part) => part.trim());
+  if (cast !== undefined && !IDENTIFIER.test(cast)) throw new Error(`Invalid cast: ${column}`);
+  return { name, cast };
+}
+
+// Builds a WHERE clause. placeholder(value) registers a parameter and returns
+// its marker; ilike is the backend's case-insensitive LIKE operator.
+export function buildWhere(filters = [], placeholder, ilike) {
+  if (filters.length === 0) return "";
+  const clauses = filters.map(([column, op, value]) => {
+    const target = quoteIdentifier(column);
+    if (op === "in") {
+      if (value.length === 0) return "FALSE";
+      return `${target} IN (${value.map((item) => placeholder(item)).join(", ")})`;
+    }
+    if (op === "ilike") return `${target} ${ilike} ${placeholder(value)}`;
+    if (!OPERATORS[op]) throw new Error(`Unsupported filter operator: ${op}`);
+    return `${target} ${OPERATORS[op]} ${placeholder(value)}`;
+  });
+  return ` WHERE ${clauses.join(" AND ")}`;
+}
+
+export function buildOrder(order = []) {
+  if (order.length === 0) return "";
+  return ` ORDER BY ${order
+    .map(([column, direction = "asc"]) => `${quoteIdentifier(column)} ${direction === "desc" ? "DESC" : "ASC"}`)
+    .join(", ")}`;
+}
+
+const INTEGER = /^-?\d+$/;
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+
+// Orders numbers and numeric strings by value, everything else as strings.
+// Integers go through BigInt so wei amounts compare exactly.
+export function compareValues(a, b) {
+  const left = String(a);
+  const right = String(b);
+  if (INTEGER.test(left) && INTEGER.test(right)) {
+    const difference = BigInt(left) - BigInt(right);
+    return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+  }
+  if (DECIMAL.test(left) && DECIMAL.test(right)) return Number(left) - Number(right);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .split("")
+    .map((char) => (char === "%" ? ".*" : char === "_" ? "." : char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+export function matchesFilters(row, filters = []) {
+  return filters.every(([column, op, value]) => {
+    const actual = row[column];
+    if (op === "in") return value.some((item) => actual !== undefined && actual !== null && compareValues(actual, item) === 0);
+    if (actual === undefined || actual === null) return false;
+    if (op === "ilike") return likeToRegExp(value).test(String(actual));
+    const order = compareValues(actual, value);
+    switch (op) {
+      case "eq": return order === 0;
+      case "gt": return order > 0;
+      case "gte": return order >= 0;
+      case "lt": return order < 0;
+      case "lte": return order <= 0;
+      default: throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  });
+}
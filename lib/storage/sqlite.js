@@ -0,0 +1,131 @@
+// lib/storage/sqlite.js
+// Local SQLite backend for development and tests. It has no migrations: a
+// table is created on its first upsert with the conflict columns as primary
+// key, and columns are added as new row keys appear. Postgres-only features
+// (SQL functions, views, derived tables) are not available.
+import Database from "better-sqlite3";
+import { buildOrder, buildWhere, parseColumn, quoteIdentifier } from "./query.js";
+
+// SQLite has no boolean type and cannot bind them
+const toSqlite = (value) => (typeof value === "boolean" ? Number(value) : value ?? null);
+
+export function createSqliteStorage(config, log) {
+  if (!config.sqlitePath) {
+    throw new Error("SQLITE_PATH is required for sqlite storage.");
+  }
+  log(`SQLite database: ${config.sqlitePath}`, "startup");
+
+  const db = new Database(config.sqlitePath);
+  db.pragma("journal_mode = WAL");
+
+  const tableColumns = new Map(); // table -> Set of columns, cached from PRAGMA table_info
+
+  function columnsOf(table) {
+    if (!tableColumns.has(table)) {
+      const info = db.prepare(`PRAGMA table_info(${quoteIdentifier(table)})`).all();
+      if (info.length === 0) return null;
+      tableColumns.set(table, new Set(info.map((column) => column.name)));
+    }
+    return tableColumns.get(table);
+  }
+
+  function ensureTable(table, columns, onConflict) {
+    const existing = columnsOf(table);
+    if (!existing) {
+      db.exec(
+        `CREATE TABLE ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(", ")}, ` +
+          `PRIMARY KEY (${onConflict.map(quoteIdentifier).join(", ")}))`
+      );
+      tableColumns.set(table, new Set(columns));
+      return;
+    }
+    for (const column of columns) {
+      if (!existing.has(column)) {
+        db.exec(`ALTER TABLE ${quoteIdentifier(table)} ADD COLUMN ${quoteIdentifier(column)}`);
+        existing.add(column);
+      }
+    }
+  }
+
+  function parameters() {
+    const values = [];
+    return { values, placeholder: (value) => (values.push(toSqlite(value)), "?") };
+  }
+
+  // better-sqlite3 is synchronous; errors come back in the result like the
+  // other backends. A table that was never written to reads as empty.
+  function run(build, empty) {
+    try {
+      return Promise.resolve(build());
+    } catch (error) {
+      if (empty && /no such table/.test(error.message)) return Promise.resolve(empty);
+      return Promise.resolve({ data: null, error, count: null });
+    }
+  }
+
+  return {
+    name: "sqlite",
+    sql: false,
+    migrationConnectionString: null,
+
+    select: (table, { columns = ["*"], filters, order, limit, offset, count, single } = {}) =>
+      run(() => {
+        const names = columns.map((column) => (column === "*" ? "*" : quoteIdentifier(parseColumn(column).name)));
+        const { values, placeholder } = parameters();
+        const where = buildWhere(filters, placeholder, "LIKE");
+        let sql = `SELECT ${names.join(", ")} FROM ${quoteIdentifier(table)}${where}${buildOrder(order)}`;
+        if (limit !== undefined) sql += ` LIMIT ${Number(limit)}`;
+        if (offset) sql += `${limit === undefined ? " LIMIT -1" : ""} OFFSET ${Number(offset)}`;
+        const rows = db.prepare(sql).all(...values);
+        const total = count
+          ? db.prepare(`SELECT count(*) AS count FROM ${quoteIdentifier(table)}${where}`).get(...values).count
+          : null;
+        return { data: single ? rows[0] ?? null : rows, error: null, count: total };
+      }, { data: single ? null : [], error: null, count: count ? 0 : null }),
+
+    upsert: (table, rows, { onConflict }) =>
+      run(() => {
+        if (rows.length === 0) return { data: null, error: null };
+        const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+        ensureTable(table, columns, onConflict);
+        const updates = columns
+          .filter((column) => !onConflict.includes(column))
+          .map((column) => `${quoteIdentifier(column)} = excluded.${quoteIdentifier(column)}`);
+        const statement = db.prepare(
+          `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(", ")}) ` +
+            `VALUES (${columns.map(() => "?").join(", ")}) ` +
+            `ON CONFLICT (${onConflict.map(quoteIdentifier).join(", ")}) ` +
+            (updates.length > 0 ? `DO UPDATE SET ${updates.join(", ")}` : "DO NOTHING")
+        );
+        db.transaction(() => {
+          for (const row of rows) statement.run(...columns.map((column) => toSqlite(row[column])));
+        })();
+        return { data: null, error: null };
+      }),
+
+    update: (table, values, filters) =>
+      run(() => {
+        const { values: params, placeholder } = parameters();
+        const assignments = Object.entries(values).map(([column, value]) => `${quoteIdentifier(column)} = ${placeholder(value)}`);
+        const result = db
+          .prepare(`UPDATE ${quoteIdentifier(table)} SET ${assignments.join(", ")}${buildWhere(filters, placeholder, "LIKE")}`)
+          .run(...params);
+        return { data: null, error: null, count: result.changes };
+      }, { data: null, error: null, count: 0 }),
+
+    delete: (table, filters, { returning = false } = {}) =>
+      run(() => {
+        const { values, placeholder } = parameters();
+        const sql = `DELETE FROM ${quoteIdentifier(table)}${buildWhere(filters, placeholder, "LIKE")}`;
+        if (returning) {
+          const rows = db.prepare(`${sql} RETURNING *`).all(...values);
+          return { data: rows, error: null, count: rows.length };
+        }
+        const result = db.prepare(sql).run(...values);
+        return { data: null, error: null, count: result.changes };
+      }, { data: returning ? [] : null, error: null, count: 0 }),
+
+    rpc: (functionName) =>
+      run(() => ({ data: null, error: new Error(`sqlite storage cannot run SQL function ${functionName}`) })),
+  };
+}
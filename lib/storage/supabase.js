@@ -0,0 +1,71 @@
+// lib/storage/supabase.js
+// Supabase REST backend. Migrations still run over a direct Postgres connection.
+import { createClient } from "@supabase/supabase-js";
+
+const FILTER_METHODS = { eq: "eq", in: "in", gt: "gt", gte: "gte", lt: "lt", lte: "lte", ilike: "ilike" };
+
+function applyFilters(query, filters = []) {
+  return filters.reduce((next, [column, op, value]) => {
+    if (!FILTER_METHODS[op]) throw new Error(`Unsupported filter operator: ${op}`);
+    return next[FILTER_METHODS[op]](column, value);
+  }, query);
+}
+
+export function createSupabaseStorage(config, log) {
+  if (!config.supabaseUrl || !config.supabaseServiceKey) {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required.");
+  }
+  if (!config.supabaseDbConnectionString) {
+    throw new Error("SUPABASE_DB_CONNECTION_STRING environment variable is required for initial setup.");
+  }
+
+  log(`SUPABASE_URL format check: ${config.supabaseUrl?.startsWith("https://") ? "OK" : "INVALID"}`, "startup");
+  log(`SUPABASE_SERVICE_ROLE_KEY length check: ${config.supabaseServiceKey?.length > 30 ? "OK" : "INVALID"}`, "startup");
+  log(`SUPABASE_DB_CONNECTION_STRING format check: ${config.supabaseDbConnectionString?.startsWith("postgresql://") ? "OK" : "INVALID"}`, "startup");
+
+  const client = createClient(config.supabaseUrl, config.supabaseServiceKey);
+
+  // supabase-js builders resolve to { data, error, count } instead of throwing
+  async function run(build) {
+    try {
+      return await build();
+    } catch (error) {
+      return { data: null, error, count: null };
+    }
+  }
+
+  return {
+    name: "supabase",
+    sql: true,
+    migrationConnectionString: config.supabaseDbConnectionString,
+
+    select: (table, { columns = ["*"], filters, order = [], limit, offset, count, single } = {}) =>
+      run(() => {
+        let query = applyFilters(
+          client.from(table).select(columns.join(", "), count ? { count: "exact" } : undefined),
+          filters
+        );
+        for (const [column, direction = "asc"] of order) {
+          query = query.order(column, { ascending: direction !== "desc" });
+        }
+        if (limit !== undefined) {
+          query = offset ? query.range(offset, offset + limit - 1) : query.limit(limit);
+        }
+        return single ? query.maybeSingle() : query;
+      }),
+
+    upsert: (table, rows, { onConflict }) =>
+      run(() => client.from(table).upsert(rows, { onConflict: onConflict.join(",") })),
+
+    update: (table, values, filters) =>
+      run(() => applyFilters(client.from(table).update(values), filters)),
+
+    delete: (table, filters, { returning = false } = {}) =>
+      run(() => {
+        const query = applyFilters(client.from(table).delete({ count: "exact" }), filters);
+        return returning ? query.select() : query;
+      }),
+
+    rpc: (functionName, params) => run(() => client.rpc(functionName, params)),
+  };
+}
@@ -0,0 +1,194 @@
+// lib/uniswap-v2-events.js
+// Swap, Sync, Mint and Burn processing for uniswap-v2-indexer.js, kept apart
+// from streaming and storage. createPairEvents takes the pair's token order
+// and decimals; each processor then takes a decoded log with its block
+// timestamp and the market state ({ latestPrice, latestSwap, latestReserves })
+// and returns { row, state, logs }: the row to store (null to skip the log),
+// the market state after the event and the lines to log.
+import { formatAddress, formatUnits, secondsToDate } from "./format.js";
+import {
+  UNISWAP_V2_FEE_FACTOR,
+  invert,
+  multiply,
+  priceOf,
+  toDecimalString,
+} from "./price-math.js";
+
+export const INITIAL_MARKET_STATE = { latestPrice: null, latestSwap: {}, latestReserves: {} };
+
+// "sell" when $TAP went in for WETH, "buy" when WETH went in for $TAP, null
+// when the swap moved nothing both ways (a zero-amount or one-sided swap)
+export function swapDirection({ amountWethIn, amountTapIn, amountWethOut, amountTapOut }) {
+  if (amountTapIn > 0n && amountWethOut > 0n) return "sell";
+  if (amountWethIn > 0n && amountTapOut > 0n) return "buy";
+  return null;
+}
+
+const SWAP_LABELS = { sell: "SELL $TAP", buy: "BUY $TAP" };
+
+export function createPairEvents({ wethIsToken0, wethDecimals = 18, tapDecimals = 18 }) {
+  // Maps a pair's token0/token1 amounts onto WETH/$TAP
+  const toWethTap = (amount0, amount1) =>
+    wethIsToken0 ? { weth: amount0, tap: amount1 } : { weth: amount1, tap: amount0 };
+
+  const formatTap = (value) => formatUnits(value, tapDecimals);
+  const formatWeth = (value) => formatUnits(value, wethDecimals);
+
+  // Price of one $TAP in WETH
+  const tapPriceInWeth = (wethAmount, tapAmount) =>
+    priceOf(wethAmount, wethDecimals, tapAmount, tapDecimals);
+
+  // Events only carry a block number; the timestamp comes from the joined
+  // block. Returns the event's Date or the reason to skip it.
+  function eventTimestampFor(eventName, rawLog, blockTimestamp) {
+    const where = `${eventName} in block ${rawLog.blockNumber}, tx ${rawLog.transactionHash}`;
+    if (blockTimestamp === undefined || blockTimestamp === null) {
+      return { error: `Could not find block data for ${where}. Skipping.` };
+    }
+    const date = secondsToDate(blockTimestamp);
+    return date ? { date } : { error: `Invalid block timestamp ${blockTimestamp} for ${where}. Skipping.` };
+  }
+
+  const skipped = (state, message) => ({ row: null, state, logs: [{ level: "error", message }] });
+
+  function processSwap({ decoded, rawLog, blockTimestamp }, state) {
+    const sender = decoded.indexed[0]?.val?.toString();
+    const recipient = decoded.indexed[1]?.val?.toString();
+    const amount0In = BigInt(decoded.body[0]?.val);
+    const amount1In = BigInt(decoded.body[1]?.val);
+    const amount0Out = BigInt(decoded.body[2]?.val);
+    const amount1Out = BigInt(decoded.body[3]?.val);
+
+    const timestamp = eventTimestampFor("Swap", rawLog, blockTimestamp);
+    if (timestamp.error) return skipped(state, timestamp.error);
+
+    const { weth: amountWethIn, tap: amountTapIn } = toWethTap(amount0In, amount1In);
+    const { weth: amountWethOut, tap: amountTapOut } = toWethTap(amount0Out, amount1Out);
+    const direction = swapDirection({ amountWethIn, amountTapIn, amountWethOut, amountTapOut });
+
+    // The fee comes off the input, so the pool's own rate is the traded amounts
+    // with the input scaled by 0.997. A swap with no direction has no price.
+    const effectivePrice = direction === "sell"
+      ? tapPriceInWeth(amountWethOut, amountTapIn)
+      : direction === "buy" ? tapPriceInWeth(amountWethIn, amountTapOut) : null;
+    const price = multiply(effectivePrice, direction === "sell" ? invert(UNISWAP_V2_FEE_FACTOR) : UNISWAP_V2_FEE_FACTOR);
+
+    const latestSwap = {
+      tx: formatAddress(rawLog.transactionHash),
+      type: SWAP_LABELS[direction] ?? "SWAP",
+      tapAmount: formatTap(amountTapIn > 0n ? amountTapIn : amountTapOut),
+      wethAmount: formatWeth(amountWethIn > 0n ? amountWethIn : amountWethOut),
+      price: toDecimalString(effectivePrice, 8) ?? "N/A",
+    };
+
+    return {
+      row: {
+        sender,
+        recipient,
+        amount_weth_in: amountWethIn.toString(),
+        amount_tap_in: amountTapIn.toString(),
+        amount_weth_out: amountWethOut.toString(),
+        amount_tap_out: amountTapOut.toString(),
+        price_tap_in_weth: toDecimalString(effectivePrice),
+        price_weth_in_tap: toDecimalString(invert(effectivePrice)),
+        pool_price_tap_in_weth: toDecimalString(price),
+        pool_price_weth_in_tap: toDecimalString(invert(price)),
+        event_timestamp: timestamp.date.toISOString(),
+      },
+      state: {
+        ...state,
+        // An unpriced swap keeps the last known price
+        latestPrice: toDecimalString(effectivePrice) ?? state.latestPrice,
+        latestSwap,
+      },
+      logs: [{
+        level: "event",
+        message: `SWAP | Blk: ${rawLog.blockNumber} | ${latestSwap.type} | Price: ${latestSwap.price} WETH/$TAP`,
+      }],
+    };
+  }
+
+  function processSync({ decoded, rawLog, blockTimestamp }, state) {
+    const { weth: reserveWeth, tap: reserveTap } = toWethTap(BigInt(decoded.body[0]?.val), BigInt(decoded.body[1]?.val));
+    const timestamp = eventTimestampFor("Sync", rawLog, blockTimestamp);
+    if (timestamp.error) return skipped(state, timestamp.error);
+
+    const price = tapPriceInWeth(reserveWeth, reserveTap);
+    const latestReserves = {
+      block: rawLog.blockNumber,
+      weth: formatWeth(reserveWeth),
+      tap: formatTap(reserveTap),
+      price: toDecimalString(price, 8) ?? "N/A",
+    };
+
+    return {
+      row: {
+        reserve_weth: reserveWeth.toString(),
+        reserve_tap: reserveTap.toString(),
+        price_tap_in_weth: toDecimalString(price),
+        price_weth_in_tap: toDecimalString(invert(price)),
+        event_timestamp: timestamp.date.toISOString(),
+      },
+      state: { ...state, latestReserves },
+      logs: [{
+        level: "verbose",
+        message: `SYNC | Blk: ${rawLog.blockNumber} | Reserves: ${latestReserves.weth} WETH / ${latestReserves.tap} $TAP | Price: ${latestReserves.price} WETH/$TAP`,
+      }],
+    };
+  }
+
+  function processMint({ decoded, rawLog, blockTimestamp }, state) {
+    const sender = decoded.indexed[0]?.val?.toString();
+    const { weth: amountWeth, tap: amountTap } = toWethTap(BigInt(decoded.body[0]?.val), BigInt(decoded.body[1]?.val));
+    const timestamp = eventTimestampFor("Mint", rawLog, blockTimestamp);
+    if (timestamp.error) return skipped(state, timestamp.error);
+
+    return {
+      row: {
+        sender,
+        amount_weth: amountWeth.toString(),
+        amount_tap: amountTap.toString(),
+        event_timestamp: timestamp.date.toISOString(),
+      },
+      state,
+      logs: [{
+        level: "event",
+        message: `MINT | Blk: ${rawLog.blockNumber} | +${formatWeth(amountWeth)} WETH +${formatTap(amountTap)} $TAP | ${formatAddress(sender)}`,
+      }],
+    };
+  }
+
+  function processBurn({ decoded, rawLog, blockTimestamp }, state) {
+    const sender = decoded.indexed[0]?.val?.toString();
+    const recipient = decoded.indexed[1]?.val?.toString();
+    const { weth: amountWeth, tap: amountTap } = toWethTap(BigInt(decoded.body[0]?.val), BigInt(decoded.body[1]?.val));
+    const timestamp = eventTimestampFor("Burn", rawLog, blockTimestamp);
+    if (timestamp.error) return skipped(state, timestamp.error);
+
+    return {
+      row: {
+        sender,
+        recipient,
+        amount_weth: amountWeth.toString(),
+        amount_tap: amountTap.toString(),
+        event_timestamp: timestamp.date.toISOString(),
+      },
+      state,
+      logs: [{
+        level: "event",
+        message: `BURN | Blk: ${rawLog.blockNumber} | -${formatWeth(amountWeth)} WETH -${formatTap(amountTap)} $TAP | ${formatAddress(recipient)}`,
+      }],
+    };
+  }
+
+  return {
+    toWethTap,
+    formatTap,
+    formatWeth,
+    tapPriceInWeth,
+    processSwap,
+    processSync,
+    processMint,
+    processBurn,
+  };
+}
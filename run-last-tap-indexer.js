@@ -9,29 +9,62 @@ import blessed from "blessed";
 import contrib from "blessed-contrib";
 import chalk from "chalk";
 import figlet from "figlet";
+import "dotenv/config";
+import { NETWORK_OPTIONS, STORAGE_OPTIONS, loadConfig, withDefaults } from "./lib/config.js";
+import { formatAddress, formatUnits } from "./lib/format.js";
+import { processRoundEnded, processTapped } from "./lib/last-tap-events.js";
+import { createGameHistory } from "./lib/last-tap-history.js";
+import { MAX_REPLAY_SPEED, MIN_REPLAY_SPEED, createReplay, loadGameEvents } from "./lib/last-tap-replay.js";
+import { hypersyncUrlsFor } from "./lib/networks.js";
+import { createStorage } from "./lib/storage/index.js";
 
 //=============================================================================
 // CONFIGURATION
 //=============================================================================
-const CONFIG = {
-  contractAddress: "0x20382A8962d3C5e1CD3D117b8ecB2c6A8694E8DA",
-  startBlock: 5507082,
-  network: "megaethTestnet",
-};
-
-// Network URL mapping
-const NETWORK_URLS = {
-  ethereum: "https://eth.hypersync.xyz",
-  arbitrum: "https://arbitrum.hypersync.xyz",
-  optimism: "https://optimism.hypersync.xyz",
-  megaethTestnet: "https://megaeth-testnet.hypersync.xyz",
-};
+// Options are layered defaults < config file < environment < CLI flags; see
+// lib/config.js and `node run-last-tap-indexer.js --help`.
+const { config: CONFIG } = loadConfig(
+  {
+    contractAddress: {
+      env: "GAME_CONTRACT_ADDRESS",
+      default: "0x20382A8962d3C5e1CD3D117b8ecB2c6A8694E8DA",
+      description: "Game contract to watch",
+      validate: (value) => (/^0x[0-9a-fA-F]{40}$/.test(value) ? null : "must be a 0x-prefixed 20-byte address"),
+    },
+    ...withDefaults(NETWORK_OPTIONS, { startBlock: 5507082, pollingInterval: 200 }),
+    source: {
+      type: "string",
+      env: "TUI_SOURCE",
+      values: ["hypersync", "storage"],
+      default: "hypersync",
+      description: "Event source: hypersync streams from the start block; storage replays the rows run.js stored, then streams from after them",
+    },
+    ...withDefaults(STORAGE_OPTIONS, { sqlitePath: "last-tap.sqlite", jsonlPath: "last-tap.jsonl" }),
+    replaySpeed: {
+      type: "number",
+      env: "REPLAY_SPEED",
+      min: MIN_REPLAY_SPEED,
+      max: MAX_REPLAY_SPEED,
+      default: 10,
+      description: "Replay speed as a multiple of the events' on-chain pace",
+    },
+    replayMaxGap: { type: "integer", env: "REPLAY_MAX_GAP", min: 0, default: 2000, description: "Longest wait between replayed events, in milliseconds" },
+    replayFromRound: {
+      type: "string",
+      env: "REPLAY_FROM_ROUND",
+      description: "Round to start the replay at",
+      validate: (value) => (value === undefined || /^\d+$/.test(value) ? null : "must be a round number"),
+    },
+    replayPaused: { type: "boolean", env: "REPLAY_PAUSED", default: false, description: "Start the replay paused" },
+  },
+  { usage: "Usage: node run-last-tap-indexer.js [options]", allowArgs: false }
+);
 
 // Initialize client
 const client = HypersyncClient.new({
-  url: NETWORK_URLS[CONFIG.network],
+  url: hypersyncUrlsFor(CONFIG)[0],
   bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
-  timeout: 30000,
+  timeout: CONFIG.hypersyncTimeout,
 });
 
 // Define event signatures and hashes - FIXED to match actual events
@@ -54,12 +87,6 @@ const formatNumber = (num) => {
   return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 };
 
-// Format addresses
-const formatAddress = (address) => {
-  if (!address || address.length < 12) return address;
-  return `${address.substring(0, 8)}...${address.substring(address.length - 4)}`;
-};
-
 // Format ETH values
 const formatEth = (wei) => {
   try {
@@ -185,8 +212,82 @@ const logWindow = grid.set(9, 0, 3, 12, contrib.log, {
   bufferLength: 30,
 });
 
-// Exit on Escape, q, or Ctrl+C
-screen.key(["escape", "q", "C-c"], function (ch, key) {
+// Charts, placed by the layout once it knows the terminal size. They start
+// hidden at full size so their canvases are never created too small.
+const chartOptions = (label) => ({
+  label,
+  hidden: true,
+  border: {
+    type: "line",
+    fg: uiColor,
+  },
+});
+
+const costChart = grid.set(0, 0, 12, 12, contrib.line, {
+  ...chartOptions(" Tap Cost "),
+  style: { line: "yellow", text: "green", baseline: "green" },
+  numYLabels: 4,
+});
+
+const rateChart = grid.set(0, 0, 12, 12, contrib.line, {
+  ...chartOptions(" Taps per Minute "),
+  style: { line: "cyan", text: "green", baseline: "green" },
+  wholeNumbersOnly: true,
+  numYLabels: 4,
+  showNthLabel: 5,
+});
+
+const prizeChart = grid.set(0, 0, 12, 12, contrib.bar, {
+  ...chartOptions(" Prize per Round "),
+  barWidth: 6,
+  barSpacing: 9,
+  xOffset: 2,
+  maxHeight: 0,
+  barBgColor: "magenta",
+});
+
+const playersChart = grid.set(0, 0, 12, 12, contrib.bar, {
+  ...chartOptions(" Top Players by Taps "),
+  barWidth: 6,
+  barSpacing: 9,
+  xOffset: 2,
+  maxHeight: 0,
+  barBgColor: "green",
+});
+
+// Round browser overlay, shown over the stats and the log while open
+const browserInfo = grid.set(5, 0, 2, 12, blessed.box, {
+  label: " Round Browser ",
+  tags: true,
+  hidden: true,
+  border: {
+    type: "line",
+    fg: uiColor,
+  },
+  style: {
+    fg: "white",
+  },
+});
+
+const browserList = grid.set(7, 0, 5, 12, blessed.list, {
+  keys: true,
+  mouse: true,
+  hidden: true,
+  border: {
+    type: "line",
+    fg: uiColor,
+  },
+  style: {
+    fg: "white",
+    selected: {
+      bg: uiColor,
+      fg: "black",
+    },
+  },
+});
+
+// Exit on q or Ctrl+C; Escape closes the round browser first
+screen.key(["q", "C-c"], function (ch, key) {
   return process.exit(0);
 });
 
@@ -231,10 +332,10 @@ const updateEventDistribution = (eventCounts) => {
 const updateRoundInfo = (currentRound, lastTapper, tapCost, lastWinner, prizeAmount, newEndTime) => {
   roundInfo.setContent(
     `${chalk.hex(uiColor)("Current Round:".padEnd(16))} ${chalk.white(currentRound || "N/A")}\n` +
-    `${chalk.hex(uiColor)("Last Tapper:".padEnd(16))} ${chalk.green(formatAddress(lastTapper) || "N/A")}\n` +
+    `${chalk.hex(uiColor)("Last Tapper:".padEnd(16))} ${chalk.green(formatAddress(lastTapper))}\n` +
     `${chalk.hex(uiColor)("Current Tap Cost:".padEnd(16))} ${chalk.cyan(formatEth(tapCost) || "N/A")}\n` +
     `${chalk.hex(uiColor)("Current End Time:".padEnd(16))} ${chalk.cyan(newEndTime ? new Date(Number(newEndTime) * 1000).toLocaleString() : "N/A")}\n` +
-    `${chalk.hex(uiColor)("Last Winner:".padEnd(16))} ${chalk.yellow(formatAddress(lastWinner) || "N/A")}\n` +
+    `${chalk.hex(uiColor)("Last Winner:".padEnd(16))} ${chalk.yellow(formatAddress(lastWinner))}\n` +
     `${chalk.hex(uiColor)("Last Prize:".padEnd(16))} ${chalk.magenta(formatEth(prizeAmount) || "N/A")}`
   );
   screen.render();
@@ -258,36 +359,419 @@ const updateStats = (currentBlock, height, eventCounts, startTime) => {
   screen.render();
 };
 
-const POLLING_INTERVAL = 200; //ms
+//=============================================================================
+// EVENT DISPLAY
+//=============================================================================
+// Game state and counters, carried from the replay into the live stream
+let game = {};
+let eventCounts = { Tapped: 0, RoundEnded: 0 };
+
+// Logs a Tapped or RoundEnded row, decoded live or read back from storage
+const logGameEvent = (name, row) => {
+  const timeString = new Date(row.event_timestamp).toISOString().split("T")[1].split(".")[0];
+  if (name === "Tapped") {
+    logWindow.log(
+      `${chalk.green("➤ Tapped")} | Round: ${chalk.cyan(row.round_number)} | Tapper: ${chalk.yellow(
+        formatAddress(row.player)
+      )} | Cost: ${chalk.magenta(formatEth(row.cost))} | ${timeString}`
+    );
+  } else {
+    logWindow.log(
+      `${chalk.yellow("★ Round Ended")} | Round: ${chalk.cyan(row.round_number)} | Winner: ${chalk.green(
+        formatAddress(row.winner)
+      )} | Prize: ${chalk.magenta(formatEth(row.prize))} | ${timeString}`
+    );
+  }
+};
+
+const renderGame = () => {
+  updateRoundInfo(game.currentRound, game.lastTapper, game.tapCost, game.lastWinner, game.lastPrize, game.deadline);
+  updateEventDistribution(eventCounts);
+  renderCharts();
+  renderBrowser();
+};
 
 //=============================================================================
-// MAIN FUNCTION
+// ROUND BROWSER
 //=============================================================================
-async function main() {
-  // Track metrics
-  const eventCounts = {
-    Tapped: 0,
-    RoundEnded: 0
+// Every event the UI shows is also indexed by round and player. `r` opens the
+// list of rounds; Enter opens a round's taps, Enter on a tap opens that
+// player's rounds and win rate, Enter on one of those opens the round again,
+// and Escape goes back a level.
+const history = createGameHistory();
+
+// Open views, innermost last: { type: "rounds" | "round" | "player", round,
+// address, selected } where selected is the line to return to
+const browserViews = [];
+let browserTargets = []; // the view each list line opens
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : "N/A");
+const formatWinRate = (rate) => (rate === null ? "N/A" : `${(rate * 100).toFixed(1)}%`);
+const BROWSER_HINT = "↑/↓ select | Enter open | Esc back";
+
+function browserView(view) {
+  if (view.type === "rounds") {
+    const rounds = history.rounds();
+    return {
+      label: " Rounds ",
+      info:
+        `${chalk.hex(uiColor)("Rounds seen:")} ${formatNumber(rounds.length)}   ` +
+        `${chalk.hex(uiColor)("Events:")} ${formatNumber(history.size)}\n${chalk.gray(BROWSER_HINT)}`,
+      lines: rounds.map((round) =>
+        `Round ${round.round.padEnd(8)} ${formatNumber(round.taps).padStart(6)} taps  ${formatNumber(round.players).padStart(4)} players  ` +
+        `Spent ${formatEth(round.spent).padStart(16)}  ` +
+        (round.ended ? `Winner ${formatAddress(round.winner)}  Prize ${formatEth(round.prize)}` : "In progress")
+      ),
+      targets: rounds.map((round) => ({ type: "round", round: round.round })),
+    };
+  }
+
+  if (view.type === "round") {
+    const round = history.round(view.round);
+    if (!round) return { label: ` Round ${view.round} `, info: chalk.gray(BROWSER_HINT), lines: [], targets: [] };
+    const taps = round.tapRows.map((row, index) => ({
+      line: `#${String(index + 1).padEnd(5)} ${formatTime(row.event_timestamp).padEnd(24)} ${formatAddress(row.player).padEnd(16)} Cost ${formatEth(row.cost)}`,
+      target: { type: "player", address: row.player },
+    }));
+    if (round.endRow) {
+      taps.push({
+        line: `Ended  ${formatTime(round.endRow.event_timestamp).padEnd(24)} ${formatAddress(round.winner).padEnd(16)} Prize ${formatEth(round.prize)}`,
+        target: { type: "player", address: round.winner },
+      });
+    }
+    return {
+      label: ` Round ${round.round} `,
+      info:
+        `${chalk.hex(uiColor)("Taps:")} ${formatNumber(round.taps)}   ${chalk.hex(uiColor)("Players:")} ${formatNumber(round.players)}   ` +
+        `${chalk.hex(uiColor)("Spent:")} ${formatEth(round.spent)}   ` +
+        (round.ended
+          ? `${chalk.hex(uiColor)("Winner:")} ${chalk.yellow(formatAddress(round.winner))}   ${chalk.hex(uiColor)("Prize:")} ${chalk.magenta(formatEth(round.prize))}`
+          : chalk.cyan("In progress")) +
+        `\n${chalk.gray(BROWSER_HINT)}`,
+      lines: taps.map(({ line }) => line),
+      targets: taps.map(({ target }) => target),
+    };
+  }
+
+  const player = history.player(view.address);
+  if (!player) return { label: ` Player ${formatAddress(view.address)} `, info: chalk.gray(BROWSER_HINT), lines: [], targets: [] };
+  return {
+    label: ` Player ${player.address} `,
+    info:
+      `${chalk.hex(uiColor)("Taps:")} ${formatNumber(player.taps)} in ${formatNumber(player.rounds.length)} rounds   ` +
+      `${chalk.hex(uiColor)("Spent:")} ${formatEth(player.spent)}   ` +
+      `${chalk.hex(uiColor)("Wins:")} ${formatNumber(player.wins)}/${formatNumber(player.endedRounds)} (${formatWinRate(player.winRate)})   ` +
+      `${chalk.hex(uiColor)("Prizes:")} ${chalk.magenta(formatEth(player.prizes))}\n${chalk.gray(BROWSER_HINT)}`,
+    lines: player.rounds.map((round) =>
+      `Round ${round.round.padEnd(8)} ${formatNumber(round.taps).padStart(6)} taps  Spent ${formatEth(round.spent).padStart(16)}  ` +
+      (round.won ? `Won ${formatEth(round.prize)}` : round.ended ? "Lost" : "In progress")
+    ),
+    targets: player.rounds.map((round) => ({ type: "round", round: round.round })),
+  };
+}
+
+// Redraws the open view, keeping the selected line where it can
+function renderBrowser() {
+  const view = browserViews[browserViews.length - 1];
+  if (!view) return;
+  const selected = browserList.selected;
+  const { label, info, lines, targets } = browserView(view);
+  browserInfo.setLabel(label);
+  browserInfo.setContent(info);
+  browserList.setItems(lines.length > 0 ? lines : ["No events yet."]);
+  browserList.select(Math.min(selected, Math.max(lines.length - 1, 0)));
+  browserTargets = targets;
+  screen.render();
+}
+
+function openBrowserView(view) {
+  if (browserViews.length === 0) {
+    browserInfo.show();
+    browserList.show();
+    browserList.focus();
+  } else {
+    browserViews[browserViews.length - 1].selected = browserList.selected;
+  }
+  browserViews.push(view);
+  browserList.select(0);
+  renderBrowser();
+}
+
+function closeBrowserView() {
+  browserViews.pop();
+  const view = browserViews[browserViews.length - 1];
+  if (!view) {
+    browserInfo.hide();
+    browserList.hide();
+    screen.render();
+    return;
+  }
+  browserList.select(view.selected ?? 0);
+  renderBrowser();
+}
+
+browserList.on("select", (item, index) => {
+  const target = browserTargets[index];
+  if (target) openBrowserView(target);
+});
+screen.key(["r"], () => {
+  if (browserViews.length === 0) openBrowserView({ type: "rounds" });
+});
+screen.key(["escape"], () => (browserViews.length > 0 ? closeBrowserView() : process.exit(0)));
+
+//=============================================================================
+// CHARTS AND LAYOUT
+//=============================================================================
+// The charts read the same index as the round browser. Where they go depends
+// on the terminal: beside the panels when it is wide, above the log when it
+// is tall, and nowhere when it is small. The layout is reapplied on resize.
+const RATE_MINUTES = 30;
+
+// Cells are [row, col, rowSpan, colSpan] on a rows x cols grid; charts without
+// a cell are hidden
+const LAYOUTS = {
+  wide: {
+    rows: 12,
+    cols: 12,
+    cells: {
+      logo: [0, 0, 3, 8], subtitle: [3, 0, 1, 8], progressBox: [4, 0, 1, 8],
+      stats: [5, 0, 2, 4], eventDistribution: [5, 4, 2, 4], roundInfo: [7, 0, 2, 8], logWindow: [9, 0, 3, 8],
+      browserInfo: [5, 0, 2, 8], browserList: [7, 0, 5, 8],
+      costChart: [0, 8, 3, 4], rateChart: [3, 8, 3, 4], prizeChart: [6, 8, 3, 4], playersChart: [9, 8, 3, 4],
+    },
+  },
+  tall: {
+    rows: 18,
+    cols: 12,
+    cells: {
+      logo: [0, 0, 3, 12], subtitle: [3, 0, 1, 12], progressBox: [4, 0, 1, 12],
+      stats: [5, 0, 2, 6], eventDistribution: [5, 6, 2, 6], roundInfo: [7, 0, 3, 12], logWindow: [16, 0, 2, 12],
+      browserInfo: [5, 0, 2, 12], browserList: [7, 0, 11, 12],
+      costChart: [10, 0, 3, 6], rateChart: [10, 6, 3, 6], prizeChart: [13, 0, 3, 6], playersChart: [13, 6, 3, 6],
+    },
+  },
+  compact: {
+    rows: 12,
+    cols: 12,
+    cells: {
+      logo: [0, 0, 3, 12], subtitle: [3, 0, 1, 12], progressBox: [4, 0, 1, 12],
+      stats: [5, 0, 2, 6], eventDistribution: [5, 6, 2, 6], roundInfo: [7, 0, 2, 12], logWindow: [9, 0, 3, 12],
+      browserInfo: [5, 0, 2, 12], browserList: [7, 0, 5, 12],
+    },
+  },
+};
+
+const layoutFor = (width, height) => {
+  if (width >= 160 && height >= 36) return LAYOUTS.wide;
+  if (width >= 100 && height >= 60) return LAYOUTS.tall;
+  return LAYOUTS.compact;
+};
+
+const WIDGETS = { logo, subtitle, progressBox, stats, eventDistribution, roundInfo, logWindow, browserInfo, browserList };
+const CHARTS = { costChart, rateChart, prizeChart, playersChart };
+let chartsShown = false;
+
+// Wei to whole tokens for plotting
+const toTokens = (wei) => Number(formatUnits(wei, 18, 4));
+
+// contrib.line cannot plot an empty series, so it gets a flat placeholder
+const lineSeries = (title, x, y, color) => (x.length > 0 ? { title, x, y, style: { line: color } } : { title, x: [""], y: [0], style: { line: color } });
+
+// Bars that fit across a bar chart
+const barCapacity = (chart) => Math.max(1, Math.floor((chart.width - 2 - chart.options.xOffset) / chart.options.barSpacing));
+
+function renderCharts() {
+  if (!chartsShown) return;
+
+  // The current round's tap costs, or the latest round's until it has taps
+  const round = history.round(game.currentRound) ?? history.round(history.rounds()[0]?.round);
+  const taps = round?.tapRows ?? [];
+  costChart.setLabel(round ? ` Tap Cost - Round ${round.round} ` : " Tap Cost ");
+  costChart.setData([lineSeries("Cost", taps.map((row, index) => String(index + 1)), taps.map((row) => toTokens(row.cost)), "yellow")]);
+
+  const minutes = history.tapsPerMinute(RATE_MINUTES);
+  rateChart.setData([
+    lineSeries(
+      "Taps",
+      minutes.map(({ minute }) => new Date(minute).toISOString().slice(11, 16)),
+      minutes.map(({ taps }) => taps),
+      "cyan"
+    ),
+  ]);
+
+  const prizes = history.prizes(barCapacity(prizeChart));
+  prizeChart.setData({
+    titles: prizes.map(({ round }) => `#${round}`.slice(-prizeChart.options.barWidth)),
+    data: prizes.map(({ prize }) => Number(toTokens(prize).toFixed(2))),
+  });
+
+  const players = history.topPlayers(barCapacity(playersChart));
+  playersChart.setData({
+    titles: players.map(({ address }) => address.slice(2, 2 + playersChart.options.barWidth)),
+    data: players.map(({ taps }) => taps),
+  });
+}
+
+function applyLayout() {
+  const { rows, cols, cells } = layoutFor(screen.width, screen.height);
+  for (const [name, widget] of Object.entries({ ...WIDGETS, ...CHARTS })) {
+    const cell = cells[name];
+    if (!cell) {
+      widget.hide();
+      continue;
+    }
+    const [row, col, rowSpan, colSpan] = cell;
+    widget.top = `${(row * 100) / rows}%`;
+    widget.left = `${(col * 100) / cols}%`;
+    widget.width = `${(colSpan * 100) / cols}%`;
+    widget.height = `${(rowSpan * 100) / rows}%`;
+    if (CHARTS[name]) {
+      widget.show();
+      // Recreates the chart's canvas at its new size
+      widget.emit("attach");
+    }
+  }
+  chartsShown = Object.keys(CHARTS).some((name) => cells[name]);
+  renderCharts();
+  screen.render();
+}
+
+screen.on("resize", applyLayout);
+applyLayout();
+
+//=============================================================================
+// REPLAY FROM STORAGE
+//=============================================================================
+// With --source storage the stored rows play back at REPLAY_SPEED times their
+// on-chain pace before the live stream takes over from the block after the
+// last one. Space pauses, right/left step one event, ] and [ seek by round,
+// + and - double or halve the speed and g skips ahead to the live stream.
+const REPLAY_KEYS = " Replay | space pause | ←/→ step | [ ] round | +/- speed | g go live | r rounds | q quit ";
+
+const formatSpeed = (speed) => `${Number(speed.toFixed(4))}x`;
+
+// Resolves to the block the live stream should start from
+async function replayFromStorage(startTime) {
+  const storage = createStorage(CONFIG, (message, level) =>
+    logWindow.log(level === "error" ? chalk.red(message) : message)
+  );
+  logWindow.log(chalk.yellow(`Loading stored events from ${storage.name} storage...`));
+  screen.render();
+  const { data: events, error } = await loadGameEvents(storage, CONFIG.contractAddress);
+  if (error) throw new Error(`Could not read stored events: ${error.message}`);
+  if (events.length === 0) {
+    logWindow.log(chalk.yellow(`No stored events for ${formatAddress(CONFIG.contractAddress)}; streaming from block ${formatNumber(CONFIG.startBlock)}`));
+    return CONFIG.startBlock;
+  }
+
+  const lastBlock = Number(events[events.length - 1].row.block_number);
+  const replay = createReplay(events, { speed: CONFIG.replaySpeed, maxGapMs: CONFIG.replayMaxGap });
+  let paused = CONFIG.replayPaused;
+  let finished = false;
+  logWindow.log(chalk.green(`Replaying ${formatNumber(events.length)} events up to block ${formatNumber(lastBlock)} at ${formatSpeed(replay.speed)}`));
+  subtitle.setContent(chalk.yellow(REPLAY_KEYS));
+
+  // The browser's index follows the replay, back and forth
+  const syncHistory = () => {
+    if (history.size > replay.position) history.clear();
+    for (const event of events.slice(history.size, replay.position)) history.add(event.name, event.row);
+  };
+  const show = () => {
+    game = replay.game;
+    eventCounts = replay.counts;
+    syncHistory();
+    renderGame();
+    const block = replay.current ? Number(replay.current.row.block_number) : CONFIG.startBlock;
+    updateProgressBar(
+      replay.position / events.length,
+      `Event: ${formatNumber(replay.position)}/${formatNumber(events.length)} | Block: ${formatNumber(block)} | ${formatSpeed(replay.speed)}${paused ? " | PAUSED" : ""}`
+    );
+    updateStats(block, lastBlock, eventCounts, startTime);
+  };
+  const logSeek = () => {
+    const round = events[replay.position]?.row.round_number;
+    logWindow.log(chalk.cyan(`Seeked to event ${formatNumber(replay.position)}/${formatNumber(events.length)}${round ? ` (round ${round})` : ""}`));
+  };
+
+  if (CONFIG.replayFromRound !== undefined) {
+    const index = events.findIndex(({ row }) => String(row.round_number) === CONFIG.replayFromRound);
+    if (index === -1) logWindow.log(chalk.red(`Round ${CONFIG.replayFromRound} has no stored events; replaying from the start`));
+    replay.seek(Math.max(index, 0));
+    if (index > 0) logSeek();
+  }
+
+  // Key presses wake the loop so a change applies at once
+  let wake = () => {};
+  const wait = (ms) => new Promise((resolve) => {
+    const timer = ms === Infinity ? null : setTimeout(() => resolve(true), ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+  });
+  const control = (action) => () => {
+    if (finished) return;
+    action();
+    show();
+    wake();
   };
+  screen.key(["space"], control(() => { paused = !paused; }));
+  screen.key(["right", "n"], control(() => {
+    paused = true;
+    const event = replay.next();
+    if (event) logGameEvent(event.name, event.row);
+  }));
+  screen.key(["left", "p"], control(() => {
+    paused = true;
+    replay.seek(replay.position - 1);
+    logSeek();
+  }));
+  screen.key(["]"], control(() => { replay.seekRound(1); logSeek(); }));
+  screen.key(["["], control(() => { replay.seekRound(-1); logSeek(); }));
+  screen.key(["+", "="], control(() => replay.setSpeed(replay.speed * 2)));
+  screen.key(["-", "_"], control(() => replay.setSpeed(replay.speed / 2)));
+  screen.key(["g"], control(() => {
+    replay.seek(events.length);
+    paused = false;
+  }));
+
+  show();
+  // A paused replay stays put even at its end, so the last event can be looked at
+  while (paused || !replay.done) {
+    if (paused) {
+      await wait(Infinity);
+      continue;
+    }
+    if (!(await wait(replay.delay()))) continue;
+    const event = replay.next();
+    if (event) logGameEvent(event.name, event.row);
+    show();
+  }
 
-  // Track game state
-  let currentRound = null;
-  let lastTapper = null;
-  let tapCost = null;
-  let lastWinner = null;
-  let lastPrize = null;
-  let newEndTime = null;
+  finished = true;
+  subtitle.setContent(chalk.yellow(" Last Tap Game Event Tracker - MegaETH Testnet "));
+  logWindow.log(chalk.green(`Replay finished; streaming live from block ${formatNumber(lastBlock + 1)}`));
+  screen.render();
+  return lastBlock + 1;
+}
 
+//=============================================================================
+// MAIN FUNCTION
+//=============================================================================
+async function main() {
   // Performance tracking
   const startTime = performance.now();
 
   try {
     // Initialize UI
     logWindow.log(chalk.green("Starting Last Tap Game Event Tracker..."));
+    logWindow.log(chalk.gray("Press r to browse rounds and players"));
     screen.render();
 
+    const fromBlock = CONFIG.source === "storage" ? await replayFromStorage(startTime) : CONFIG.startBlock;
+
     // Get chain height
-    const height = await client.getHeight();
+    let height = await client.getHeight();
     logWindow.log(`Chain height: ${formatNumber(height)}`);
 
     // Create decoder - FIXED signatures to match actual events
@@ -297,14 +781,13 @@ async function main() {
     ]);
 
     // Initialize UI components
-    updateProgressBar(0, `Block: ${formatNumber(CONFIG.startBlock)}/${formatNumber(height)}`);
-    updateEventDistribution(eventCounts);
-    updateRoundInfo(currentRound, lastTapper, tapCost, lastWinner, lastPrize, newEndTime);
-    updateStats(CONFIG.startBlock, height, eventCounts, startTime);
+    updateProgressBar(0, `Block: ${formatNumber(fromBlock)}/${formatNumber(height)}`);
+    renderGame();
+    updateStats(fromBlock, height, eventCounts, startTime);
 
     // Set up query - FIXED to include all necessary topic fields
     let query = {
-      fromBlock: CONFIG.startBlock,
+      fromBlock,
       logs: [
         {
           address: [CONFIG.contractAddress],
@@ -314,6 +797,7 @@ async function main() {
       fieldSelection: {
         log: [
           LogField.BlockNumber,
+          LogField.LogIndex,
           LogField.TransactionHash,
           LogField.Data,
           LogField.Topic0,
@@ -329,7 +813,7 @@ async function main() {
     logWindow.log(chalk.yellow("Starting event stream..."));
     let stream = await client.stream(query, {});
 
-    let currentBlock = CONFIG.startBlock;
+    let currentBlock = fromBlock;
 
     // Main event loop
     while (true) {
@@ -340,7 +824,7 @@ async function main() {
         logWindow.log(chalk.cyan("Reached chain tip. Waiting for new blocks..."));
 
         // Wait for new blocks
-        await new Promise(resolve => setTimeout(resolve, POLLING_INTERVAL));
+        await new Promise(resolve => setTimeout(resolve, CONFIG.pollingInterval));
 
         try {
           // Check for new blocks
@@ -348,6 +832,7 @@ async function main() {
 
           if (newHeight > height) {
             logWindow.log(chalk.green(`Chain advanced to ${formatNumber(newHeight)}`));
+            height = newHeight;
 
             // Restart stream
             await stream.close();
@@ -360,6 +845,11 @@ async function main() {
         continue;
       }
 
+      // The tip keeps moving while we stream. Tracking it keeps the progress
+      // bar honest and makes the tip check above wait for blocks past the
+      // ones already streamed.
+      height = Math.max(height, res.archiveHeight ?? 0, res.nextBlock ? res.nextBlock - 1 : 0);
+
       // Process logs
       if (res.data && res.data.logs && res.data.logs.length > 0) {
         const decodedLogs = await decoder.decodeLogs(res.data.logs);
@@ -373,66 +863,24 @@ async function main() {
           // Get event type
           const topic0 = rawLog.topics[0];
           const eventType = TOPIC_TO_NAME[topic0];
+          const processEvent = eventType === "Tapped" ? processTapped : eventType === "RoundEnded" ? processRoundEnded : null;
+          if (!processEvent) continue;
 
-          if (eventType === "Tapped") {
-            eventCounts.Tapped++;
-
-            // FIXED: Extract data correctly based on event structure
-            // Indexed parameters: roundNumber (topic1), player (topic2)
-            // Non-indexed parameters in body: cost, newEndTime, timestamp
-            const roundNumber = decodedLog.indexed[0]?.val?.toString();
-            const tapper = decodedLog.indexed[1]?.val?.toString();
-            const tapCostPaid = decodedLog.body[0]?.val?.toString();
-            const endTime = decodedLog.body[1]?.val?.toString();
-            const timestamp = decodedLog.body[2]?.val?.toString();
-
-            const date = new Date(Number(timestamp) * 1000).toISOString();
-            const timeString = date.split("T")[1].split(".")[0];
-
-            // Update game state
-            currentRound = roundNumber;
-            lastTapper = tapper;
-            tapCost = tapCostPaid;
-            newEndTime = endTime;
-
-            // Log the event
-            logWindow.log(
-              `${chalk.green("➤ Tapped")} | Round: ${chalk.cyan(roundNumber)} | Tapper: ${chalk.yellow(
-                formatAddress(tapper)
-              )} | Cost: ${chalk.magenta(formatEth(tapCostPaid))} | ${timeString}`
-            );
-          }
-          else if (eventType === "RoundEnded") {
-            eventCounts.RoundEnded++;
-
-            // FIXED: Extract data correctly based on event structure
-            // Indexed parameters: roundNumber (topic1), winner (topic2)
-            // Non-indexed parameters in body: prize, timestamp
-            const roundNumber = decodedLog.indexed[0]?.val?.toString();
-            const winner = decodedLog.indexed[1]?.val?.toString();
-            const prizeAmount = decodedLog.body[0]?.val?.toString();
-            const timestamp = decodedLog.body[1]?.val?.toString();
-
-            const date = new Date(Number(timestamp) * 1000).toISOString();
-            const timeString = date.split("T")[1].split(".")[0];
-
-            // Update game state
-            lastWinner = winner;
-            lastPrize = prizeAmount;
-            currentRound = (parseInt(roundNumber) + 1).toString();
-
-            // Log the event
-            logWindow.log(
-              `${chalk.yellow("★ Round Ended")} | Round: ${chalk.cyan(roundNumber)} | Winner: ${chalk.green(
-                formatAddress(winner)
-              )} | Prize: ${chalk.magenta(formatEth(prizeAmount))} | ${timeString}`
-            );
+          // The same processing run.js stores rows with
+          const { row, state, logs } = processEvent({ decoded: decodedLog, rawLog, contractAddress: CONFIG.contractAddress }, game);
+          for (const { message, level } of logs) {
+            if (level === "error") logWindow.log(chalk.red(message));
           }
+          if (!row) continue;
+
+          eventCounts = { ...eventCounts, [eventType]: eventCounts[eventType] + 1 };
+          game = state;
+          history.add(eventType, row);
+          logGameEvent(eventType, row);
         }
 
         // Update UI components
-        updateRoundInfo(currentRound, lastTapper, tapCost, lastWinner, lastPrize, newEndTime);
-        updateEventDistribution(eventCounts);
+        renderGame();
       }
 
       // Update block position
@@ -441,7 +889,7 @@ async function main() {
         query.fromBlock = currentBlock;
 
         // Calculate progress
-        const progress = Math.min((currentBlock - CONFIG.startBlock) / (height - CONFIG.startBlock), 1);
+        const progress = height > fromBlock ? Math.min((currentBlock - fromBlock) / (height - fromBlock), 1) : 1;
 
         // Update UI
         updateProgressBar(progress, `Block: ${formatNumber(currentBlock)}/${formatNumber(height)}`);
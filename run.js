@@ -1,225 +1,95 @@
 // last-tap-tracker-supabase-batch-dual-rpc.js
-import { keccak256, toHex } from "viem";
 import {
-  HypersyncClient,
-  LogField,
-  JoinMode,
-  Decoder,
-} from "@envio-dev/hypersync-client";
-import http from "http";
-import { createClient } from "@supabase/supabase-js";
+  createIndexer,
+  createLogger,
+  formatAddress,
+  badRequest,
+  isAddress,
+  notFound,
+  runCli,
+  withoutOptions,
+} from "./lib/indexer-core.js";
+import { INDEXER_OPTIONS, loadConfig, withDefaults } from "./lib/config.js";
+import { applyGameRow, formatTokens, processRoundEnded, processTapped } from "./lib/last-tap-events.js";
+import { armCountdown, dueCountdowns } from "./lib/round-countdown.js";
 import pg from "pg";
+import { parseUnits } from "viem";
 const { Pool } = pg;
 import "dotenv/config";
 
 // --- Configuration ---
-const CONFIG = {
-  contractAddress: process.env.GAME_CONTRACT_ADDRESS,
-  startBlock: 5507082,
-  network: "megaethTestnet",
-  logLevel: "event-only", // 'verbose', 'normal', 'event-only'
-  supabaseUrl: process.env.SUPABASE_URL,
-  supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
-  supabaseDbConnectionString: process.env.SUPABASE_DB_CONNECTION_STRING,
-  batchSize: 100,
-  maxRetries: 20,
-  retryBaseDelay: 500,
-};
-
-// --- Enhanced Network URL mapping with fallback RPCs ---
-const NETWORK_URLS = {
-  ethereum: ["https://eth.hypersync.xyz"],
-  arbitrum: ["https://arbitrum.hypersync.xyz"],
-  optimism: ["https://optimism.hypersync.xyz"],
-  megaethTestnet: [
-    "https://megaeth-testnet.hypersync.xyz",
-    "https://6342.rpc.hypersync.xyz"
-  ],
-};
-
-// Track which RPC we're currently using
-let currentRpcIndex = 0;
-let currentRpcUrl = null;
-
-// --- Helper Functions ---
-const log = (message, level = "normal") => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} [${level.toUpperCase()}] ${message}`;
-
-  if (level === "error") {
-    console.error(logMessage);
-    return;
-  }
-
-  if (
-    CONFIG.logLevel === "verbose" ||
-    level === "event" ||
-    level === "startup" ||
-    level === "supabase" ||
-    level === "db_setup"
-  ) {
-    console.log(logMessage);
-  } else if (CONFIG.logLevel === "normal" && level !== "verbose") {
-    console.log(logMessage);
-  } else if (
-    CONFIG.logLevel === "event-only" &&
-    (level === "event" || level === "startup" || level === "db_setup")
-  ) {
-    console.log(logMessage);
-  }
-};
-
-const formatAddress = (address) => {
-  if (!address || address.length < 12) return address || "N/A";
-  return `${address.substring(0, 8)}...${address.substring(
-    address.length - 4
-  )}`;
-};
-
-const formatTokens = (wei) => {
-  try {
-    if (wei === null || wei === undefined) return "N/A";
-    const weiBigInt = BigInt(wei);
-    const eth = Number((weiBigInt * 10000n) / 10n ** 18n) / 10000;
-    return eth.toFixed(4) + " TAP";
-  } catch (e) {
-    log(`Error formatting TAP value: ${wei} - ${e.message}`, "error");
-    return wei?.toString() || "N/A";
-  }
-};
-
-// --- RPC Management Functions ---
-function getCurrentRpcUrl(network) {
-  const urls = NETWORK_URLS[network];
-  if (!urls || urls.length === 0) {
-    throw new Error(`No RPC URLs configured for network: ${network}`);
-  }
-
-  currentRpcIndex = currentRpcIndex % urls.length;
-  currentRpcUrl = urls[currentRpcIndex];
-  return currentRpcUrl;
-}
-
-function switchToNextRpc(network) {
-  const urls = NETWORK_URLS[network];
-  if (!urls || urls.length <= 1) {
-    return false;
-  }
-
-  const previousUrl = currentRpcUrl;
-  currentRpcIndex = (currentRpcIndex + 1) % urls.length;
-  currentRpcUrl = urls[currentRpcIndex];
-
-  log(`🔄 Switching RPC from ${previousUrl} to ${currentRpcUrl}`, 'startup');
-  return true;
-}
-
-// --- Validate Configuration ---
-if (!CONFIG.supabaseUrl || !CONFIG.supabaseServiceKey) {
-  log("Error: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required.", "error");
-  process.exit(1);
-}
-if (!CONFIG.supabaseDbConnectionString) {
-  log("Error: SUPABASE_DB_CONNECTION_STRING environment variable is required for initial setup.", "error");
-  process.exit(1);
-}
-
-log(`SUPABASE_URL format check: ${CONFIG.supabaseUrl?.startsWith("https://") ? "OK" : "INVALID"}`, "startup");
-log(`SUPABASE_SERVICE_ROLE_KEY length check: ${CONFIG.supabaseServiceKey?.length > 30 ? "OK" : "INVALID"}`, "startup");
-log(`SUPABASE_DB_CONNECTION_STRING format check: ${CONFIG.supabaseDbConnectionString?.startsWith("postgresql://") ? "OK" : "INVALID"}`, "startup");
-log(`🌐 Available RPCs for ${CONFIG.network}: ${NETWORK_URLS[CONFIG.network].join(', ')}`, 'startup');
-
-// --- Enhanced Hypersync client creation with RPC fallback ---
-async function createHypersyncClientWithFallback(maxRetries = 3) {
-  const urls = NETWORK_URLS[CONFIG.network];
-  if (!urls || urls.length === 0) {
-    throw new Error(`No RPC URLs configured for network: ${CONFIG.network}`);
-  }
-
-  let totalAttempts = 0;
-  const maxTotalAttempts = maxRetries * urls.length;
-
-  while (totalAttempts < maxTotalAttempts) {
-    const rpcUrl = getCurrentRpcUrl(CONFIG.network);
-    totalAttempts++;
-
-    try {
-      log(`🔌 Attempting to connect to ${rpcUrl} (attempt ${totalAttempts}/${maxTotalAttempts})`, 'startup');
-
-      const client = HypersyncClient.new({
-        url: rpcUrl,
-        bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
-        timeout: 30000,
-      });
-
-      const height = await client.getHeight();
-      log(`✅ Successfully connected to ${rpcUrl}. Chain height: ${height}`, 'startup');
-      return { client, rpcUrl };
-
-    } catch (error) {
-      log(`❌ Failed to connect to ${rpcUrl}: ${error.message}`, 'error');
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout') ||
-                               error.message.includes('ECONNREFUSED') ||
-                               error.message.includes('ENOTFOUND');
-
-      if (isConnectionError && switchToNextRpc(CONFIG.network)) {
-        log(`Connection error detected, trying next RPC...`, 'startup');
-        continue;
-      }
-
-      if (totalAttempts < maxTotalAttempts) {
-        const delay = Math.min(1000 * Math.pow(2, Math.floor(totalAttempts / urls.length)), 30000);
-        log(`Retrying in ${delay}ms...`, 'startup');
-        await new Promise(resolve => setTimeout(resolve, delay));
-
-        switchToNextRpc(CONFIG.network);
+// Options are layered defaults < config file < environment < CLI flags; see
+// lib/config.js and `node run.js --help`.
+// GAME_CONTRACTS lists every deployment to follow as "address[:startBlock]",
+// comma separated. GAME_CONTRACT_ADDRESS is still accepted for a single one.
+function parseContractList(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(",");
+  const contracts = entries
+    .map((entry) => String(entry).trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [address, startBlock] = entry.split(":").map((part) => part.trim());
+      if (!isAddress(address) || (startBlock !== undefined && !/^\d+$/.test(startBlock))) {
+        throw new Error(`has an invalid entry "${entry}"; expected address[:startBlock]`);
       }
-    }
+      // Stored and matched lower-cased, whatever casing the config uses
+      return { address: address.toLowerCase(), startBlock: startBlock !== undefined ? Number(startBlock) : null };
+    });
+  if (contracts.length === 0) throw new Error("must list at least one contract");
+  if (new Set(contracts.map((c) => c.address.toLowerCase())).size !== contracts.length) {
+    throw new Error("lists the same contract more than once");
   }
-
-  throw new Error(`Failed to connect to any Hypersync RPC after ${maxTotalAttempts} attempts across ${urls.length} endpoints`);
+  return contracts;
 }
 
-async function createStreamWithFallback(client, query, maxRetries = 3) {
-  let attempts = 0;
-
-  while (attempts < maxRetries) {
-    attempts++;
-    try {
-      log(`Creating stream (attempt ${attempts}/${maxRetries})...`, 'startup');
-      const stream = await client.stream(query, {});
-      log(`✅ Stream created successfully`, 'startup');
-      return stream;
-    } catch (error) {
-      log(`❌ Stream creation failed (attempt ${attempts}/${maxRetries}): ${error.message}`, 'error');
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout');
-
-      if (isConnectionError && attempts === maxRetries) {
-        throw new Error(`Stream creation failed after ${maxRetries} attempts: ${error.message}`);
-      }
+const CONFIG_SCHEMA = {
+  contracts: {
+    env: ["GAME_CONTRACTS", "GAME_CONTRACT_ADDRESS"],
+    parse: parseContractList,
+    required: true,
+    description: "Game contracts to follow, as address[:startBlock] comma separated",
+  },
+  ...withDefaults(INDEXER_OPTIONS, {
+    startBlock: 5507082, // used for contracts listed without their own start block
+    sqlitePath: "last-tap.sqlite",
+    jsonlPath: "last-tap.jsonl",
+    batchSize: 100,
+    deadLetterPath: "last-tap-dead-letters.jsonl",
+    pollingInterval: 200,
+  }),
+  countdownThresholds: {
+    type: "list",
+    item: "integer",
+    min: 1,
+    env: "ROUND_COUNTDOWN_THRESHOLDS",
+    default: [60, 10],
+    description: "Seconds before a round's deadline that trigger countdown alerts",
+  },
+  countdownExpiredGrace: {
+    type: "integer",
+    min: 0,
+    default: 30,
+    description: "Seconds past the deadline without a RoundEnded before the round is reported as expired",
+  },
+  countdownInterval: { type: "integer", min: 1, default: 1000, description: "Milliseconds between deadline checks" },
+};
 
-      if (attempts < maxRetries) {
-        const delay = 1000 * attempts;
-        log(`Retrying stream creation in ${delay}ms...`, 'startup');
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
+const { config: CONFIG, args: COMMAND_ARGS } = loadConfig(CONFIG_SCHEMA, {
+  usage: "Usage: node run.js [command] [options]\nCommands: migrate, backfill, replay-dead-letters, rebuild-players",
+});
 
-  throw new Error(`Failed to create stream after ${maxRetries} attempts`);
-}
+// --- Helper Functions ---
+const log = createLogger(CONFIG);
 
-// --- Initialize Supabase Client ---
-const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseServiceKey);
+// --- Database Migrations ---
+// Never edit a migration that has shipped; append a new one instead.
+const MIGRATION_SCOPE = "last_tap";
 
-// --- Database Setup SQL ---
-const SETUP_SQL = `
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_event_tables",
+    sql: `
 CREATE SCHEMA IF NOT EXISTS public;
 
 CREATE TABLE IF NOT EXISTS public.tapped_events_2 (
@@ -312,516 +182,1248 @@ EXCEPTION
     RAISE WARNING 'An error occurred during publication setup: SQLSTATE: %, SQLERRM: %', SQLSTATE, SQLERRM;
 END
 $$;
-`;
+`,
+  },
+  {
+    version: 2,
+    name: "create_indexer_checkpoints",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.indexer_checkpoints (
+    contract_address TEXT NOT NULL,
+    network TEXT NOT NULL,
+    next_block BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (contract_address, network)
+);
 
-async function runDatabaseSetup() {
-  log("Starting database schema setup...", "db_setup");
-  const pool = new Pool({
-    connectionString: CONFIG.supabaseDbConnectionString,
+GRANT ALL PRIVILEGES ON TABLE public.indexer_checkpoints TO postgres, service_role;
+ALTER TABLE public.indexer_checkpoints ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access indexer_checkpoints" ON public.indexer_checkpoints;
+CREATE POLICY "Service roles full access indexer_checkpoints" ON public.indexer_checkpoints FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+  {
+    version: 3,
+    name: "track_block_hashes_and_confirmations",
+    sql: `
+ALTER TABLE public.tapped_events_2 ADD COLUMN IF NOT EXISTS confirmed BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE public.round_ended_events_2 ADD COLUMN IF NOT EXISTS confirmed BOOLEAN NOT NULL DEFAULT true;
+CREATE INDEX IF NOT EXISTS idx_tapped_2_block_number ON public.tapped_events_2(block_number);
+CREATE INDEX IF NOT EXISTS idx_round_ended_2_block_number ON public.round_ended_events_2(block_number);
+
+CREATE TABLE IF NOT EXISTS public.indexer_block_hashes (
+    source TEXT NOT NULL,
+    network TEXT NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL,
+    parent_hash TEXT NOT NULL,
+    PRIMARY KEY (source, network, block_number)
+);
+
+GRANT ALL PRIVILEGES ON TABLE public.indexer_block_hashes TO postgres, service_role;
+ALTER TABLE public.indexer_block_hashes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access indexer_block_hashes" ON public.indexer_block_hashes;
+CREATE POLICY "Service roles full access indexer_block_hashes" ON public.indexer_block_hashes FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+  {
+    version: 4,
+    name: "create_rounds",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.rounds (
+    contract_address TEXT NOT NULL,
+    round_number NUMERIC(78, 0) NOT NULL,
+    first_tap_block BIGINT,
+    first_tap_time TIMESTAMPTZ,
+    last_tap_block BIGINT,
+    last_tap_time TIMESTAMPTZ,
+    last_tapper TEXT,
+    tap_count INTEGER NOT NULL DEFAULT 0,
+    unique_players INTEGER NOT NULL DEFAULT 0,
+    total_spent NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    final_cost NUMERIC(78, 0),
+    deadline TIMESTAMPTZ,
+    winner TEXT,
+    prize NUMERIC(78, 0),
+    ended_at TIMESTAMPTZ,
+    status TEXT NOT NULL CHECK (status IN ('active', 'ended')),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (contract_address, round_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rounds_status ON public.rounds(status);
+CREATE INDEX IF NOT EXISTS idx_rounds_winner ON public.rounds(winner);
+CREATE INDEX IF NOT EXISTS idx_rounds_ended_at ON public.rounds(ended_at);
+
+GRANT SELECT ON TABLE public.rounds TO anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.rounds TO postgres, service_role;
+ALTER TABLE public.rounds ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anon can read rounds" ON public.rounds;
+DROP POLICY IF EXISTS "Service roles full access rounds" ON public.rounds;
+CREATE POLICY "Anon can read rounds" ON public.rounds FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access rounds" ON public.rounds FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+
+-- Recomputes the given rounds from the raw event tables. Running it twice, or
+-- after a rollback, always converges on the same rows.
+CREATE OR REPLACE FUNCTION public.refresh_rounds(p_contract_address TEXT, p_round_numbers TEXT[])
+RETURNS void
+LANGUAGE plpgsql
+AS $fn$
+BEGIN
+  INSERT INTO public.rounds (
+    contract_address, round_number, first_tap_block, first_tap_time, last_tap_block, last_tap_time,
+    last_tapper, tap_count, unique_players, total_spent, final_cost, deadline,
+    winner, prize, ended_at, status, updated_at
+  )
+  SELECT
+    p_contract_address,
+    target.round_number::numeric,
+    taps.first_tap_block,
+    taps.first_tap_time,
+    taps.last_tap_block,
+    taps.last_tap_time,
+    taps.last_tapper,
+    taps.tap_count,
+    taps.unique_players,
+    COALESCE(taps.total_spent, 0),
+    taps.final_cost,
+    taps.deadline,
+    ended.winner,
+    ended.prize,
+    ended.event_timestamp,
+    CASE WHEN ended.winner IS NULL THEN 'active' ELSE 'ended' END,
+    now()
+  FROM unnest(p_round_numbers) AS target(round_number)
+  CROSS JOIN LATERAL (
+    SELECT
+      min(t.block_number) AS first_tap_block,
+      min(t.event_timestamp) AS first_tap_time,
+      max(t.block_number) AS last_tap_block,
+      max(t.event_timestamp) AS last_tap_time,
+      (array_agg(t.player ORDER BY t.block_number DESC, t.log_index DESC))[1] AS last_tapper,
+      count(*) AS tap_count,
+      count(DISTINCT lower(t.player)) AS unique_players,
+      sum(t.cost::numeric) AS total_spent,
+      (array_agg(t.cost::numeric ORDER BY t.block_number DESC, t.log_index DESC))[1] AS final_cost,
+      to_timestamp((array_agg(t.new_end_time::numeric ORDER BY t.block_number DESC, t.log_index DESC))[1]::double precision) AS deadline
+    FROM public.tapped_events_2 t
+    WHERE t.contract_address = p_contract_address AND t.round_number = target.round_number
+  ) taps
+  LEFT JOIN LATERAL (
+    SELECT e.winner, e.prize::numeric AS prize, e.event_timestamp
+    FROM public.round_ended_events_2 e
+    WHERE e.contract_address = p_contract_address AND e.round_number = target.round_number
+    ORDER BY e.block_number DESC, e.log_index DESC
+    LIMIT 1
+  ) ended ON true
+  WHERE taps.tap_count > 0 OR ended.winner IS NOT NULL
+  ON CONFLICT (contract_address, round_number) DO UPDATE SET
+    first_tap_block = EXCLUDED.first_tap_block,
+    first_tap_time = EXCLUDED.first_tap_time,
+    last_tap_block = EXCLUDED.last_tap_block,
+    last_tap_time = EXCLUDED.last_tap_time,
+    last_tapper = EXCLUDED.last_tapper,
+    tap_count = EXCLUDED.tap_count,
+    unique_players = EXCLUDED.unique_players,
+    total_spent = EXCLUDED.total_spent,
+    final_cost = EXCLUDED.final_cost,
+    deadline = EXCLUDED.deadline,
+    winner = EXCLUDED.winner,
+    prize = EXCLUDED.prize,
+    ended_at = EXCLUDED.ended_at,
+    status = EXCLUDED.status,
+    updated_at = EXCLUDED.updated_at;
+
+  -- Rounds whose events were all rolled back
+  DELETE FROM public.rounds r
+  WHERE r.contract_address = p_contract_address
+    AND r.round_number::text = ANY (p_round_numbers)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.tapped_events_2 t
+      WHERE t.contract_address = p_contract_address AND t.round_number = r.round_number::text
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.round_ended_events_2 e
+      WHERE e.contract_address = p_contract_address AND e.round_number = r.round_number::text
+    );
+END;
+$fn$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_rounds(TEXT, TEXT[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.refresh_rounds(TEXT, TEXT[]) TO postgres, service_role;
+
+-- Populate rounds once for data indexed before the table existed
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.rounds) THEN
+    PERFORM public.refresh_rounds(contract_address, array_agg(DISTINCT round_number))
+    FROM (
+      SELECT contract_address, round_number FROM public.tapped_events_2
+      UNION
+      SELECT contract_address, round_number FROM public.round_ended_events_2
+    ) existing
+    GROUP BY contract_address;
+  END IF;
+END
+$$;
+`,
+  },
+  {
+    version: 5,
+    name: "create_players",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.players (
+    address TEXT PRIMARY KEY,
+    total_taps INTEGER NOT NULL DEFAULT 0,
+    total_spent NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    rounds_played INTEGER NOT NULL DEFAULT 0,
+    rounds_won INTEGER NOT NULL DEFAULT 0,
+    total_prize_won NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    net_profit NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    first_seen TIMESTAMPTZ,
+    last_seen TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_players_total_taps ON public.players(total_taps);
+CREATE INDEX IF NOT EXISTS idx_players_total_prize_won ON public.players(total_prize_won);
+CREATE INDEX IF NOT EXISTS idx_players_net_profit ON public.players(net_profit);
+CREATE INDEX IF NOT EXISTS idx_tapped_2_player_lower ON public.tapped_events_2(lower(player));
+CREATE INDEX IF NOT EXISTS idx_round_ended_2_winner_lower ON public.round_ended_events_2(lower(winner));
+
+GRANT SELECT ON TABLE public.players TO anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.players TO postgres, service_role;
+ALTER TABLE public.players ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anon can read players" ON public.players;
+DROP POLICY IF EXISTS "Service roles full access players" ON public.players;
+CREATE POLICY "Anon can read players" ON public.players FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access players" ON public.players FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+
+-- Lifetime stats across every indexed contract, keyed by lowercased address
+CREATE OR REPLACE FUNCTION public.refresh_players(p_players TEXT[])
+RETURNS void
+LANGUAGE plpgsql
+AS $fn$
+BEGIN
+  INSERT INTO public.players (
+    address, total_taps, total_spent, rounds_played, rounds_won, total_prize_won,
+    net_profit, first_seen, last_seen, updated_at
+  )
+  SELECT
+    target.address,
+    taps.total_taps,
+    COALESCE(taps.total_spent, 0),
+    taps.rounds_played,
+    wins.rounds_won,
+    COALESCE(wins.total_prize_won, 0),
+    COALESCE(wins.total_prize_won, 0) - COALESCE(taps.total_spent, 0),
+    LEAST(taps.first_seen, wins.first_seen),
+    GREATEST(taps.last_seen, wins.last_seen),
+    now()
+  FROM (SELECT DISTINCT lower(p) AS address FROM unnest(p_players) AS p) target
+  CROSS JOIN LATERAL (
+    SELECT
+      count(*) AS total_taps,
+      sum(t.cost::numeric) AS total_spent,
+      count(DISTINCT t.contract_address || ':' || t.round_number) AS rounds_played,
+      min(t.event_timestamp) AS first_seen,
+      max(t.event_timestamp) AS last_seen
+    FROM public.tapped_events_2 t
+    WHERE lower(t.player) = target.address
+  ) taps
+  CROSS JOIN LATERAL (
+    SELECT
+      count(*) AS rounds_won,
+      sum(e.prize::numeric) AS total_prize_won,
+      min(e.event_timestamp) AS first_seen,
+      max(e.event_timestamp) AS last_seen
+    FROM public.round_ended_events_2 e
+    WHERE lower(e.winner) = target.address
+  ) wins
+  WHERE taps.total_taps > 0 OR wins.rounds_won > 0
+  ON CONFLICT (address) DO UPDATE SET
+    total_taps = EXCLUDED.total_taps,
+    total_spent = EXCLUDED.total_spent,
+    rounds_played = EXCLUDED.rounds_played,
+    rounds_won = EXCLUDED.rounds_won,
+    total_prize_won = EXCLUDED.total_prize_won,
+    net_profit = EXCLUDED.net_profit,
+    first_seen = EXCLUDED.first_seen,
+    last_seen = EXCLUDED.last_seen,
+    updated_at = EXCLUDED.updated_at;
+
+  -- Players whose events were all rolled back
+  DELETE FROM public.players pl
+  WHERE pl.address IN (SELECT lower(p) FROM unnest(p_players) AS p)
+    AND NOT EXISTS (SELECT 1 FROM public.tapped_events_2 t WHERE lower(t.player) = pl.address)
+    AND NOT EXISTS (SELECT 1 FROM public.round_ended_events_2 e WHERE lower(e.winner) = pl.address);
+END;
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.rebuild_players()
+RETURNS integer
+LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  rebuilt integer;
+BEGIN
+  DELETE FROM public.players;
+  PERFORM public.refresh_players(array_agg(address))
+  FROM (
+    SELECT lower(player) AS address FROM public.tapped_events_2
+    UNION
+    SELECT lower(winner) AS address FROM public.round_ended_events_2
+  ) everyone
+  HAVING count(*) > 0;
+  SELECT count(*) INTO rebuilt FROM public.players;
+  RETURN rebuilt;
+END;
+$fn$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_players(TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.rebuild_players() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.refresh_players(TEXT[]) TO postgres, service_role;
+GRANT EXECUTE ON FUNCTION public.rebuild_players() TO postgres, service_role;
+
+-- Populate players once for data indexed before the table existed
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.players) THEN
+    PERFORM public.rebuild_players();
+  END IF;
+END
+$$;
+`,
+  },
+  {
+    version: 6,
+    name: "create_player_leaderboard",
+    sql: `
+-- Player rankings over a time window, aggregated straight from the events.
+-- Amounts are returned as text so wei values survive the trip through JSON.
+CREATE OR REPLACE FUNCTION public.player_leaderboard(p_since TIMESTAMPTZ, p_order_by TEXT, p_limit INTEGER, p_offset INTEGER)
+RETURNS TABLE (
+    address TEXT,
+    total_taps BIGINT,
+    total_spent TEXT,
+    rounds_won BIGINT,
+    total_prize_won TEXT,
+    net_profit TEXT
+)
+LANGUAGE sql
+STABLE
+AS $fn$
+  WITH taps AS (
+    SELECT lower(player) AS address, count(*) AS total_taps, sum(cost::numeric) AS total_spent
+    FROM public.tapped_events_2
+    WHERE event_timestamp >= p_since
+    GROUP BY 1
+  ), wins AS (
+    SELECT lower(winner) AS address, count(*) AS rounds_won, sum(prize::numeric) AS total_prize_won
+    FROM public.round_ended_events_2
+    WHERE event_timestamp >= p_since
+    GROUP BY 1
+  ), stats AS (
+    SELECT
+      COALESCE(t.address, w.address) AS address,
+      COALESCE(t.total_taps, 0) AS total_taps,
+      COALESCE(t.total_spent, 0) AS total_spent,
+      COALESCE(w.rounds_won, 0) AS rounds_won,
+      COALESCE(w.total_prize_won, 0) AS total_prize_won,
+      COALESCE(w.total_prize_won, 0) - COALESCE(t.total_spent, 0) AS net_profit
+    FROM taps t
+    FULL OUTER JOIN wins w ON w.address = t.address
+  )
+  SELECT address, total_taps, total_spent::text, rounds_won, total_prize_won::text, net_profit::text
+  FROM stats
+  ORDER BY
+    CASE p_order_by
+      WHEN 'total_taps' THEN total_taps::numeric
+      WHEN 'net_profit' THEN net_profit
+      ELSE total_prize_won
+    END DESC,
+    address
+  LIMIT p_limit OFFSET p_offset;
+$fn$;
+
+REVOKE EXECUTE ON FUNCTION public.player_leaderboard(TIMESTAMPTZ, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.player_leaderboard(TIMESTAMPTZ, TEXT, INTEGER, INTEGER) TO postgres, service_role;
+`,
+  },
+  {
+    version: 7,
+    name: "type_event_table_columns",
+    sql: `
+ALTER TABLE public.tapped_events_2
+    ALTER COLUMN round_number TYPE NUMERIC(78, 0) USING round_number::numeric,
+    ALTER COLUMN cost TYPE NUMERIC(78, 0) USING cost::numeric,
+    ALTER COLUMN new_end_time TYPE BIGINT USING new_end_time::bigint,
+    ALTER COLUMN "timestamp" TYPE BIGINT USING "timestamp"::bigint;
+
+ALTER TABLE public.round_ended_events_2
+    ALTER COLUMN round_number TYPE NUMERIC(78, 0) USING round_number::numeric,
+    ALTER COLUMN prize TYPE NUMERIC(78, 0) USING prize::numeric,
+    ALTER COLUMN "timestamp" TYPE BIGINT USING "timestamp"::bigint;
+
+-- refresh_rounds compared round numbers as text; the other functions only
+-- carried casts that are now no-ops.
+CREATE OR REPLACE FUNCTION public.refresh_rounds(p_contract_address TEXT, p_round_numbers TEXT[])
+RETURNS void
+LANGUAGE plpgsql
+AS $fn$
+BEGIN
+  INSERT INTO public.rounds (
+    contract_address, round_number, first_tap_block, first_tap_time, last_tap_block, last_tap_time,
+    last_tapper, tap_count, unique_players, total_spent, final_cost, deadline,
+    winner, prize, ended_at, status, updated_at
+  )
+  SELECT
+    p_contract_address,
+    target.round_number::numeric,
+    taps.first_tap_block,
+    taps.first_tap_time,
+    taps.last_tap_block,
+    taps.last_tap_time,
+    taps.last_tapper,
+    taps.tap_count,
+    taps.unique_players,
+    COALESCE(taps.total_spent, 0),
+    taps.final_cost,
+    taps.deadline,
+    ended.winner,
+    ended.prize,
+    ended.event_timestamp,
+    CASE WHEN ended.winner IS NULL THEN 'active' ELSE 'ended' END,
+    now()
+  FROM unnest(p_round_numbers) AS target(round_number)
+  CROSS JOIN LATERAL (
+    SELECT
+      min(t.block_number) AS first_tap_block,
+      min(t.event_timestamp) AS first_tap_time,
+      max(t.block_number) AS last_tap_block,
+      max(t.event_timestamp) AS last_tap_time,
+      (array_agg(t.player ORDER BY t.block_number DESC, t.log_index DESC))[1] AS last_tapper,
+      count(*) AS tap_count,
+      count(DISTINCT lower(t.player)) AS unique_players,
+      sum(t.cost) AS total_spent,
+      (array_agg(t.cost ORDER BY t.block_number DESC, t.log_index DESC))[1] AS final_cost,
+      to_timestamp((array_agg(t.new_end_time ORDER BY t.block_number DESC, t.log_index DESC))[1]) AS deadline
+    FROM public.tapped_events_2 t
+    WHERE t.contract_address = p_contract_address AND t.round_number = target.round_number::numeric
+  ) taps
+  LEFT JOIN LATERAL (
+    SELECT e.winner, e.prize, e.event_timestamp
+    FROM public.round_ended_events_2 e
+    WHERE e.contract_address = p_contract_address AND e.round_number = target.round_number::numeric
+    ORDER BY e.block_number DESC, e.log_index DESC
+    LIMIT 1
+  ) ended ON true
+  WHERE taps.tap_count > 0 OR ended.winner IS NOT NULL
+  ON CONFLICT (contract_address, round_number) DO UPDATE SET
+    first_tap_block = EXCLUDED.first_tap_block,
+    first_tap_time = EXCLUDED.first_tap_time,
+    last_tap_block = EXCLUDED.last_tap_block,
+    last_tap_time = EXCLUDED.last_tap_time,
+    last_tapper = EXCLUDED.last_tapper,
+    tap_count = EXCLUDED.tap_count,
+    unique_players = EXCLUDED.unique_players,
+    total_spent = EXCLUDED.total_spent,
+    final_cost = EXCLUDED.final_cost,
+    deadline = EXCLUDED.deadline,
+    winner = EXCLUDED.winner,
+    prize = EXCLUDED.prize,
+    ended_at = EXCLUDED.ended_at,
+    status = EXCLUDED.status,
+    updated_at = EXCLUDED.updated_at;
+
+  -- Rounds whose events were all rolled back
+  DELETE FROM public.rounds r
+  WHERE r.contract_address = p_contract_address
+    AND r.round_number = ANY (p_round_numbers::numeric[])
+    AND NOT EXISTS (
+      SELECT 1 FROM public.tapped_events_2 t
+      WHERE t.contract_address = p_contract_address AND t.round_number = r.round_number
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.round_ended_events_2 e
+      WHERE e.contract_address = p_contract_address AND e.round_number = r.round_number
+    );
+END;
+$fn$;
+`,
+  },
+  {
+    version: 8,
+    name: "value_events_in_weth_and_usd",
+    sql: `
+-- Optional WETH/USD reference prices. Nothing in the indexer writes here; load
+-- a feed of your choice and USD values fill in from it.
+CREATE TABLE IF NOT EXISTS public.weth_usd_prices (
+    observed_at TIMESTAMPTZ PRIMARY KEY,
+    price_usd NUMERIC NOT NULL CHECK (price_usd > 0),
+    source TEXT
+);
+
+GRANT SELECT ON TABLE public.weth_usd_prices TO anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.weth_usd_prices TO postgres, service_role;
+ALTER TABLE public.weth_usd_prices ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anon can read weth_usd_prices" ON public.weth_usd_prices;
+DROP POLICY IF EXISTS "Service roles full access weth_usd_prices" ON public.weth_usd_prices;
+CREATE POLICY "Anon can read weth_usd_prices" ON public.weth_usd_prices FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access weth_usd_prices" ON public.weth_usd_prices FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+
+-- WETH value (wei) of a raw TAP amount at the pool's last reserves at or
+-- before p_block. sync_events belongs to uniswap-v2-indexer.js, so this is
+-- NULL until that indexer has run and seen a Sync at or before the block.
+CREATE OR REPLACE FUNCTION public.tap_value_in_weth(p_amount NUMERIC, p_block BIGINT)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+AS $fn$
+DECLARE
+  pool RECORD;
+BEGIN
+  IF p_amount IS NULL OR to_regclass('public.sync_events') IS NULL THEN
+    RETURN NULL;
+  END IF;
+  SELECT s.reserve_weth, s.reserve_tap INTO pool
+  FROM public.sync_events s
+  WHERE s.block_number <= p_block AND s.reserve_tap > 0
+  ORDER BY s.block_number DESC, s.log_index DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  RETURN round(p_amount * pool.reserve_weth / pool.reserve_tap);
+END;
+$fn$;
+
+-- USD value of a WETH wei amount at the last reference price at or before p_time
+CREATE OR REPLACE FUNCTION public.weth_value_in_usd(p_weth NUMERIC, p_time TIMESTAMPTZ)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $fn$
+  SELECT round(p_weth * w.price_usd / 1e18, 6)
+  FROM public.weth_usd_prices w
+  WHERE w.observed_at <= p_time
+  ORDER BY w.observed_at DESC
+  LIMIT 1;
+$fn$;
+
+CREATE OR REPLACE VIEW public.tapped_events_valued AS
+SELECT v.*, public.weth_value_in_usd(v.cost_weth, v.event_timestamp) AS cost_usd
+FROM (
+  SELECT t.*, public.tap_value_in_weth(t.cost, t.block_number) AS cost_weth
+  FROM public.tapped_events_2 t
+) v;
+
+CREATE OR REPLACE VIEW public.round_ended_events_valued AS
+SELECT v.*, public.weth_value_in_usd(v.prize_weth, v.event_timestamp) AS prize_usd
+FROM (
+  SELECT e.*, public.tap_value_in_weth(e.prize, e.block_number) AS prize_weth
+  FROM public.round_ended_events_2 e
+) v;
+
+GRANT SELECT ON TABLE public.tapped_events_valued, public.round_ended_events_valued TO anon, authenticated;
+
+-- Value totals only cover events that could be priced; the *_unpriced counts
+-- say how many were left out.
+CREATE OR REPLACE FUNCTION public.round_values(p_contract_address TEXT, p_round_numbers NUMERIC[])
+RETURNS TABLE (
+    round_number TEXT,
+    total_spent_weth TEXT,
+    total_spent_usd TEXT,
+    prize_weth TEXT,
+    prize_usd TEXT,
+    weth_unpriced BIGINT,
+    usd_unpriced BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $fn$
+  WITH taps AS (
+    SELECT
+      t.round_number,
+      sum(t.cost_weth) AS spent_weth,
+      sum(t.cost_usd) AS spent_usd,
+      count(*) FILTER (WHERE t.cost_weth IS NULL) AS weth_unpriced,
+      count(*) FILTER (WHERE t.cost_usd IS NULL) AS usd_unpriced
+    FROM public.tapped_events_valued t
+    WHERE t.contract_address = p_contract_address AND t.round_number = ANY (p_round_numbers)
+    GROUP BY 1
+  ), ended AS (
+    SELECT DISTINCT ON (e.round_number) e.round_number, e.prize_weth, e.prize_usd
+    FROM public.round_ended_events_valued e
+    WHERE e.contract_address = p_contract_address AND e.round_number = ANY (p_round_numbers)
+    ORDER BY e.round_number, e.block_number DESC, e.log_index DESC
+  )
+  SELECT
+    target.round_number::text,
+    COALESCE(taps.spent_weth, 0)::text,
+    COALESCE(taps.spent_usd, 0)::text,
+    ended.prize_weth::text,
+    ended.prize_usd::text,
+    COALESCE(taps.weth_unpriced, 0) + (CASE WHEN ended.round_number IS NOT NULL AND ended.prize_weth IS NULL THEN 1 ELSE 0 END),
+    COALESCE(taps.usd_unpriced, 0) + (CASE WHEN ended.round_number IS NOT NULL AND ended.prize_usd IS NULL THEN 1 ELSE 0 END)
+  FROM unnest(p_round_numbers) AS target(round_number)
+  LEFT JOIN taps ON taps.round_number = target.round_number
+  LEFT JOIN ended ON ended.round_number = target.round_number;
+$fn$;
+
+CREATE OR REPLACE FUNCTION public.player_values(p_addresses TEXT[], p_since TIMESTAMPTZ)
+RETURNS TABLE (
+    address TEXT,
+    total_spent_weth TEXT,
+    total_spent_usd TEXT,
+    total_prize_won_weth TEXT,
+    total_prize_won_usd TEXT,
+    net_profit_weth TEXT,
+    net_profit_usd TEXT,
+    weth_unpriced BIGINT,
+    usd_unpriced BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $fn$
+  WITH targets AS (
+    SELECT DISTINCT lower(a) AS address FROM unnest(p_addresses) AS a
+  ), taps AS (
+    SELECT
+      lower(t.player) AS address,
+      sum(t.cost_weth) AS weth,
+      sum(t.cost_usd) AS usd,
+      count(*) FILTER (WHERE t.cost_weth IS NULL) AS weth_unpriced,
+      count(*) FILTER (WHERE t.cost_usd IS NULL) AS usd_unpriced
+    FROM public.tapped_events_valued t
+    WHERE lower(t.player) IN (SELECT address FROM targets)
+      AND (p_since IS NULL OR t.event_timestamp >= p_since)
+    GROUP BY 1
+  ), wins AS (
+    SELECT
+      lower(e.winner) AS address,
+      sum(e.prize_weth) AS weth,
+      sum(e.prize_usd) AS usd,
+      count(*) FILTER (WHERE e.prize_weth IS NULL) AS weth_unpriced,
+      count(*) FILTER (WHERE e.prize_usd IS NULL) AS usd_unpriced
+    FROM public.round_ended_events_valued e
+    WHERE lower(e.winner) IN (SELECT address FROM targets)
+      AND (p_since IS NULL OR e.event_timestamp >= p_since)
+    GROUP BY 1
+  )
+  SELECT
+    tg.address,
+    COALESCE(t.weth, 0)::text,
+    COALESCE(t.usd, 0)::text,
+    COALESCE(w.weth, 0)::text,
+    COALESCE(w.usd, 0)::text,
+    (COALESCE(w.weth, 0) - COALESCE(t.weth, 0))::text,
+    (COALESCE(w.usd, 0) - COALESCE(t.usd, 0))::text,
+    COALESCE(t.weth_unpriced, 0) + COALESCE(w.weth_unpriced, 0),
+    COALESCE(t.usd_unpriced, 0) + COALESCE(w.usd_unpriced, 0)
+  FROM targets tg
+  LEFT JOIN taps t ON t.address = tg.address
+  LEFT JOIN wins w ON w.address = tg.address;
+$fn$;
+
+REVOKE EXECUTE ON FUNCTION public.round_values(TEXT, NUMERIC[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.player_values(TEXT[], TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.round_values(TEXT, NUMERIC[]) TO postgres, service_role;
+GRANT EXECUTE ON FUNCTION public.player_values(TEXT[], TIMESTAMPTZ) TO postgres, service_role;
+`,
+  },
+  {
+    version: 9,
+    name: "create_backfill_ranges",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.backfill_ranges (
+    source TEXT NOT NULL,
+    network TEXT NOT NULL,
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (source, network, from_block, to_block)
+);
+
+GRANT ALL PRIVILEGES ON TABLE public.backfill_ranges TO postgres, service_role;
+ALTER TABLE public.backfill_ranges ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access backfill_ranges" ON public.backfill_ranges;
+CREATE POLICY "Service roles full access backfill_ranges" ON public.backfill_ranges FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+  {
+    version: 10,
+    name: "lowercase_addresses",
+    sql: `
+-- Addresses are stored lower-cased, so lookups can use a plain equality
+-- filter and the b-tree indexes on these columns
+UPDATE public.tapped_events_2
+SET contract_address = lower(contract_address), player = lower(player)
+WHERE contract_address <> lower(contract_address) OR player <> lower(player);
+
+UPDATE public.round_ended_events_2
+SET contract_address = lower(contract_address), winner = lower(winner)
+WHERE contract_address <> lower(contract_address) OR winner <> lower(winner);
+
+-- Rounds are derived from the events, so rebuild any stored under other casing
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.rounds
+    WHERE contract_address <> lower(contract_address) OR last_tapper <> lower(last_tapper) OR winner <> lower(winner)
+  ) THEN
+    DELETE FROM public.rounds;
+    PERFORM public.refresh_rounds(contract_address, array_agg(DISTINCT round_number::text))
+    FROM (
+      SELECT contract_address, round_number FROM public.tapped_events_2
+      UNION
+      SELECT contract_address, round_number FROM public.round_ended_events_2
+    ) existing
+    GROUP BY contract_address;
+  END IF;
+END
+$$;
+`,
+  },
+];
+
+// --- Event Handlers ---
+// Decoding, validation and the game state changes live in
+// lib/last-tap-events.js; these apply the result to the live contract.
+function applyGameEvent(contract, { row, state, logs }) {
+  for (const { message, level } of logs) log(message, level);
+  if (!row) return null;
+  Object.assign(contract.state, state);
+  setRoundDeadline(contract, state.deadline);
+  return row;
+}
+
+function handleTapped({ decoded, rawLog, contract }) {
+  return applyGameEvent(contract, processTapped({ decoded, rawLog, contractAddress: contract.address }, contract.state));
+}
+
+function handleRoundEnded({ decoded, rawLog, contract }) {
+  return applyGameEvent(contract, processRoundEnded({ decoded, rawLog, contractAddress: contract.address }, contract.state));
+}
+
+// --- Round Countdown ---
+// Each tap moves the round's deadline and re-arms its countdown (see
+// lib/round-countdown.js). A timer started by the live indexer fires the
+// alerts as they come due: a log line plus a RoundCountdown event for the
+// notification rules.
+const COUNTDOWN_OPTIONS = { thresholds: CONFIG.countdownThresholds, expiredGrace: CONFIG.countdownExpiredGrace };
+
+function setRoundDeadline(contract, deadline) {
+  const game = contract.state;
+  game.deadline = deadline;
+  game.countdown = armCountdown(game.currentRound, deadline, Date.now() / 1000, COUNTDOWN_OPTIONS);
+}
+
+function emitCountdown(contract, kind, secondsRemaining, threshold = null) {
+  const game = contract.state;
+  const message = kind === "expired"
+    ? `Round ${game.countdown.round} expired ${-secondsRemaining}s ago without a RoundEnded (last tap by ${formatAddress(game.lastTapper)})`
+    : `Round ${game.countdown.round} ends in ${secondsRemaining}s (last tap by ${formatAddress(game.lastTapper)})`;
+  log(`COUNTDOWN | ${formatAddress(contract.address)} | ${message}`, "event");
+  indexer.notify([{
+    event: "RoundCountdown",
+    contract: contract.address,
+    row: {
+      kind,
+      threshold,
+      round_number: game.countdown.round,
+      deadline: new Date(game.deadline * 1000).toISOString(),
+      seconds_remaining: secondsRemaining,
+      last_tapper: game.lastTapper,
+      message,
+      event_timestamp: new Date().toISOString(),
+    },
+  }]);
+}
+
+function checkCountdowns() {
+  const now = Math.floor(Date.now() / 1000);
+  for (const contract of contracts.values()) {
+    const { countdown, deadline } = contract.state;
+    for (const { kind, secondsRemaining, threshold } of dueCountdowns(countdown, deadline, now, COUNTDOWN_OPTIONS)) {
+      emitCountdown(contract, kind, secondsRemaining, threshold);
+    }
+  }
+}
+
+// --- Notification Rules ---
+// Rule types for the notifications config. Thresholds are in TAP.
+function parseTapThreshold(options) {
+  if (options.threshold === undefined) throw new Error(`${options.type} rule needs a threshold in TAP`);
+  return parseUnits(String(options.threshold), 18);
+}
+
+const roundEndedNotification = (row) => ({
+  message: `Round ${row.round_number} ended: ${formatAddress(row.winner)} won ${formatTokens(row.prize)}`,
+  roundNumber: row.round_number,
+  winner: row.winner,
+  prize: row.prize,
+  prizeFormatted: formatTokens(row.prize),
+});
+
+const NOTIFICATION_RULES = {
+  round_ended: () => ({
+    event: "RoundEnded",
+    match: ({ row }) => roundEndedNotification(row),
+  }),
+
+  prize_above: (options) => {
+    const threshold = parseTapThreshold(options);
+    return {
+      event: "RoundEnded",
+      match: ({ row }) => (BigInt(row.prize) > threshold ? roundEndedNotification(row) : null),
+    };
+  },
+
+  // Fires once per round, on the first tap that costs more than the threshold
+  tap_cost_above: (options) => {
+    const threshold = parseTapThreshold(options);
+    const notifiedRounds = new Map(); // contract -> last round notified
+    return {
+      event: "Tapped",
+      match: ({ row, contract }) => {
+        if (BigInt(row.cost) <= threshold || notifiedRounds.get(contract) === row.round_number) return null;
+        notifiedRounds.set(contract, row.round_number);
+        return {
+          message: `Tap cost in round ${row.round_number} reached ${formatTokens(row.cost)} (${formatAddress(row.player)})`,
+          roundNumber: row.round_number,
+          player: row.player,
+          cost: row.cost,
+          costFormatted: formatTokens(row.cost),
+        };
+      },
+    };
+  },
+
+  // Countdown alerts from the deadline timer. `thresholds` limits which ones
+  // are sent; `expired: false` skips rounds that expired without a RoundEnded.
+  round_countdown: (options) => ({
+    event: "RoundCountdown",
+    match: ({ row }) => {
+      if (row.kind === "expired" ? options.expired === false : options.thresholds && !options.thresholds.includes(row.threshold)) {
+        return null;
+      }
+      return {
+        message: row.message,
+        kind: row.kind,
+        threshold: row.threshold,
+        roundNumber: row.round_number,
+        deadline: row.deadline,
+        secondsRemaining: row.seconds_remaining,
+        lastTapper: row.last_tapper,
+      };
+    },
+  }),
+
+  // Fires when one player makes `count` taps in a row within a round
+  tap_streak: (options) => {
+    if (!Number.isSafeInteger(options.count) || options.count < 2) {
+      throw new Error("tap_streak rule needs a count of at least 2");
+    }
+    const streaks = new Map(); // contract -> { round, player, length }
+    return {
+      event: "Tapped",
+      match: ({ row, contract }) => {
+        const previous = streaks.get(contract);
+        const player = row.player.toLowerCase();
+        const length = previous && previous.round === row.round_number && previous.player === player ? previous.length + 1 : 1;
+        streaks.set(contract, { round: row.round_number, player, length });
+        if (length !== options.count) return null;
+        return {
+          message: `${formatAddress(row.player)} tapped ${length} times in a row in round ${row.round_number}`,
+          roundNumber: row.round_number,
+          player: row.player,
+          streak: length,
+        };
+      },
+    };
+  },
+};
+
+// --- Derived Table Functions ---
+// Recomputes the rounds and players touched by the given event rows. Returns
+// false if any refresh gave up.
+async function refreshDerivedTables(eventRows) {
+  const touchedRounds = new Map(); // contract_address -> Set of round numbers
+  for (const row of eventRows) {
+    if (!touchedRounds.has(row.contract_address)) touchedRounds.set(row.contract_address, new Set());
+    touchedRounds.get(row.contract_address).add(String(row.round_number));
+  }
+  const touchedPlayers = new Set(eventRows.map((row) => String(row.player ?? row.winner).toLowerCase()));
+
+  let success = true;
+  for (const [contractAddress, rounds] of touchedRounds) {
+    const roundsResult = await indexer.rpcWithRetry("refresh_rounds", {
+      p_contract_address: contractAddress,
+      p_round_numbers: [...rounds],
+    });
+    success = success && roundsResult.success;
+  }
+  const playersResult = await indexer.rpcWithRetry("refresh_players", {
+    p_players: [...touchedPlayers],
   });
-  let client;
+  return success && playersResult.success;
+}
 
+async function rebuildPlayers() {
+  if (!storage.sql) {
+    throw new Error(`rebuild-players needs supabase or postgres storage, not ${storage.name}`);
+  }
+  await indexer.runMigrations();
+  log("Rebuilding players table from tapped_events_2 and round_ended_events_2...", "startup");
+
+  // Run over a direct connection: a full rebuild can outlast the PostgREST
+  // statement timeout that applies to storage.rpc calls.
+  const pool = new Pool({
+    connectionString: storage.migrationConnectionString,
+  });
   try {
-    client = await pool.connect();
-    log("Database connection successful for setup.", "db_setup");
-    await client.query(SETUP_SQL);
-    log("Database schema setup script executed successfully.", "db_setup");
-  } catch (err) {
-    log(`Database setup failed: ${err.message}`, "error");
-    log(`SQL Error Details: ${err.stack}`, "error");
-    log("Exiting due to critical database setup failure.", "error");
-    process.exit(1);
+    const { rows } = await pool.query("SELECT public.rebuild_players() AS rebuilt");
+    log(`✅ Rebuilt players table with ${rows[0].rebuilt} players`, "startup");
   } finally {
-    if (client) {
-      client.release();
-      log("Database setup client released.", "db_setup");
-    }
     await pool.end();
-    log("Database setup pool closed.", "db_setup");
   }
 }
 
-async function testSupabaseConnection() {
-  try {
-    const { error } = await supabase
-      .from("tapped_events_2")
-      .select("transaction_hash", { count: "exact", head: true })
-      .limit(1);
-
-    if (error) {
-      log(`Supabase client connection/permission test failed: ${error.message}`, "error");
-      log(`Supabase error details: ${JSON.stringify(error)}`, "error");
-      return false;
+// Restores a contract's in-memory game state from the rounds table after a restart
+async function loadGameState(contract) {
+  const { data: latest, error: latestError } = await storage.select("rounds", {
+    columns: ["round_number::text", "status", "last_tapper", "final_cost::text", "deadline"],
+    filters: [["contract_address", "eq", contract.address]],
+    order: [["round_number", "desc"]],
+    limit: 1,
+    single: true,
+  });
+  if (latestError) throw latestError;
+
+  const { data: lastEnded, error: lastEndedError } = await storage.select("rounds", {
+    columns: ["winner", "prize::text"],
+    filters: [["contract_address", "eq", contract.address], ["status", "eq", "ended"]],
+    order: [["round_number", "desc"]],
+    limit: 1,
+    single: true,
+  });
+  if (lastEndedError) throw lastEndedError;
+
+  const game = contract.state;
+  if (latest) {
+    game.currentRound = latest.status === "ended"
+      ? (BigInt(latest.round_number) + 1n).toString()
+      : latest.round_number;
+    game.lastTapper = latest.last_tapper;
+    game.tapCost = latest.final_cost;
+    if (latest.status !== "ended" && latest.deadline) {
+      setRoundDeadline(contract, Math.floor(Date.parse(latest.deadline) / 1000));
     }
-    log("Supabase client connection/permission test successful.", "startup");
-    return true;
-  } catch (e) {
-    log(`Supabase client connection test exception: ${e.message}`, "error");
-    return false;
+  }
+  if (lastEnded) {
+    game.lastWinner = lastEnded.winner;
+    game.lastPrize = lastEnded.prize;
   }
 }
 
-// --- Event Signatures and Topics ---
-const TAPPED_TOPIC = keccak256(toHex("Tapped(uint256,address,uint256,uint256,uint256)"));
-const ROUND_ENDED_TOPIC = keccak256(toHex("RoundEnded(uint256,address,uint256,uint256)"));
-const topic0_list = [TAPPED_TOPIC, ROUND_ENDED_TOPIC];
-
-const POLLING_INTERVAL = 200;
-
-// --- Metrics and State ---
-let eventCounts = {
-  Tapped: 0,
-  RoundEnded: 0,
-  SupabaseBatchesSent: 0,
-  SupabaseEventsUpserted: 0,
-  SupabaseErrors: 0,
-};
-let currentRound = null;
-let lastTapper = null;
-let tapCost = null;
-let lastWinner = null;
-let lastPrize = null;
-let currentBlock = CONFIG.startBlock;
-let startTime = performance.now();
-let hypersyncClient = null;
-
-// --- Supabase Batch Upsert Function ---
-async function batchUpsertEventsWithRetry(tableName, batchData) {
-  if (!batchData || batchData.length === 0) {
-    return { success: true, error: null };
+// Rebuilds a contract's game state as of the end of block - 1 from its last
+// stored Tapped and RoundEnded rows, for a backfill that starts mid-history
+async function restoreGameStateBefore(contract, block) {
+  const events = [];
+  for (const [name, table] of [["Tapped", "tapped_events_2"], ["RoundEnded", "round_ended_events_2"]]) {
+    const { data, error } = await storage.select(table, {
+      filters: [["contract_address", "eq", contract.address], ["block_number", "lt", block]],
+      order: [["block_number", "desc"], ["log_index", "desc"]],
+      limit: 1,
+      single: true,
+    });
+    if (error) throw new Error(`Failed to read ${table} before block ${block}: ${error.message || JSON.stringify(error)}`);
+    if (data) events.push({ name, row: data });
   }
-  let attempts = 0;
-  const batchSize = batchData.length;
+  events.sort((a, b) => Number(a.row.block_number) - Number(b.row.block_number) || Number(a.row.log_index) - Number(b.row.log_index));
+  const state = events.reduce((game, { name, row }) => applyGameRow(game, name, row), contract.state);
+  Object.assign(contract.state, state);
+  setRoundDeadline(contract, state.deadline);
+}
 
-  while (attempts < CONFIG.maxRetries) {
-    attempts++;
+async function restoreGameState() {
+  for (const contract of contracts.values()) {
     try {
-      const { error } = await supabase.from(tableName).upsert(batchData, {
-        onConflict: ["transaction_hash", "log_index"], // Changed to array format
-      });
-      if (error) {
-        log(`Supabase batch upsert error (Attempt ${attempts}/${CONFIG.maxRetries}, Table: ${tableName}, Size: ${batchSize}): ${error.message || JSON.stringify(error)}`, "error");
-        if (attempts < CONFIG.maxRetries) {
-          const delay = Math.pow(2, attempts - 1) * CONFIG.retryBaseDelay;
-          log(`Retrying batch upsert to ${tableName} in ${delay}ms`, "supabase");
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        } else {
-          eventCounts.SupabaseErrors += batchSize;
-          return { success: false, error };
-        }
-      } else {
-        log(`Successfully upserted batch of ${batchSize} events to ${tableName}${attempts > 1 ? ` after ${attempts} attempts` : ""}`, "supabase");
-        eventCounts.SupabaseBatchesSent++;
-        eventCounts.SupabaseEventsUpserted += batchSize;
-        return { success: true, error: null };
-      }
+      await loadGameState(contract);
+      log(`Restored game state for ${contract.address}: round ${contract.state.currentRound ?? "N/A"}, last winner ${formatAddress(contract.state.lastWinner)}`, "startup");
     } catch (e) {
-      log(`Exception during batch upsert (Attempt ${attempts}/${CONFIG.maxRetries}, Table: ${tableName}, Size: ${batchSize}): ${e.message}`, "error");
-      if (attempts < CONFIG.maxRetries) {
-        const delay = Math.pow(2, attempts - 1) * CONFIG.retryBaseDelay;
-        log(`Retrying batch upsert to ${tableName} after exception in ${delay}ms`, "supabase");
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      } else {
-        eventCounts.SupabaseErrors += batchSize;
-        return { success: false, error: e };
-      }
+      log(`Could not restore game state for ${contract.address} from rounds table: ${e.message || JSON.stringify(e)}`, "error");
     }
   }
-  log(`Failed to upsert batch to ${tableName} after ${CONFIG.maxRetries} attempts`, "error");
-  return { success: false, error: { message: `Failed after ${CONFIG.maxRetries} attempts` } };
 }
 
-// --- Simplified JSON Status Server ---
-const server = http.createServer(async (req, res) => {
-  // Health check for all RPCs
-  if (req.url === '/health/rpcs') {
-    const rpcStatuses = [];
-    const availableRpcs = NETWORK_URLS[CONFIG.network];
-
-    for (let i = 0; i < availableRpcs.length; i++) {
-      const rpcUrl = availableRpcs[i];
-      try {
-        const testClient = HypersyncClient.new({
-          url: rpcUrl,
-          bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
-          timeout: 10000,
-        });
-
-        const startTime = Date.now();
-        const height = await testClient.getHeight();
-        const responseTime = Date.now() - startTime;
-
-        rpcStatuses.push({
-          url: rpcUrl,
-          status: 'healthy',
-          height: height,
-          responseTime: responseTime,
-          active: i === currentRpcIndex
-        });
-      } catch (error) {
-        rpcStatuses.push({
-          url: rpcUrl,
-          status: 'unhealthy',
-          error: error.message,
-          active: i === currentRpcIndex
-        });
-      }
-    }
+// --- Leaderboard API ---
+const API_WINDOWS = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+const LEADERBOARDS = {
+  topWinners: "total_prize_won",
+  mostTaps: "total_taps",
+  bestNetProfit: "net_profit",
+};
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const ROUND_COLUMNS = ["contract_address", "round_number::text", "first_tap_block", "first_tap_time", "last_tap_block", "last_tap_time", "last_tapper", "tap_count", "unique_players", "total_spent::text", "final_cost::text", "deadline", "winner", "prize::text", "ended_at", "status"];
+const PLAYER_COLUMNS = ["address", "total_taps", "total_spent::text", "rounds_played", "rounds_won", "total_prize_won::text", "net_profit::text", "first_seen", "last_seen"];
+
+// Adds WETH/USD values from player_values to leaderboard or player rows
+async function attachPlayerValues(rows, since) {
+  if (rows.length === 0) return rows;
+  const { data, error } = await storage.rpc("player_values", {
+    p_addresses: rows.map((row) => row.address),
+    p_since: since,
+  });
+  if (error) throw error;
+  const values = new Map(data.map(({ address, ...value }) => [address, value]));
+  return rows.map((row) => ({ ...row, value: values.get(row.address.toLowerCase()) ?? null }));
+}
 
-    const healthyCount = rpcStatuses.filter(rpc => rpc.status === 'healthy').length;
-    const overallStatus = healthyCount > 0 ? 'healthy' : 'unhealthy';
-
-    res.writeHead(overallStatus === 'healthy' ? 200 : 503, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      overall: overallStatus,
-      network: CONFIG.network,
-      healthyRpcs: healthyCount,
-      totalRpcs: availableRpcs.length,
-      currentRpc: currentRpcUrl,
-      rpcs: rpcStatuses,
-      timestamp: new Date().toISOString()
-    }, null, 2));
-    return;
+function parsePagination(params) {
+  const limit = params.has("limit") ? Number(params.get("limit")) : DEFAULT_PAGE_SIZE;
+  const offset = params.has("offset") ? Number(params.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
   }
-
-  // Single RPC health check
-  if (req.url === '/health') {
-    try {
-      if (!hypersyncClient || !currentRpcUrl) {
-        throw new Error('No active Hypersync client');
-      }
-      const height = await hypersyncClient.getHeight();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'healthy',
-        hypersync: 'connected',
-        rpc: currentRpcUrl,
-        height: height,
-        network: CONFIG.network
-      }, null, 2));
-    } catch (error) {
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'unhealthy',
-        hypersync: 'disconnected',
-        rpc: currentRpcUrl || 'none',
-        error: error.message,
-        network: CONFIG.network
-      }, null, 2));
-    }
-    return;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw badRequest("offset must be a non-negative integer");
   }
+  return { limit, offset };
+}
 
-  // Default status endpoint
-  const totalEvents = eventCounts.Tapped + eventCounts.RoundEnded;
-  const uptimeSeconds = ((performance.now() - startTime) / 1000);
-  const eventsPerSecond = uptimeSeconds > 0 ? (totalEvents / uptimeSeconds).toFixed(2) : "0.00";
-  const dbOpsPerSecond = uptimeSeconds > 0 ? (eventCounts.SupabaseEventsUpserted / uptimeSeconds).toFixed(2) : "0.00";
-
-  const status = {
-    status: "running",
-    uptimeSeconds: Math.floor(uptimeSeconds),
-    network: CONFIG.network,
-    contractAddress: CONFIG.contractAddress,
-    currentBlock,
-    processingRate: {
-      eventsPerSecond,
-      dbOpsPerSecond,
-    },
-    rpcStatus: {
-      currentRpc: currentRpcUrl || "Not connected",
-      availableRpcs: NETWORK_URLS[CONFIG.network],
-    },
-    gameState: {
-      currentRound,
-      lastTapper,
-      tapCost,
-      lastWinner,
-      lastPrize,
-    },
-    eventStatistics: eventCounts,
-  };
+// Returns the window name and the ISO timestamp it starts at (null for all-time)
+function parseWindow(params) {
+  const window = params.get("window") || "all";
+  if (!(window in API_WINDOWS)) {
+    throw badRequest(`window must be one of: ${Object.keys(API_WINDOWS).join(", ")}`);
+  }
+  const duration = API_WINDOWS[window];
+  return { window, since: duration === null ? null : new Date(Date.now() - duration).toISOString() };
+}
 
-  res.writeHead(200, { "Content-Type": "application/json" });
-  res.end(JSON.stringify(status, null, 2));
-});
+async function fetchLeaderboard(orderBy, since, { limit, offset }) {
+  // All-time rankings come straight from the maintained players table
+  if (since === null) {
+    const { data, error } = await storage.select("players", {
+      columns: PLAYER_COLUMNS,
+      order: [[orderBy, "desc"], ["address", "asc"]],
+      limit,
+      offset,
+    });
+    if (error) throw error;
+    return data;
+  }
 
-server.listen(8080, "0.0.0.0", () => {
-  log("Status web server running on port 8080", "startup");
-});
+  const { data, error } = await storage.rpc("player_leaderboard", {
+    p_since: since,
+    p_order_by: orderBy,
+    p_limit: limit,
+    p_offset: offset,
+  });
+  if (error) throw error;
+  return data;
+}
 
-// --- Enhanced Main Function with Comprehensive RPC Fallback ---
-async function main() {
-  const runStartTime = performance.now();
-  let lastTipReachedTime = 0;
-  const chainTipReportInterval = 5 * 60 * 1000;
-  let stream;
-  let consecutiveFailures = 0;
-  const maxConsecutiveFailures = 5;
-
-  // Run Database Setup First
-  await runDatabaseSetup();
-
-  // Test Supabase connection
-  const connectionOk = await testSupabaseConnection();
-  if (!connectionOk) {
-    log("CRITICAL: Supabase client connection test failed after setup. Exiting.", "error");
-    process.exit(1);
+async function getLeaderboard(params, searchParams) {
+  const { window, since } = parseWindow(searchParams);
+  const page = parsePagination(searchParams);
+  const board = searchParams.get("board");
+  if (board && !(board in LEADERBOARDS)) {
+    throw badRequest(`board must be one of: ${Object.keys(LEADERBOARDS).join(", ")}`);
   }
 
-  // Main retry loop with RPC fallback
-  while (true) {
-    try {
-      // Create Hypersync client with RPC fallback
-      const clientResult = await createHypersyncClientWithFallback();
-      hypersyncClient = clientResult.client;
-
-      log(`🚀 Starting Last Tap Tracker using ${clientResult.rpcUrl}`, "startup");
-      log(`Network: ${CONFIG.network}, Contract: ${CONFIG.contractAddress}, Start Block: ${CONFIG.startBlock}`, "startup");
-
-      let height = await hypersyncClient.getHeight();
-      log(`Initial chain height: ${height}`, "startup");
-
-      const decoder = Decoder.fromSignatures([
-        "Tapped(uint256 indexed roundNumber,address indexed player,uint256 cost,uint256 newEndTime,uint256 timestamp)",
-        "RoundEnded(uint256 indexed roundNumber,address indexed winner,uint256 prize,uint256 timestamp)",
-      ]);
-
-      let query = {
-        fromBlock: currentBlock,
-        logs: [{ address: [CONFIG.contractAddress], topics: [topic0_list] }],
-        fieldSelection: {
-          log: [
-            LogField.BlockNumber,
-            LogField.TransactionHash,
-            LogField.LogIndex,
-            LogField.Data,
-            LogField.Topic0,
-            LogField.Topic1,
-            LogField.Topic2,
-          ],
-        },
-        joinMode: JoinMode.JoinNothing,
-      };
+  const boards = board ? [board] : Object.keys(LEADERBOARDS);
+  const results = await Promise.all(
+    boards.map(async (name) => attachPlayerValues(await fetchLeaderboard(LEADERBOARDS[name], since, page), since))
+  );
 
-      log(`Starting event stream from block ${query.fromBlock}...`, "startup");
-      stream = await createStreamWithFallback(hypersyncClient, query);
-
-      let lastProgressLogBlock = currentBlock;
-      consecutiveFailures = 0;
-
-      // Main event processing loop
-      while (true) {
-        try {
-          const res = await stream.recv();
-
-          if (res === null) {
-            // Reached chain tip logic
-            const now = Date.now();
-            if (now - lastTipReachedTime > chainTipReportInterval) {
-              log(`⏳ Reached chain tip at block ${currentBlock} on ${currentRpcUrl}. Waiting...`, "verbose");
-              lastTipReachedTime = now;
-            }
-            await new Promise((resolve) => setTimeout(resolve, POLLING_INTERVAL));
-
-            try {
-              const newHeight = await hypersyncClient.getHeight();
-              if (newHeight > height) {
-                log(`📈 Chain advanced to ${newHeight}. Re-querying...`, "verbose");
-                await stream.close();
-                height = newHeight;
-                query.fromBlock = currentBlock;
-                stream = await createStreamWithFallback(hypersyncClient, query);
-              }
-            } catch (err) {
-              log(`Error checking height: ${err.message}`, "error");
-              throw err;
-            }
-            continue;
-          }
-
-          consecutiveFailures = 0;
-          let tappedBatch = [];
-          let roundEndedBatch = [];
-
-          if (res.data && res.data.logs && res.data.logs.length > 0) {
-            const decodedLogs = await decoder.decodeLogs(res.data.logs);
-
-            for (let i = 0; i < decodedLogs.length; i++) {
-              const decodedLog = decodedLogs[i];
-              const rawLog = res.data.logs[i];
-              if (decodedLog === null) {
-                log(`Skipping undecodable log idx ${i}, blk ${rawLog.blockNumber}`, "verbose");
-                continue;
-              }
-
-              const blockNumber = rawLog.blockNumber;
-              const transactionHash = rawLog.transactionHash;
-              const logIndex = rawLog.logIndex;
-              if (transactionHash === undefined || logIndex === undefined || blockNumber === undefined) {
-                log(`Missing critical fields in log idx ${i}, blk ${rawLog.blockNumber}. Skipping. Raw: ${JSON.stringify(rawLog)}`, "error");
-                continue;
-              }
-
-              const topic0 = rawLog.topics[0];
-              const eventType = topic0 === TAPPED_TOPIC ? "Tapped" : "RoundEnded";
-
-              try {
-                if (eventType === "Tapped") {
-                  eventCounts.Tapped++;
-                  const roundNumber = decodedLog.indexed[0]?.val?.toString();
-                  const player = decodedLog.indexed[1]?.val?.toString();
-                  const cost = decodedLog.body[0]?.val?.toString();
-                  const newEndTime = decodedLog.body[1]?.val?.toString();
-                  const timestamp = decodedLog.body[2]?.val?.toString();
-                  if (!roundNumber || !player || !cost || !newEndTime || !timestamp) {
-                    log(`Missing data in Tapped event: Tx ${formatAddress(transactionHash)}, Log ${logIndex}. Skipping.`, "error");
-                    continue;
-                  }
-
-                  const eventTimestamp = new Date(Number(timestamp) * 1000);
-                  currentRound = roundNumber;
-                  lastTapper = player;
-                  tapCost = cost;
-                  log(`TAPPED | Blk: ${blockNumber} | Rnd: ${roundNumber} | Player: ${formatAddress(player)} | Cost: ${formatTokens(cost)} | ${eventTimestamp.toISOString()}`, "event");
-
-                  tappedBatch.push({
-                    block_number: Number(blockNumber),
-                    transaction_hash: String(transactionHash),
-                    log_index: Number(logIndex),
-                    round_number: String(roundNumber),
-                    player: String(player),
-                    cost: String(cost),
-                    new_end_time: String(newEndTime),
-                    timestamp: String(timestamp),
-                    event_timestamp: eventTimestamp.toISOString(),
-                    contract_address: String(CONFIG.contractAddress),
-                  });
-                } else if (eventType === "RoundEnded") {
-                  eventCounts.RoundEnded++;
-                  const roundNumber = decodedLog.indexed[0]?.val?.toString();
-                  const winner = decodedLog.indexed[1]?.val?.toString();
-                  const prize = decodedLog.body[0]?.val?.toString();
-                  const timestamp = decodedLog.body[1]?.val?.toString();
-                  if (!roundNumber || !winner || !prize || !timestamp) {
-                    log(`Missing data in RoundEnded event: Tx ${formatAddress(transactionHash)}, Log ${logIndex}. Skipping.`, "error");
-                    continue;
-                  }
-
-                  const eventTimestamp = new Date(Number(timestamp) * 1000);
-                  lastWinner = winner;
-                  lastPrize = prize;
-                  currentRound = (BigInt(roundNumber) + 1n).toString();
-                  log(`ROUND END | Blk: ${blockNumber} | Rnd: ${roundNumber} | Winner: ${formatAddress(winner)} | Prize: ${formatTokens(prize)} | ${eventTimestamp.toISOString()}`, "event");
-
-                  roundEndedBatch.push({
-                    block_number: Number(blockNumber),
-                    transaction_hash: String(transactionHash),
-                    log_index: Number(logIndex),
-                    round_number: String(roundNumber),
-                    winner: String(winner),
-                    prize: String(prize),
-                    timestamp: String(timestamp),
-                    event_timestamp: eventTimestamp.toISOString(),
-                    contract_address: String(CONFIG.contractAddress),
-                  });
-                }
-              } catch (processingError) {
-                log(`Error processing log: ${processingError.message}. Tx: ${formatAddress(transactionHash)}, Log: ${logIndex}. Skipping. Stack: ${processingError.stack}`, "error");
-              }
-            }
-
-            // Send Batches
-            const batchPromises = [];
-            if (tappedBatch.length > 0)
-              batchPromises.push(batchUpsertEventsWithRetry("tapped_events_2", tappedBatch));
-            if (roundEndedBatch.length > 0)
-              batchPromises.push(batchUpsertEventsWithRetry("round_ended_events_2", roundEndedBatch));
-            if (batchPromises.length > 0) {
-              const results = await Promise.all(batchPromises);
-              results.forEach((result) => {
-                if (!result.success)
-                  log(`Failed final upsert batch. Error: ${JSON.stringify(result.error)}`, "error");
-              });
-            }
-          }
-
-          // Update block position
-          if (res.nextBlock) {
-            const previousBlock = currentBlock;
-            currentBlock = res.nextBlock;
-            query.fromBlock = currentBlock;
-
-            if (currentBlock - lastProgressLogBlock >= 10000) {
-              const seconds = (performance.now() - runStartTime) / 1000;
-              const totalEvents = eventCounts.Tapped + eventCounts.RoundEnded;
-              log(`📊 Progress: Block ${currentBlock} | ${totalEvents} events | ${eventCounts.SupabaseEventsUpserted} DB upserts | ${eventCounts.SupabaseErrors} DB errors | ${seconds.toFixed(1)}s | RPC: ${currentRpcUrl}`, "normal");
-              lastProgressLogBlock = currentBlock;
-            }
-          } else if (res.data && res.data.logs && res.data.logs.length > 0) {
-            const lastLogBlock = res.data.logs[res.data.logs.length - 1]?.blockNumber;
-            if (lastLogBlock && lastLogBlock >= currentBlock) {
-              currentBlock = lastLogBlock + 1;
-              query.fromBlock = currentBlock;
-              log(`Advanced currentBlock to ${currentBlock} based on last log at tip`, "verbose");
-            }
-          }
-
-        } catch (streamError) {
-          consecutiveFailures++;
-          log(`Stream error (${consecutiveFailures}/${maxConsecutiveFailures}): ${streamError.message}`, "error");
-
-          if (consecutiveFailures >= maxConsecutiveFailures) {
-            log(`Too many consecutive stream failures, breaking to retry with different RPC`, "error");
-            throw streamError;
-          }
-
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+  return {
+    window,
+    since,
+    ...page,
+    ...Object.fromEntries(boards.map((name, i) => [name, results[i]])),
+  };
+}
 
-    } catch (error) {
-      consecutiveFailures++;
-      log(`💥 Main loop error (${consecutiveFailures}): ${error.message}`, "error");
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout') ||
-                               error.message.includes('ECONNREFUSED') ||
-                               error.message.includes('fetch');
-
-      let retryDelay;
-
-      if (isConnectionError) {
-        log(`🔄 Connection error detected, will try different RPC endpoint`, "error");
-        retryDelay = 5000;
-        switchToNextRpc(CONFIG.network);
-      } else {
-        log(`⚠️ Non-connection error, using exponential backoff`, "error");
-        retryDelay = Math.min(1000 * Math.pow(2, consecutiveFailures), 60000);
-      }
+async function getRound([roundNumber], searchParams) {
+  if (!/^\d+$/.test(roundNumber)) {
+    throw badRequest("Round number must be a non-negative integer");
+  }
+  const contractAddress = (searchParams.get("contract") || PRIMARY_CONTRACT).toLowerCase();
+  const page = parsePagination(searchParams);
 
-      // Clean up existing connections
-      if (stream) {
-        try {
-          await stream.close();
-        } catch (closeError) {
-          log(`Error closing stream: ${closeError.message}`, "error");
-        }
-        stream = null;
-      }
+  const { data: round, error: roundError } = await storage.select("rounds", {
+    columns: ROUND_COLUMNS,
+    filters: [["contract_address", "eq", contractAddress], ["round_number", "eq", roundNumber]],
+    single: true,
+  });
+  if (roundError) throw roundError;
+  if (!round) throw notFound(`Round ${roundNumber} not found`);
 
-      hypersyncClient = null;
+  const { data: values, error: valuesError } = await storage.rpc("round_values", {
+    p_contract_address: contractAddress,
+    p_round_numbers: [roundNumber],
+  });
+  if (valuesError) throw valuesError;
+  const { round_number: _, ...value } = values[0];
+
+  const { data: taps, error: tapsError, count } = await storage.select("tapped_events_valued", {
+    columns: ["block_number", "transaction_hash", "log_index", "player", "cost::text", "cost_weth::text", "cost_usd::text", "new_end_time", "event_timestamp", "confirmed"],
+    filters: [["contract_address", "eq", contractAddress], ["round_number", "eq", roundNumber]],
+    order: [["block_number", "asc"], ["log_index", "asc"]],
+    ...page,
+    count: true,
+  });
+  if (tapsError) throw tapsError;
 
-      log(`⏱️ Retrying main loop in ${retryDelay}ms...`, "startup");
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
+  return { round: { ...round, value }, taps: { total: count, ...page, items: taps } };
+}
+
+async function getPlayer([address], searchParams) {
+  if (!isAddress(address)) {
+    throw badRequest("Player must be a 0x-prefixed 20-byte address");
   }
+  const { window, since } = parseWindow(searchParams);
+  const page = parsePagination(searchParams);
+
+  const { data: player, error: playerError } = await storage.select("players", {
+    columns: PLAYER_COLUMNS,
+    filters: [["address", "eq", address.toLowerCase()]],
+    single: true,
+  });
+  if (playerError) throw playerError;
+  if (!player) throw notFound(`Player ${address} not found`);
+  const [valuedPlayer] = await attachPlayerValues([player], null);
+
+  const windowFilters = since === null ? [] : [["event_timestamp", "gte", since]];
+  const [taps, wins] = await Promise.all([
+    storage.select("tapped_events_valued", {
+      columns: ["contract_address", "round_number::text", "block_number", "transaction_hash", "log_index", "cost::text", "cost_weth::text", "cost_usd::text", "event_timestamp"],
+      filters: [["player", "eq", address.toLowerCase()], ...windowFilters],
+      order: [["block_number", "desc"], ["log_index", "desc"]],
+      ...page,
+      count: true,
+    }),
+    storage.select("round_ended_events_valued", {
+      columns: ["contract_address", "round_number::text", "block_number", "transaction_hash", "prize::text", "prize_weth::text", "prize_usd::text", "event_timestamp"],
+      filters: [["winner", "eq", address.toLowerCase()], ...windowFilters],
+      order: [["block_number", "desc"]],
+      ...page,
+      count: true,
+    }),
+  ]);
+  if (taps.error) throw taps.error;
+  if (wins.error) throw wins.error;
+
+  return {
+    player: valuedPlayer,
+    window,
+    since,
+    taps: { total: taps.count, ...page, items: taps.data },
+    wins: { total: wins.count, ...page, items: wins.data },
+  };
 }
 
+// Served from the in-memory game state, so it works on every storage backend
+async function getCurrentRound(params, searchParams) {
+  const contractAddress = searchParams.get("contract") || PRIMARY_CONTRACT;
+  const contract = contracts.get(contractAddress.toLowerCase());
+  if (!contract) throw notFound(`Contract ${contractAddress} is not indexed`);
+
+  const game = contract.state;
+  const now = Math.floor(Date.now() / 1000);
+  let status = "not_started";
+  if (game.currentRound === null) status = "unknown";
+  else if (game.deadline !== null) status = game.deadline > now ? "active" : "expired";
+
+  return {
+    contract: contract.address,
+    roundNumber: game.currentRound,
+    status,
+    deadline: game.deadline === null ? null : new Date(game.deadline * 1000).toISOString(),
+    secondsRemaining: game.deadline === null ? null : Math.max(0, game.deadline - now),
+    lastTapper: game.lastTapper,
+    tapCost: game.tapCost,
+    serverTime: new Date(now * 1000).toISOString(),
+  };
+}
+
+const API_ROUTES = [
+  { pattern: /^\/leaderboard\/?$/, handler: getLeaderboard },
+  { pattern: /^\/rounds\/current\/?$/, handler: getCurrentRound, sql: false },
+  { pattern: /^\/rounds\/([^/]+)\/?$/, handler: getRound },
+  { pattern: /^\/players\/([^/]+)\/?$/, handler: getPlayer },
+];
+
+// --- Indexer Definition ---
+const indexer = createIndexer({
+  name: "Last Tap Tracker",
+  config: CONFIG,
+  log,
+  contracts: CONFIG.contracts.map(({ address, startBlock }) => ({
+    address,
+    startBlock: startBlock ?? CONFIG.startBlock,
+  })),
+  contractColumn: "contract_address",
+  events: [
+    {
+      name: "Tapped",
+      signature: "Tapped(uint256 indexed roundNumber,address indexed player,uint256 cost,uint256 newEndTime,uint256 timestamp)",
+      table: "tapped_events_2",
+      handle: handleTapped,
+    },
+    {
+      name: "RoundEnded",
+      signature: "RoundEnded(uint256 indexed roundNumber,address indexed winner,uint256 prize,uint256 timestamp)",
+      table: "round_ended_events_2",
+      handle: handleRoundEnded,
+    },
+  ],
+  migrationScope: MIGRATION_SCOPE,
+  migrations: MIGRATIONS,
+  createContractState: () => ({
+    currentRound: null,
+    lastTapper: null,
+    tapCost: null,
+    deadline: null, // unix seconds, null once the round has ended
+    countdown: null,
+    lastWinner: null,
+    lastPrize: null,
+  }),
+  contractStatus: ({ state: { countdown, ...gameState } }) => ({ gameState }),
+  restoreState: restoreGameStateBefore,
+  onStart: async () => {
+    await restoreGameState();
+    setInterval(checkCountdowns, CONFIG.countdownInterval);
+  },
+  afterCommit: (rowsByTable) => refreshDerivedTables(Object.values(rowsByTable).flat()),
+  onRollback: async (rowsByTable, forkBlock) => {
+    const deletedRows = Object.values(rowsByTable).flat();
+    if (deletedRows.length > 0 && !(await refreshDerivedTables(deletedRows))) {
+      log(`Derived tables may be stale after rolling back to block ${forkBlock}`, "error");
+    }
+  },
+  routes: API_ROUTES,
+  notificationRules: NOTIFICATION_RULES,
+});
+
+const { storage, contracts } = indexer;
+const PRIMARY_CONTRACT = CONFIG.contracts[0].address;
+
 // --- Start the application ---
-main().catch((error) => {
-  log(`Unhandled error in main execution: ${error.message}`, "error");
-  log(`Stack Trace: ${error.stack}`, "error");
-  process.exit(1);
-});
\ No newline at end of file
+runCli(
+  indexer,
+  {
+    "rebuild-players": withoutOptions(rebuildPlayers),
+  },
+  COMMAND_ARGS
+);
@@ -0,0 +1,322 @@
+// test/e2e/last-tap.test.js
+// run.js against the mock Hypersync server with SQLite storage
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { encodeAbiParameters, encodeEventTopics, parseAbi } from "viem";
+import { createStorage } from "../../lib/storage/index.js";
+import { eventIds, openStream } from "../support/event-stream.js";
+import { startMockHypersync } from "../support/mock-hypersync.js";
+import { readTable, startIndexer, tempDir, waitFor } from "../support/indexer-process.js";
+
+const GAME = "0x1111111111111111111111111111111111111111";
+const PLAYER = "0x2222222222222222222222222222222222222222";
+const WINNER = "0x3333333333333333333333333333333333333333";
+const ABI = parseAbi([
+  "event Tapped(uint256 indexed roundNumber, address indexed player, uint256 cost, uint256 newEndTime, uint256 timestamp)",
+  "event RoundEnded(uint256 indexed roundNumber, address indexed winner, uint256 prize, uint256 timestamp)",
+]);
+const uints = (...values) => encodeAbiParameters(values.map(() => ({ type: "uint256" })), values);
+
+function addTap(mock, { block, logIndex = 0, round = 1n, cost = 10n ** 18n, ...log }) {
+  const timestamp = BigInt(mock.block(block).timestamp);
+  return mock.addLog({
+    blockNumber: block,
+    logIndex,
+    address: GAME,
+    topics: encodeEventTopics({ abi: ABI, eventName: "Tapped", args: { roundNumber: round, player: PLAYER } }),
+    data: uints(cost, timestamp + 60n, timestamp),
+    ...log,
+  });
+}
+
+function addRoundEnd(mock, { block, logIndex = 0, round = 1n, prize = 5n * 10n ** 18n }) {
+  return mock.addLog({
+    blockNumber: block,
+    logIndex,
+    address: GAME,
+    topics: encodeEventTopics({ abi: ABI, eventName: "RoundEnded", args: { roundNumber: round, winner: WINNER } }),
+    data: uints(prize, BigInt(mock.block(block).timestamp)),
+  });
+}
+
+async function setup(t, mockOptions) {
+  const mock = await startMockHypersync(mockOptions);
+  t.after(() => mock.close());
+  const dir = tempDir(t);
+  const sqlitePath = path.join(dir, "last-tap.sqlite");
+  const start = (args = [], env = {}) =>
+    startIndexer(t, "run.js", {
+      args,
+      env: {
+        HYPERSYNC_URLS: mock.url,
+        GAME_CONTRACTS: `${GAME}:5`,
+        SQLITE_PATH: sqlitePath,
+        DEAD_LETTER_PATH: path.join(dir, "dead-letters.jsonl"),
+        ...env,
+      },
+    });
+  const taps = () => readTable(sqlitePath, "tapped_events_2", "block_number, log_index");
+  const checkpoint = () => readTable(sqlitePath, "indexer_checkpoints")[0]?.next_block;
+  return { mock, sqlitePath, start, taps, checkpoint };
+}
+
+test("indexes taps and round ends across several responses", async (t) => {
+  const { mock, sqlitePath, start, taps, checkpoint } = await setup(t, { height: 100, maxLogsPerResponse: 2 });
+  addTap(mock, { block: 10, logIndex: 0 });
+  addTap(mock, { block: 10, logIndex: 1, cost: 2n * 10n ** 18n });
+  addTap(mock, { block: 25 });
+  addTap(mock, { block: 31, round: 2n });
+  addRoundEnd(mock, { block: 40 });
+  addTap(mock, { block: 3 }); // before the contract's start block
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 100, { message: "checkpoint at the chain height" });
+
+  assert.deepEqual(
+    taps().map((row) => [row.block_number, row.log_index, row.round_number, row.cost]),
+    [
+      [10, 0, "1", "1000000000000000000"],
+      [10, 1, "1", "2000000000000000000"],
+      [25, 0, "1", "1000000000000000000"],
+      [31, 0, "2", "1000000000000000000"],
+    ]
+  );
+  const [ended] = readTable(sqlitePath, "round_ended_events_2");
+  assert.equal(ended.winner.toLowerCase(), WINNER);
+  assert.equal(ended.prize, "5000000000000000000");
+  assert.equal(ended.contract_address, GAME);
+  // Rows deeper than the confirmation depth are confirmed on write
+  assert.ok(taps().every((row) => row.confirmed === 1));
+  // Responses were capped at two logs, so the stream advanced block by block
+  const streamed = mock.requests.filter(({ endpoint, body }) => endpoint === "query" && body.logs?.length > 0);
+  assert.ok(streamed.length >= 3, `expected several stream queries, got ${streamed.length}`);
+  assert.equal(indexer.output.includes("Stream error"), false);
+});
+
+test("skips logs that are missing critical fields", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 50 });
+  addTap(mock, { block: 10, transactionHash: null });
+  addTap(mock, { block: 11 });
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 50, { message: "checkpoint at the chain height" });
+
+  assert.deepEqual(taps().map((row) => row.block_number), [11]);
+  assert.match(indexer.output, /Missing critical fields in log idx 0, blk 10/);
+});
+
+test("waits at the chain tip and picks up new blocks", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 20 });
+  addTap(mock, { block: 12 });
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 20, { message: "first checkpoint" });
+
+  addTap(mock, { block: 25 });
+  addRoundEnd(mock, { block: 27 });
+  mock.setHeight(30);
+  await waitFor(() => checkpoint() === 30, { message: "checkpoint after the chain advanced" });
+
+  assert.deepEqual(taps().map((row) => row.block_number), [12, 25]);
+  assert.match(indexer.output, /Chain advanced to 30/);
+});
+
+test("recovers from 503s and timeouts", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 40 });
+  addTap(mock, { block: 10 });
+  addTap(mock, { block: 30 });
+  mock.inject({ endpoint: "height", status: 503 });
+  mock.inject({ endpoint: "query", status: 503, times: 2 });
+  mock.inject({ endpoint: "query", delayMs: 3000 }); // HYPERSYNC_TIMEOUT is 2000
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 40, { timeout: 60000, message: "checkpoint after the faults" });
+
+  assert.deepEqual(taps().map((row) => row.block_number), [10, 30]);
+  assert.match(indexer.output, /503 Service Unavailable/);
+  assert.match(indexer.output, /timed out|timeout/i);
+});
+
+test("resumes from its checkpoint after a restart", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 30 });
+  addTap(mock, { block: 10 });
+
+  const first = start();
+  await waitFor(() => checkpoint() === 30, { message: "first checkpoint" });
+  await first.stop();
+
+  addTap(mock, { block: 35 });
+  mock.setHeight(40);
+  const queriesBefore = mock.requests.length;
+  start();
+  await waitFor(() => checkpoint() === 40, { message: "checkpoint after the restart" });
+
+  assert.deepEqual(taps().map((row) => row.block_number), [10, 35]);
+  const resumed = mock.requests.slice(queriesBefore).find(({ endpoint, body }) => endpoint === "query" && body.logs?.length > 0);
+  assert.equal(resumed.body.from_block, 30);
+});
+
+test("rolls back rows from reorged blocks", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 40 });
+  addTap(mock, { block: 20 });
+  addTap(mock, { block: 35 });
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 40, { message: "first checkpoint" });
+
+  mock.reorg(32);
+  addTap(mock, { block: 33, logIndex: 4 });
+  mock.setHeight(45);
+  await waitFor(() => checkpoint() === 45 && taps().some((row) => row.block_number === 33), {
+    message: "re-indexed rows after the reorg",
+  });
+
+  assert.deepEqual(taps().map((row) => [row.block_number, row.log_index]), [[20, 0], [33, 4]]);
+  assert.match(indexer.output, /reorg/i);
+});
+
+test("a concurrent backfill writes its ranges in block order", async (t) => {
+  const { mock, sqlitePath, start, taps, checkpoint } = await setup(t, { height: 300 });
+  addTap(mock, { block: 10 });
+  addTap(mock, { block: 25 });
+  addRoundEnd(mock, { block: 30 });
+  addTap(mock, { block: 45, round: 2n });
+  // The first range's response arrives after the others
+  mock.inject({ endpoint: "query", delayMs: 500 });
+
+  const backfill = start(["backfill", "--from", "5", "--to", "54", "--range-size", "10", "--workers", "3"]);
+  assert.equal((await backfill.exited).code, 0, backfill.output);
+
+  const written = [...backfill.output.matchAll(/(TAPPED|ROUND END) \| \S+ \| Blk: (\d+)/g)].map((match) => Number(match[2]));
+  assert.deepEqual(written, [10, 25, 30, 45]);
+  assert.deepEqual(taps().map((row) => [row.block_number, row.confirmed]), [[10, 1], [25, 1], [45, 1]]);
+  assert.equal(readTable(sqlitePath, "backfill_ranges").length, 5);
+  assert.equal(checkpoint(), 55);
+});
+
+test("upserts are split into chunks of the batch size", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 100 });
+  for (const logIndex of [0, 1, 2, 3, 4]) addTap(mock, { block: 10, logIndex });
+
+  const indexer = start([], { BATCH_SIZE: "2" });
+  await waitFor(() => checkpoint() === 100, { message: "checkpoint at the chain height" });
+
+  assert.equal(taps().length, 5);
+  const chunks = [...indexer.output.matchAll(/upserted batch of (\d+) events to tapped_events_2/g)].map((match) => Number(match[1]));
+  assert.deepEqual(chunks, [2, 2, 1]);
+});
+
+test("block tracking is kept under the indexer's key, adopting the legacy one", async (t) => {
+  const { mock, sqlitePath, start, checkpoint } = await setup(t, { height: 100 });
+  addTap(mock, { block: 10 });
+  // Written by an earlier version, keyed by the followed contracts
+  const storage = createStorage({ storage: "sqlite", sqlitePath }, () => {});
+  await storage.upsert(
+    "backfill_ranges",
+    [{ source: GAME, network: "mocknet", from_block: 5, to_block: 9, completed_at: new Date().toISOString() }],
+    { onConflict: ["source", "network", "from_block", "to_block"] }
+  );
+
+  start();
+  await waitFor(() => checkpoint() === 100, { message: "checkpoint at the chain height" });
+
+  assert.deepEqual(readTable(sqlitePath, "backfill_ranges").map(({ source, from_block }) => [source, from_block]), [["last_tap", 5]]);
+  const hashes = readTable(sqlitePath, "indexer_block_hashes");
+  assert.ok(hashes.length > 0);
+  assert.ok(hashes.every(({ source }) => source === "last_tap"));
+});
+
+test("a failed backfill range holds back the ranges after it", async (t) => {
+  const { mock, sqlitePath, start, taps, checkpoint } = await setup(t, { height: 300 });
+  for (const block of [10, 25, 35, 45]) addTap(mock, { block });
+  mock.inject({ endpoint: "query", status: 500 });
+
+  const args = ["backfill", "--from", "5", "--to", "54", "--range-size", "10", "--workers", "3"];
+  const failed = start(args, { MAX_RETRIES: "1" });
+  assert.notEqual((await failed.exited).code, 0, failed.output);
+  const completed = readTable(sqlitePath, "backfill_ranges", "from_block").map((row) => row.from_block);
+  assert.deepEqual(completed, [5, 15, 25, 35, 45].slice(0, completed.length));
+  assert.ok(completed.length < 5);
+  assert.ok(taps().every((row) => row.block_number < 5 + completed.length * 10));
+  assert.equal(checkpoint(), undefined);
+
+  const rerun = start(args);
+  assert.equal((await rerun.exited).code, 0, rerun.output);
+  assert.deepEqual(taps().map((row) => row.block_number), [10, 25, 35, 45]);
+  assert.equal(checkpoint(), 55);
+});
+
+test("a backfill past a gap restores game state and leaves the checkpoint behind the gap", async (t) => {
+  const { mock, start, checkpoint } = await setup(t, { height: 300 });
+  addTap(mock, { block: 10 });
+  addTap(mock, { block: 40, round: 2n });
+  const backfill = (from, to) => start(["backfill", "--from", from, "--to", to, "--range-size", "10"]);
+
+  const first = backfill("5", "24");
+  assert.equal((await first.exited).code, 0, first.output);
+  assert.equal(checkpoint(), 25);
+
+  const skipping = backfill("35", "54");
+  assert.equal((await skipping.exited).code, 0, skipping.output);
+  assert.match(skipping.output, /restored state as of block 34/);
+  assert.match(skipping.output, /blocks 25-34 have not been indexed/);
+  assert.equal(checkpoint(), 25);
+
+  // Only 25-34 is left, and once it is done the gap is closed
+  const filling = backfill("5", "54");
+  assert.equal((await filling.exited).code, 0, filling.output);
+  assert.match(filling.output, /1\/5 range\(s\) to do/);
+  assert.match(filling.output, /restored state as of block 24/);
+  assert.equal(checkpoint(), 55);
+});
+
+test("the event stream catches up from a cursor and follows rollbacks", async (t) => {
+  const { mock, start, taps, checkpoint } = await setup(t, { height: 40 });
+  addTap(mock, { block: 10 });
+  addTap(mock, { block: 20 });
+  addTap(mock, { block: 20, logIndex: 3 });
+  addTap(mock, { block: 35 });
+
+  const indexer = start();
+  await waitFor(() => checkpoint() === 40 && /Status web server running/.test(indexer.output), { message: "first checkpoint" });
+
+  const port = /Status web server running on port (\d+)/.exec(indexer.output)[1];
+  const fromCursor = openStream(t, port, "?cursor=20:0");
+  const fromHeader = openStream(t, port, "", { "Last-Event-ID": "10:0" });
+  await waitFor(() => fromCursor.filter(({ event }) => event === "snapshot").length === 2, { message: "catch-up from the cursor" });
+  await waitFor(() => fromHeader.filter(({ event }) => event === "snapshot").length === 2, { message: "catch-up from Last-Event-ID" });
+  assert.deepEqual(eventIds(fromCursor), ["Tapped 20:3", "Tapped 35:0"]);
+  assert.deepEqual(eventIds(fromHeader), ["Tapped 20:0", "Tapped 20:3", "Tapped 35:0"]);
+  assert.equal(fromCursor[1].data.contract, GAME.toLowerCase());
+  assert.equal(fromCursor[1].data.block_number, 20);
+
+  mock.reorg(32);
+  addTap(mock, { block: 33, logIndex: 4 });
+  mock.setHeight(45);
+  await waitFor(() => eventIds(fromCursor).includes("Tapped 33:4"), { message: "re-indexed rows on the stream" });
+  assert.deepEqual(eventIds(fromCursor), ["Tapped 20:3", "Tapped 35:0", "rollback 32:-1", "Tapped 33:4"]);
+  assert.deepEqual(fromCursor.find(({ event }) => event === "rollback").data, { fromBlock: 32 });
+
+  // Reconnecting after the rollback replays the re-indexed rows
+  const resumed = openStream(t, port, "", { "Last-Event-ID": "32:-1" });
+  await waitFor(() => resumed.filter(({ event }) => event === "snapshot").length === 2, { message: "catch-up after the rollback" });
+  assert.deepEqual(eventIds(resumed), ["Tapped 33:4"]);
+  assert.deepEqual(taps().map((row) => row.block_number), [10, 20, 20, 33]);
+});
+
+test("stray options are rejected instead of ignored", async (t) => {
+  const { start } = await setup(t, { height: 10 });
+
+  const migrate = start(["migrate", "--dry-run"]);
+  assert.equal((await migrate.exited).code, 1);
+  assert.match(migrate.output, /Unexpected argument\(s\): --dry-run/);
+
+  const indexer = start(["--bogus"]);
+  assert.equal((await indexer.exited).code, 1);
+  assert.match(indexer.output, /Unknown option: --bogus/);
+
+  const tui = startIndexer(t, "run-last-tap-indexer.js", { args: ["--replay-sped", "2"] });
+  assert.equal((await tui.exited).code, 1);
+  assert.match(tui.output, /unknown option\(s\) or argument\(s\): --replay-sped 2/);
+});
@@ -0,0 +1,143 @@
+// test/e2e/live-feed.test.js
+// lib/live-feed.js behind an HTTP server, catching clients up from SQLite
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import path from "path";
+import { createLiveFeed } from "../../lib/live-feed.js";
+import { createStorage } from "../../lib/storage/index.js";
+import { eventIds, openStream } from "../support/event-stream.js";
+import { tempDir, waitFor } from "../support/indexer-process.js";
+
+const GAME = "0x1111111111111111111111111111111111111111";
+const EVENTS = [
+  { name: "Tapped", table: "tapped_events_2" },
+  { name: "RoundEnded", table: "round_ended_events_2" },
+];
+
+const row = (block, logIndex) => ({
+  block_number: block,
+  log_index: logIndex,
+  transaction_hash: `0x${block.toString(16)}${logIndex}`,
+  contract_address: GAME,
+});
+const live = (event, block, logIndex) => ({ event, row: row(block, logIndex), contract: GAME });
+const snapshots = (received) => received.filter(({ event }) => event === "snapshot").length;
+
+// Catch-up reads wait while the feed is paused, so a test can publish rows
+// and rollbacks in the middle of one
+async function startFeed(t, stored) {
+  const storage = createStorage({ storage: "sqlite", sqlitePath: path.join(tempDir(t), "feed.sqlite") }, () => {});
+  for (const [table, rows] of Object.entries(stored)) {
+    await storage.upsert(table, rows, { onConflict: ["transaction_hash", "log_index"] });
+  }
+
+  let paused = null;
+  let waiting = 0;
+  const gated = {
+    ...storage,
+    async select(...args) {
+      waiting++;
+      await paused?.promise;
+      waiting--;
+      return storage.select(...args);
+    },
+  };
+  let currentBlock = 40;
+  const feed = createLiveFeed({
+    storage: gated,
+    events: EVENTS,
+    rowFilters: (...extra) => [...extra, ["contract_address", "in", [GAME]]],
+    contractOf: (stored) => stored.contract_address,
+    snapshot: () => ({ currentBlock }),
+    log: () => {},
+  });
+
+  const server = http.createServer((req, res) => {
+    feed.handle(req, res, new URL(req.url, "http://localhost")).catch((error) => {
+      res.writeHead(error.statusCode || 500);
+      res.end(error.message);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  return {
+    feed,
+    port: server.address().port,
+    setBlock: (block) => { currentBlock = block; },
+    pause() {
+      let resume;
+      paused = { promise: new Promise((resolve) => { resume = resolve; }) };
+      paused.resume = resume;
+    },
+    resume() {
+      paused.resume();
+      paused = null;
+    },
+    waiting: () => waiting,
+  };
+}
+
+test("rows published during a catch-up are held and sent once, after it", async (t) => {
+  const { feed, port, pause, resume, waiting, setBlock } = await startFeed(t, {
+    tapped_events_2: [row(10, 0), row(20, 0)],
+    round_ended_events_2: [row(25, 1)],
+  });
+
+  pause();
+  const resuming = openStream(t, port, "?cursor=10:0");
+  const following = openStream(t, port);
+  await waitFor(() => waiting() > 0 && snapshots(following) === 1, { message: "the catch-up to start" });
+
+  // 20:0 was stored before the client connected and is published again; the
+  // reorg at 28 lands while the client is still reading history
+  setBlock(45);
+  feed.publish([live("Tapped", 20, 0), live("Tapped", 30, 0)]);
+  feed.rollback(28);
+  feed.publish([live("Tapped", 28, 2)]);
+  assert.deepEqual(eventIds(resuming), []);
+  await waitFor(() => eventIds(following).length === 4, { message: "live rows for the client without a cursor" });
+  assert.deepEqual(eventIds(following), ["Tapped 20:0", "Tapped 30:0", "rollback 28:-1", "Tapped 28:2"]);
+
+  resume();
+  await waitFor(() => snapshots(resuming) === 2, { message: "the catch-up to finish" });
+  assert.deepEqual(eventIds(resuming), ["Tapped 20:0", "RoundEnded 25:1", "Tapped 30:0", "rollback 28:-1", "Tapped 28:2"]);
+  assert.deepEqual(resuming.at(-1).data, { currentBlock: 45 });
+  assert.deepEqual(resuming.find(({ id }) => id === "25:1").data, { event: "RoundEnded", contract: GAME, ...row(25, 1) });
+
+  // Once caught up, the client follows the live feed directly
+  feed.publish([live("RoundEnded", 46, 0)]);
+  await waitFor(() => eventIds(resuming).includes("RoundEnded 46:0"), { message: "a live row after the catch-up" });
+});
+
+test("Last-Event-ID resumes a reconnect, and the events filter applies to history", async (t) => {
+  const { port } = await startFeed(t, {
+    tapped_events_2: [row(10, 0), row(20, 0), row(30, 0)],
+    round_ended_events_2: [row(25, 1)],
+  });
+
+  const reconnect = openStream(t, port, "", { "Last-Event-ID": "20:0" });
+  const endsOnly = openStream(t, port, "?cursor=0:0&events=RoundEnded");
+  await waitFor(() => snapshots(reconnect) === 2 && snapshots(endsOnly) === 2, { message: "both catch-ups" });
+
+  assert.deepEqual(eventIds(reconnect), ["RoundEnded 25:1", "Tapped 30:0"]);
+  assert.deepEqual(eventIds(endsOnly), ["RoundEnded 25:1"]);
+});
+
+test("malformed cursors and unknown events are rejected", async (t) => {
+  const { port } = await startFeed(t, {});
+  const statusOf = (query) =>
+    new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${port}/stream${query}`, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on("error", reject);
+    });
+
+  assert.equal(await statusOf("?cursor=latest"), 400);
+  assert.equal(await statusOf("?events=Swap"), 400);
+});
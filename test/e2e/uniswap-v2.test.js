@@ -0,0 +1,86 @@
+// test/e2e/uniswap-v2.test.js
+// uniswap-v2-indexer.js against the mock Hypersync server with SQLite storage
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { encodeAbiParameters, encodeEventTopics, parseAbi, parseEther } from "viem";
+import { startMockHypersync } from "../support/mock-hypersync.js";
+import { readTable, startIndexer, tempDir, waitFor } from "../support/indexer-process.js";
+
+const PAIR = "0x5555555555555555555555555555555555555555";
+const TRADER = "0x6666666666666666666666666666666666666666";
+// The default token addresses sort WETH first, so WETH is token0
+const ABI = parseAbi([
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "event Sync(uint112 reserve0, uint112 reserve1)",
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+]);
+const uints = (...values) => encodeAbiParameters(values.map(() => ({ type: "uint256" })), values);
+
+function addEvent(mock, block, logIndex, eventName, args, data) {
+  return mock.addLog({
+    blockNumber: block,
+    logIndex,
+    address: PAIR,
+    topics: encodeEventTopics({ abi: ABI, eventName, args }),
+    data,
+    from: TRADER,
+  });
+}
+
+test("indexes swaps, syncs and mints with block timestamps", async (t) => {
+  const mock = await startMockHypersync({ height: 60, maxLogsPerResponse: 3 });
+  t.after(() => mock.close());
+  const dir = tempDir(t);
+  const sqlitePath = path.join(dir, "uniswap-v2.sqlite");
+
+  addEvent(mock, 10, 0, "Mint", { sender: TRADER }, uints(parseEther("10"), parseEther("10000")));
+  addEvent(mock, 10, 1, "Sync", {}, uints(parseEther("10"), parseEther("10000")));
+  // Sells 1000 $TAP for 1 WETH, then buys 500 $TAP for 2 WETH
+  addEvent(mock, 20, 3, "Swap", { sender: TRADER, to: TRADER }, uints(0n, parseEther("1000"), parseEther("1"), 0n));
+  addEvent(mock, 20, 4, "Sync", {}, uints(parseEther("9"), parseEther("11000")));
+  addEvent(mock, 45, 0, "Swap", { sender: TRADER, to: TRADER }, uints(parseEther("2"), 0n, 0n, parseEther("500")));
+
+  startIndexer(t, "uniswap-v2-indexer.js", {
+    env: {
+      HYPERSYNC_URLS: mock.url,
+      UNISWAP_V2_PAIR_ADDRESS: PAIR,
+      START_BLOCK: "5",
+      SQLITE_PATH: sqlitePath,
+      DEAD_LETTER_PATH: path.join(dir, "dead-letters.jsonl"),
+    },
+  });
+  await waitFor(() => readTable(sqlitePath, "indexer_checkpoints")[0]?.next_block === 60, {
+    message: "checkpoint at the chain height",
+  });
+
+  const swaps = readTable(sqlitePath, "swap_events", "block_number, log_index");
+  assert.deepEqual(
+    swaps.map((row) => [row.block_number, row.amount_tap_in, row.amount_weth_out, row.amount_weth_in, row.amount_tap_out]),
+    [
+      [20, parseEther("1000").toString(), parseEther("1").toString(), "0", "0"],
+      [45, "0", "0", parseEther("2").toString(), parseEther("500").toString()],
+    ]
+  );
+  assert.match(swaps[0].price_tap_in_weth, /^0\.0010*$/);
+  assert.match(swaps[1].price_tap_in_weth, /^0\.0040*$/);
+  assert.equal(swaps[0].event_timestamp, new Date(mock.block(20).timestamp * 1000).toISOString());
+  assert.equal(swaps[1].sender.toLowerCase(), TRADER);
+
+  const syncs = readTable(sqlitePath, "sync_events", "block_number, log_index");
+  assert.deepEqual(
+    syncs.map((row) => [row.block_number, row.reserve_weth, row.reserve_tap]),
+    [
+      [10, parseEther("10").toString(), parseEther("10000").toString()],
+      [20, parseEther("9").toString(), parseEther("11000").toString()],
+    ]
+  );
+  const [mint] = readTable(sqlitePath, "mint_events");
+  assert.equal(mint.amount_weth, parseEther("10").toString());
+  assert.equal(mint.amount_tap, parseEther("10000").toString());
+
+  // The indexer joins blocks for their timestamps
+  const query = mock.requests.find(({ endpoint, body }) => endpoint === "query" && body.logs?.length > 0);
+  assert.equal(query.body.join_mode, "JoinAll");
+  assert.deepEqual(query.body.field_selection.block, ["number", "timestamp"]);
+});
@@ -0,0 +1,30 @@
+// test/support/event-stream.js
+// A Server-Sent Events client for the status server's /stream feed
+import http from "http";
+
+// Connects to /stream<query> and collects { id, event, data } as they arrive
+export function openStream(t, port, query = "", headers = {}) {
+  const received = [];
+  let buffer = "";
+  const req = http.get(`http://127.0.0.1:${port}/stream${query}`, { headers }, (res) => {
+    res.setEncoding("utf8");
+    res.on("data", (chunk) => {
+      buffer += chunk;
+      const messages = buffer.split("\n\n");
+      buffer = messages.pop();
+      for (const message of messages) {
+        const fields = Object.fromEntries(
+          message.split("\n").filter((line) => /^\w+: /.test(line)).map((line) => line.split(/: (.*)/s))
+        );
+        if (fields.event) received.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    });
+  });
+  req.on("error", () => {});
+  t.after(() => req.destroy());
+  return received;
+}
+
+// "<event> <id>" for everything but snapshots
+export const eventIds = (received) =>
+  received.filter(({ event }) => event !== "snapshot").map(({ id, event }) => `${event} ${id}`);
@@ -0,0 +1,79 @@
+// test/support/indexer-process.js
+// Runs an indexer script as a child process against a mock Hypersync server
+// and a throwaway SQLite file, and reads back what it wrote.
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+
+const ROOT = path.resolve(import.meta.dirname, "../..");
+
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-e2e-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Polls check() until it returns something truthy
+export async function waitFor(check, { timeout = 20000, interval = 100, message = "condition" } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await sleep(interval);
+  }
+  throw new Error(`Timed out after ${timeout}ms waiting for ${message}`);
+}
+
+// script is relative to the repo root; env is layered over a minimal
+// environment so the caller's shell settings cannot leak into the run
+export function startIndexer(t, script, { env = {}, args = [] } = {}) {
+  const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      NETWORK: "mocknet",
+      STORAGE: "sqlite",
+      STATUS_PORT: "0",
+      LOG_LEVEL: "verbose",
+      POLLING_INTERVAL: "50",
+      HYPERSYNC_MAX_RETRIES: "0",
+      HYPERSYNC_TIMEOUT: "2000",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.on("exit", (code, signal) => resolve({ code, signal })));
+
+  const indexer = {
+    get output() {
+      return output;
+    },
+    exited,
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) child.kill("SIGTERM");
+      return exited;
+    },
+  };
+  t.after(() => indexer.stop());
+  return indexer;
+}
+
+// Reads a table from the indexer's SQLite file; a table that does not exist
+// yet reads as empty
+export function readTable(sqlitePath, table, orderBy = "rowid") {
+  if (!fs.existsSync(sqlitePath)) return [];
+  const db = new Database(sqlitePath, { readonly: true, fileMustExist: true });
+  try {
+    const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+    return exists ? db.prepare(`SELECT * FROM "${table}" ORDER BY ${orderBy}`).all() : [];
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,304 @@
+// test/support/mock-hypersync.js
+// Local stand-in for a Hypersync server, enough for the indexers' client:
+//   GET  /height            { height }
+//   POST /query/arrow-ipc   JSON query in, Cap'n Proto QueryResponse out, with
+//                           blocks, transactions and logs as Arrow IPC files
+// The chain is scripted: blocks below the height exist with deterministic
+// hashes and timestamps, and logs are added with addLog(). The height is
+// exclusive, as the client treats it: a query ends there, so a log is served
+// once the height passes its block. A reorg re-hashes every block from a
+// given number up and drops the logs there. Faults are injected per endpoint:
+// an HTTP status, a delay (longer than the client's timeout to simulate one)
+// or both, for the next `times` requests.
+import http from "http";
+import { Binary, Table, Uint64, tableToIPC, vectorFromArray } from "apache-arrow";
+
+const toBytes = (hex) => Buffer.from(String(hex).replace(/^0x/, ""), "hex");
+
+// Big-endian quantity with no leading zeros, like Hypersync's timestamps
+function quantityBytes(value) {
+  let hex = BigInt(value).toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return Buffer.from(hex === "00" ? "" : hex, "hex");
+}
+
+function hashOf(...parts) {
+  let hex = "";
+  for (let i = 0; hex.length < 64; i++) {
+    let h = 0x811c9dc5 ^ i;
+    for (const char of `${parts.join(":")}#${i}`) h = Math.imul(h ^ char.charCodeAt(0), 0x01000193) >>> 0;
+    hex += h.toString(16).padStart(8, "0");
+  }
+  return `0x${hex.slice(0, 64)}`;
+}
+
+// --- Arrow encoding ---
+// Columns are [name, "uint64" | "binary", values]; missing values stay null
+function arrowFile(columns) {
+  const vectors = Object.fromEntries(
+    columns.map(([name, type, values]) => [
+      name,
+      type === "uint64"
+        ? vectorFromArray(values.map((value) => (value === undefined || value === null ? null : BigInt(value))), new Uint64())
+        : vectorFromArray(values.map((value) => (value === undefined || value === null ? null : value)), new Binary()),
+    ])
+  );
+  return Buffer.from(tableToIPC(new Table(vectors), "file"));
+}
+
+const BLOCK_COLUMNS = {
+  number: ["uint64", (block) => block.number],
+  hash: ["binary", (block) => toBytes(block.hash)],
+  parent_hash: ["binary", (block) => toBytes(block.parentHash)],
+  timestamp: ["binary", (block) => quantityBytes(block.timestamp)],
+};
+
+const TRANSACTION_COLUMNS = {
+  block_number: ["uint64", (tx) => tx.blockNumber],
+  transaction_index: ["uint64", (tx) => tx.transactionIndex],
+  hash: ["binary", (tx) => toBytes(tx.hash)],
+  from: ["binary", (tx) => toBytes(tx.from)],
+};
+
+const LOG_COLUMNS = {
+  block_number: ["uint64", (log) => log.blockNumber],
+  log_index: ["uint64", (log) => log.logIndex],
+  transaction_index: ["uint64", (log) => log.transactionIndex],
+  transaction_hash: ["binary", (log) => log.transactionHash && toBytes(log.transactionHash)],
+  block_hash: ["binary", (log) => log.blockHash && toBytes(log.blockHash)],
+  address: ["binary", (log) => toBytes(log.address)],
+  data: ["binary", (log) => toBytes(log.data)],
+  topic0: ["binary", (log) => log.topics[0] && toBytes(log.topics[0])],
+  topic1: ["binary", (log) => log.topics[1] && toBytes(log.topics[1])],
+  topic2: ["binary", (log) => log.topics[2] && toBytes(log.topics[2])],
+  topic3: ["binary", (log) => log.topics[3] && toBytes(log.topics[3])],
+};
+
+// Only the selected fields are sent, as the real server does
+function selectColumns(definitions, fields, rows) {
+  return (fields || [])
+    .filter((field) => definitions[field])
+    .map((field) => {
+      const [type, read] = definitions[field];
+      return [field, type, rows.map(read)];
+    });
+}
+
+// --- Cap'n Proto encoding ---
+// struct QueryResponse { archiveHeight :Int64; nextBlock :UInt64;
+//   totalExecutionTime :UInt64; data :QueryResponseData; rollbackGuard :RollbackGuard }
+// struct QueryResponseData { blocks :Data; transactions :Data; logs :Data; traces :Data }
+// written as a single-segment message in the packed encoding
+function queryResponseMessage({ archiveHeight, nextBlock, blobs }) {
+  const blobWords = blobs.map((blob) => Math.ceil(blob.length / 8));
+  const words = 1 + 5 + 4 + blobWords.reduce((sum, count) => sum + count, 0);
+  const segment = Buffer.alloc(words * 8);
+  const structPointer = (at, target, dataWords, pointers) => {
+    segment.writeUInt32LE(((target - at - 1) << 2) >>> 0, at * 8);
+    segment.writeUInt16LE(dataWords, at * 8 + 4);
+    segment.writeUInt16LE(pointers, at * 8 + 6);
+  };
+  const bytesPointer = (at, target, length) => {
+    segment.writeUInt32LE((((target - at - 1) << 2) | 1) >>> 0, at * 8);
+    segment.writeUInt32LE(((length << 3) | 2) >>> 0, at * 8 + 4);
+  };
+
+  structPointer(0, 1, 3, 2); // root: QueryResponse at word 1
+  segment.writeBigInt64LE(BigInt(archiveHeight), 8);
+  segment.writeBigUInt64LE(BigInt(nextBlock), 16);
+  structPointer(4, 6, 0, 4); // data: QueryResponseData at word 6; rollbackGuard stays null
+  let next = 10;
+  blobs.forEach((blob, index) => {
+    bytesPointer(6 + index, next, blob.length);
+    blob.copy(segment, next * 8);
+    next += blobWords[index];
+  });
+
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(0, 0); // segment count - 1
+  header.writeUInt32LE(words, 4);
+  return pack(Buffer.concat([header, segment]));
+}
+
+// Each word becomes a tag byte of its non-zero bytes followed by those bytes;
+// the run-length extensions for 0x00 and 0xff tags are always 0
+function pack(bytes) {
+  const out = [];
+  for (let offset = 0; offset < bytes.length; offset += 8) {
+    let tag = 0;
+    const kept = [];
+    for (let i = 0; i < 8; i++) {
+      if (bytes[offset + i] !== 0) {
+        tag |= 1 << i;
+        kept.push(bytes[offset + i]);
+      }
+    }
+    out.push(tag, ...kept);
+    if (tag === 0x00 || tag === 0xff) out.push(0);
+  }
+  return Buffer.from(out);
+}
+
+// --- Query evaluation ---
+const lower = (value) => String(value).toLowerCase();
+
+function matchesSelection(log, selection) {
+  if (selection.address?.length > 0 && !selection.address.some((address) => lower(address) === lower(log.address))) {
+    return false;
+  }
+  return (selection.topics || []).every(
+    (allowed, index) => !allowed || allowed.length === 0 || allowed.some((topic) => lower(topic) === lower(log.topics[index]))
+  );
+}
+
+export async function startMockHypersync({ height = 0, maxLogsPerResponse = Infinity, blockTime = 2, genesisTimestamp = 1700000000 } = {}) {
+  const chain = { height, forks: [] }; // forks: [{ fromBlock, salt }] re-hash blocks from a number up
+  const logs = [];
+  const faults = [];
+  const requests = [];
+
+  function blockAt(number) {
+    const salt = chain.forks.filter((fork) => number >= fork.fromBlock).map((fork) => fork.salt).join(",");
+    const parentSalt = chain.forks.filter((fork) => number - 1 >= fork.fromBlock).map((fork) => fork.salt).join(",");
+    return {
+      number,
+      hash: hashOf("block", number, salt),
+      parentHash: number === 0 ? `0x${"0".repeat(64)}` : hashOf("block", number - 1, parentSalt),
+      timestamp: genesisTimestamp + number * blockTime,
+    };
+  }
+
+  function takeFault(endpoint) {
+    const index = faults.findIndex((fault) => !fault.endpoint || fault.endpoint === endpoint);
+    if (index === -1) return null;
+    const fault = faults[index];
+    if (--fault.times <= 0) faults.splice(index, 1);
+    return fault;
+  }
+
+  function runQuery(query) {
+    const from = query.from_block ?? 0;
+    const end = Math.min(query.to_block ?? Infinity, chain.height);
+    const selections = query.logs || [];
+    let matched = logs
+      .filter((log) => log.blockNumber >= from && log.blockNumber < end)
+      .filter((log) => selections.some((selection) => matchesSelection(log, selection)))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // Stop at a block boundary once a response holds enough logs
+    let nextBlock = Math.max(from, end);
+    if (matched.length > maxLogsPerResponse) {
+      const lastBlock = matched[maxLogsPerResponse - 1].blockNumber;
+      matched = matched.filter((log) => log.blockNumber <= lastBlock);
+      nextBlock = lastBlock + 1;
+    }
+
+    const blockNumbers = query.include_all_blocks
+      ? Array.from({ length: Math.max(0, nextBlock - from) }, (_, i) => from + i)
+      : [...new Set(matched.map((log) => log.blockNumber))];
+    const joinTransactions = query.join_mode !== "JoinNothing";
+    const transactions = joinTransactions
+      ? [...new Map(matched.filter((log) => log.transactionHash).map((log) => [log.transactionHash, log])).values()].map((log) => ({
+          blockNumber: log.blockNumber,
+          transactionIndex: log.transactionIndex,
+          hash: log.transactionHash,
+          from: log.from,
+        }))
+      : [];
+
+    const fields = query.field_selection || {};
+    return queryResponseMessage({
+      archiveHeight: chain.height,
+      nextBlock,
+      blobs: [
+        arrowFile(selectColumns(BLOCK_COLUMNS, fields.block, blockNumbers.map(blockAt))),
+        arrowFile(selectColumns(TRANSACTION_COLUMNS, fields.transaction, transactions)),
+        arrowFile(selectColumns(LOG_COLUMNS, fields.log, matched)),
+        arrowFile([]),
+      ],
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      const endpoint = req.url.endsWith("/height") ? "height" : req.url.endsWith("/query/arrow-ipc") ? "query" : null;
+      const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+      requests.push({ endpoint, body });
+
+      const fault = endpoint && takeFault(endpoint);
+      if (fault?.delayMs) await new Promise((resolve) => setTimeout(resolve, fault.delayMs));
+      if (res.destroyed) return;
+      if (fault?.status) {
+        res.writeHead(fault.status, { "Content-Type": "text/plain" });
+        res.end(`injected ${fault.status}`);
+        return;
+      }
+
+      try {
+        if (endpoint === "height") {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ height: chain.height }));
+        } else if (endpoint === "query") {
+          res.writeHead(200, { "Content-Type": "application/x-capnp" });
+          res.end(runQuery(body));
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end(error.stack);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const sockets = new Set();
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    get height() {
+      return chain.height;
+    },
+    setHeight(value) {
+      chain.height = value;
+    },
+    block: blockAt,
+    // log: { blockNumber, logIndex, address, topics, data, transactionHash?, from? }.
+    // Pass transactionHash: null to serve a log without one. Logs above the
+    // height stay hidden until setHeight() reaches them.
+    addLog(log) {
+      const entry = {
+        transactionIndex: 0,
+        data: "0x",
+        from: `0x${"0".repeat(40)}`,
+        ...log,
+        transactionHash: log.transactionHash === undefined ? hashOf("tx", log.blockNumber, log.logIndex) : log.transactionHash,
+      };
+      entry.blockHash = blockAt(entry.blockNumber).hash;
+      logs.push(entry);
+      return entry;
+    },
+    // Replaces every block from fromBlock up and drops the logs they held
+    reorg(fromBlock) {
+      chain.forks.push({ fromBlock, salt: chain.forks.length + 1 });
+      for (let i = logs.length - 1; i >= 0; i--) {
+        if (logs[i].blockNumber >= fromBlock) logs.splice(i, 1);
+      }
+    },
+    // endpoint is "height", "query" or undefined for both
+    inject({ endpoint, status, delayMs, times = 1 }) {
+      faults.push({ endpoint, status, delayMs, times });
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// test/unit/config.test.js
+// Layered configuration: defaults < config file < environment < flags
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { ConfigError, parseConfig, withDefaults } from "../../lib/config.js";
+import { tempDir } from "../support/indexer-process.js";
+
+const SCHEMA = {
+  network: { type: "string", env: "NETWORK", default: "megaethTestnet" },
+  batchSize: { type: "integer", env: "BATCH_SIZE", min: 1, default: 100 },
+  logLevel: { type: "string", env: "LOG_LEVEL", values: ["verbose", "normal"], default: "normal" },
+  statusPort: { type: "integer", env: "STATUS_PORT", default: 8080 },
+  thresholds: { type: "list", item: "integer", env: ["THRESHOLDS", "LEGACY_THRESHOLDS"], default: [60, 10] },
+  paused: { type: "boolean", env: "PAUSED", default: false },
+};
+
+function configFile(t, contents) {
+  const file = path.join(tempDir(t), "config.json");
+  fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return file;
+}
+
+test("each layer overrides the ones below it", (t) => {
+  const file = configFile(t, { network: "ethereum", batchSize: 50, logLevel: "verbose", thresholds: [30] });
+  const env = { CONFIG_FILE: file, BATCH_SIZE: "25", LOG_LEVEL: "normal" };
+  const argv = ["--log-level", "verbose", "--status-port=9090"];
+
+  assert.deepEqual(parseConfig(SCHEMA).config, {
+    network: "megaethTestnet",
+    batchSize: 100,
+    logLevel: "normal",
+    statusPort: 8080,
+    thresholds: [60, 10],
+    paused: false,
+  });
+  assert.deepEqual(parseConfig(SCHEMA, { argv, env }).config, {
+    network: "ethereum", // file over default
+    batchSize: 25, // env over file
+    logLevel: "verbose", // flag over env and file
+    statusPort: 9090, // flag over default
+    thresholds: [30], // file array over default
+    paused: false,
+  });
+});
+
+test("--config wins over CONFIG_FILE, and empty environment variables are skipped", (t) => {
+  const fromEnv = configFile(t, { batchSize: 10 });
+  const fromFlag = configFile(t, { batchSize: 20 });
+  const env = { CONFIG_FILE: fromEnv, NETWORK: "", LEGACY_THRESHOLDS: "5,1" };
+
+  const { config } = parseConfig(SCHEMA, { argv: ["--config", fromFlag], env });
+  assert.equal(config.batchSize, 20);
+  assert.equal(config.network, "megaethTestnet");
+  assert.deepEqual(config.thresholds, [5, 1]);
+});
+
+test("flags parse like their type, and other arguments are passed through", () => {
+  const { config, args } = parseConfig(SCHEMA, {
+    argv: ["backfill", "--from", "100", "--paused", "--batch-size=5", "--to", "200"],
+  });
+  assert.equal(config.paused, true);
+  assert.equal(config.batchSize, 5);
+  assert.deepEqual(args, ["backfill", "--from", "100", "--to", "200"]);
+});
+
+test("scripts without commands reject anything besides their options", () => {
+  assert.throws(
+    () => parseConfig(SCHEMA, { argv: ["--batch-size", "5", "--batchsize", "6", "extra"], allowArgs: false }),
+    (error) =>
+      error instanceof ConfigError &&
+      error.errors.length === 1 &&
+      /unknown option\(s\) or argument\(s\): --batchsize 6 extra/.test(error.errors[0])
+  );
+  assert.equal(parseConfig(SCHEMA, { argv: ["--batch-size", "5"], allowArgs: false }).config.batchSize, 5);
+});
+
+test("every problem is reported at once, naming where the value came from", (t) => {
+  const file = configFile(t, { statusPort: "high", unknownOption: true });
+  assert.throws(
+    () => parseConfig(SCHEMA, { argv: ["--batch-size", "0", "--config", file], env: { LOG_LEVEL: "loud" } }),
+    (error) => {
+      assert.deepEqual(error.errors, [
+        `config file ${file}: unknown option "unknownOption"`,
+        "--batch-size must be at least 1 (got \"0\")",
+        "LOG_LEVEL must be one of verbose, normal (got \"loud\")",
+        `statusPort in ${file} must be an integer (got "high")`,
+      ]);
+      return true;
+    }
+  );
+  assert.throws(() => parseConfig(SCHEMA, { env: { CONFIG_FILE: configFile(t, "[1]") } }), /must contain a JSON object/);
+});
+
+test("withDefaults replaces a script's defaults below every other layer", () => {
+  const schema = withDefaults(SCHEMA, { batchSize: 500 });
+  assert.equal(parseConfig(schema).config.batchSize, 500);
+  assert.equal(parseConfig(schema, { env: { BATCH_SIZE: "7" } }).config.batchSize, 7);
+  assert.equal(SCHEMA.batchSize.default, 100);
+});
@@ -0,0 +1,64 @@
+// test/unit/dead-letters.test.js
+// The dead-letter queue's pending batches, kept in memory and shared through its file
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createDeadLetterQueue } from "../../lib/dead-letters.js";
+import { tempDir } from "../support/indexer-process.js";
+
+const rows = (...blocks) => blocks.map((block_number) => ({ block_number, value: 10n ** 30n }));
+
+function openQueue(t) {
+  const file = path.join(tempDir(t), "dead-letters.jsonl");
+  const lines = [];
+  const open = () => createDeadLetterQueue(file, (message) => lines.push(message));
+  return { file, lines, open };
+}
+
+test("batches are added, rolled back and resolved", async (t) => {
+  const queue = openQueue(t).open();
+  assert.deepEqual(queue.pending(), []);
+
+  const first = await queue.add("swap_events", rows(10, 20), new Error("timeout"));
+  const second = await queue.add("sync_events", rows(30), { message: "503" });
+  assert.deepEqual(queue.pending().map(({ id, fromBlock, toBlock }) => [id, fromBlock, toBlock]), [
+    [first.id, 10, 20],
+    [second.id, 30, 30],
+  ]);
+  assert.equal(queue.pending()[0].rows[0].value, (10n ** 30n).toString());
+
+  await queue.rollback(15);
+  assert.deepEqual(queue.pending().map(({ id, toBlock, rows }) => [id, toBlock, rows.length]), [[first.id, 10, 1]]);
+
+  await queue.resolve(first.id);
+  assert.deepEqual(queue.pending(), []);
+});
+
+test("a second queue on the same file sees the other's writes", async (t) => {
+  const { open } = openQueue(t);
+  const indexer = open();
+  const replay = open();
+
+  const batch = await indexer.add("swap_events", rows(10), new Error("timeout"));
+  assert.deepEqual(replay.pending().map(({ id }) => id), [batch.id]);
+  await replay.resolve(batch.id);
+  assert.deepEqual(indexer.pending(), []);
+  // Reopening rebuilds the same state from the file
+  assert.deepEqual(open().pending(), []);
+});
+
+test("unreadable and torn lines are skipped, not fatal", async (t) => {
+  const { file, lines, open } = openQueue(t);
+  const queue = open();
+  const batch = await queue.add("swap_events", rows(10), new Error("timeout"));
+  fs.appendFileSync(file, "not json\n");
+  assert.deepEqual(queue.pending().map(({ id }) => id), [batch.id]);
+  assert.match(lines.at(-1), /Ignoring unreadable line/);
+
+  fs.appendFileSync(file, '{"op":"resolve"');
+  const reopened = open();
+  assert.match(lines.at(-1), /Ignoring incomplete last line/);
+  const next = await reopened.add("sync_events", rows(20), new Error("timeout"));
+  assert.deepEqual(open().pending().map(({ id }) => id), [batch.id, next.id]);
+});
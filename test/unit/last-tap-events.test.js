@@ -0,0 +1,115 @@
+// test/unit/last-tap-events.test.js
+// Tapped/RoundEnded processing without a network or database
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatTokens, processRoundEnded, processTapped } from "../../lib/last-tap-events.js";
+
+const GAME = "0x1111111111111111111111111111111111111111";
+const PLAYER = "0x2222222222222222222222222222222222222222";
+const WINNER = "0x3333333333333333333333333333333333333333";
+const RAW_LOG = { blockNumber: 10, logIndex: 2, transactionHash: `0x${"ab".repeat(32)}` };
+
+const decoded = (indexed, body) => ({
+  indexed: indexed.map((val) => ({ val })),
+  body: body.map((val) => ({ val })),
+});
+const tapped = ({ round = 1n, cost = 10n ** 18n, newEndTime = 1700000060n, timestamp = 1700000000n } = {}) => ({
+  decoded: decoded([round, PLAYER], [cost, newEndTime, timestamp]),
+  rawLog: RAW_LOG,
+  contractAddress: GAME,
+});
+const roundEnded = ({ round = 1n, prize = 5n * 10n ** 18n, timestamp = 1700000100n } = {}) => ({
+  decoded: decoded([round, WINNER], [prize, timestamp]),
+  rawLog: RAW_LOG,
+  contractAddress: GAME,
+});
+
+test("a tap builds its row and moves the round's state", () => {
+  const prior = { currentRound: "1", lastWinner: WINNER, deadline: 1699999990 };
+  const { row, state, logs } = processTapped(tapped(), prior);
+
+  assert.deepEqual(row, {
+    round_number: "1",
+    player: PLAYER,
+    cost: "1000000000000000000",
+    new_end_time: "1700000060",
+    timestamp: "1700000000",
+    event_timestamp: "2023-11-14T22:13:20.000Z",
+    contract_address: GAME,
+  });
+  assert.deepEqual(state, {
+    currentRound: "1",
+    lastWinner: WINNER,
+    lastTapper: PLAYER,
+    tapCost: "1000000000000000000",
+    deadline: 1700000060,
+  });
+  assert.deepEqual(logs.map(({ level }) => level), ["event"]);
+  assert.match(logs[0].message, /^TAPPED \| 0x111111\.\.\.1111 \| Blk: 10 \| Rnd: 1 \| .* \| Cost: 1\.0000 TAP/);
+  // The prior state is left alone
+  assert.equal(prior.deadline, 1699999990);
+});
+
+test("round numbers past 2^53 and at the uint256 limit stay exact", () => {
+  const large = 2n ** 53n + 1n;
+  assert.equal(processTapped(tapped({ round: large }), {}).state.currentRound, "9007199254740993");
+
+  const ended = processRoundEnded(roundEnded({ round: large }), {});
+  assert.equal(ended.row.round_number, "9007199254740993");
+  assert.equal(ended.state.currentRound, "9007199254740994");
+
+  const max = 2n ** 256n - 1n;
+  const last = processRoundEnded(roundEnded({ round: max }), {});
+  assert.equal(last.row.round_number, max.toString());
+  assert.equal(last.state.currentRound, (max + 1n).toString());
+});
+
+test("a deadline beyond the safe integer range is stored but not tracked", () => {
+  const newEndTime = 2n ** 64n;
+  const { row, state } = processTapped(tapped({ newEndTime }), {});
+  assert.equal(row.new_end_time, newEndTime.toString());
+  assert.equal(state.deadline, null);
+});
+
+test("a round end records the winner and clears the deadline", () => {
+  const { row, state, logs } = processRoundEnded(roundEnded({ round: 4n }), { currentRound: "4", deadline: 1700000060 });
+  assert.equal(row.winner, WINNER);
+  assert.equal(row.prize, "5000000000000000000");
+  assert.deepEqual(state, {
+    currentRound: "5",
+    lastWinner: WINNER,
+    lastPrize: "5000000000000000000",
+    deadline: null,
+  });
+  assert.match(logs[0].message, /Prize: 5\.0000 TAP/);
+});
+
+test("addresses are stored lower-cased whatever their casing", () => {
+  const checksummed = "0xAbCdEf0000000000000000000000000000000001";
+  const tap = processTapped({ ...tapped(), decoded: decoded([1n, checksummed], [1n, 1700000060n, 1700000000n]), contractAddress: checksummed }, {});
+  assert.equal(tap.row.player, checksummed.toLowerCase());
+  assert.equal(tap.row.contract_address, checksummed.toLowerCase());
+
+  const end = processRoundEnded({ ...roundEnded(), decoded: decoded([1n, checksummed], [1n, 1700000100n]) }, {});
+  assert.equal(end.row.winner, checksummed.toLowerCase());
+});
+
+test("events with missing fields or unrepresentable timestamps are skipped", () => {
+  const prior = { currentRound: "3" };
+  const missing = processTapped({ ...tapped(), decoded: decoded([1n, PLAYER], [10n, 1700000060n]) }, prior);
+  assert.equal(missing.row, null);
+  assert.equal(missing.state, prior);
+  assert.deepEqual(missing.logs.map(({ level }) => level), ["error"]);
+  assert.match(missing.logs[0].message, /Missing data in Tapped event: .* Log 2\. Skipping\./);
+
+  const farFuture = processRoundEnded(roundEnded({ timestamp: 2n ** 63n }), prior);
+  assert.equal(farFuture.row, null);
+  assert.equal(farFuture.state, prior);
+  assert.match(farFuture.logs[0].message, /Invalid timestamp 9223372036854775808 in RoundEnded event/);
+});
+
+test("token amounts format to four decimals", () => {
+  assert.equal(formatTokens(123456789000000000n), "0.1234 TAP");
+  assert.equal(formatTokens("0"), "0.0000 TAP");
+  assert.equal(formatTokens(null), "N/A");
+});
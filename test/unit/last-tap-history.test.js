@@ -0,0 +1,142 @@
+// test/unit/last-tap-history.test.js
+// The terminal UI's in-memory round and player index
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGameHistory } from "../../lib/last-tap-history.js";
+
+const ALICE = "0xAAAA000000000000000000000000000000000001";
+const BOB = "0xbbbb000000000000000000000000000000000002";
+const ether = (value) => (BigInt(value) * 10n ** 18n).toString();
+
+const tap = (round, player, cost, second) => ({
+  round_number: String(round),
+  player,
+  cost: ether(cost),
+  event_timestamp: new Date(second * 1000).toISOString(),
+});
+const roundEnd = (round, winner, prize, second) => ({
+  round_number: String(round),
+  winner,
+  prize: ether(prize),
+  event_timestamp: new Date(second * 1000).toISOString(),
+});
+
+function sampleHistory() {
+  const history = createGameHistory();
+  history.add("Tapped", tap(9, ALICE, 1, 10));
+  history.add("Tapped", tap(9, BOB, 2, 20));
+  history.add("Tapped", tap(9, ALICE, 3, 30));
+  history.add("RoundEnded", roundEnd(9, ALICE, 10, 100));
+  history.add("Tapped", tap(10, BOB, 1, 110));
+  history.add("RoundEnded", roundEnd(10, BOB, 4, 200));
+  history.add("Tapped", tap(11, ALICE, 1, 210));
+  return history;
+}
+
+test("rounds are listed newest first with their totals", () => {
+  const history = sampleHistory();
+  assert.equal(history.size, 7);
+  assert.deepEqual(
+    history.rounds().map(({ round, taps, players, spent, ended, winner }) => [round, taps, players, spent, ended, winner]),
+    [
+      ["11", 1, 1, ether(1), false, null],
+      ["10", 1, 1, ether(1), true, BOB],
+      ["9", 3, 2, ether(6), true, ALICE],
+    ]
+  );
+});
+
+test("round numbers sort numerically, past 2^53 too", () => {
+  const history = createGameHistory();
+  for (const round of [2n ** 60n, 10n, 9n, 2n ** 60n + 1n]) history.add("Tapped", tap(round, ALICE, 1, 1));
+  assert.deepEqual(history.rounds().map(({ round }) => round), [
+    (2n ** 60n + 1n).toString(),
+    (2n ** 60n).toString(),
+    "10",
+    "9",
+  ]);
+});
+
+test("a round opens with its taps in order and its end", () => {
+  const round = sampleHistory().round(9);
+  assert.deepEqual(round.tapRows.map((row) => [row.player, row.cost]), [
+    [ALICE, ether(1)],
+    [BOB, ether(2)],
+    [ALICE, ether(3)],
+  ]);
+  assert.equal(round.endRow.prize, ether(10));
+  assert.equal(round.lastTapper, ALICE);
+  assert.equal(round.lastTimestamp, new Date(100000).toISOString());
+  assert.equal(sampleHistory().round(12), null);
+});
+
+test("a player's history counts taps, spend, wins and the win rate", () => {
+  const alice = sampleHistory().player(ALICE.toLowerCase());
+  assert.equal(alice.address, ALICE);
+  assert.equal(alice.taps, 3);
+  assert.equal(alice.spent, ether(5));
+  assert.equal(alice.wins, 1);
+  assert.equal(alice.prizes, ether(10));
+  // Round 11 is still open, so only round 9 counts towards the rate
+  assert.equal(alice.endedRounds, 1);
+  assert.equal(alice.winRate, 1);
+  assert.deepEqual(alice.rounds.map(({ round, taps, spent, ended, won }) => [round, taps, spent, ended, won]), [
+    ["11", 1, ether(1), false, false],
+    ["9", 2, ether(4), true, true],
+  ]);
+
+  const bob = sampleHistory().player(BOB);
+  assert.equal(bob.winRate, 0.5);
+  assert.deepEqual(bob.rounds.map(({ round, won, prize }) => [round, won, prize]), [
+    ["10", true, ether(4)],
+    ["9", false, null],
+  ]);
+});
+
+test("a winner whose taps were never seen still gets the round", () => {
+  const history = createGameHistory();
+  history.add("RoundEnded", roundEnd(3, BOB, 2, 50));
+  const bob = history.player(BOB);
+  assert.deepEqual([bob.taps, bob.wins, bob.endedRounds, bob.winRate], [0, 1, 1, 1]);
+  assert.equal(history.player(ALICE), null);
+});
+
+test("clearing empties the index", () => {
+  const history = sampleHistory();
+  history.clear();
+  assert.equal(history.size, 0);
+  assert.deepEqual(history.rounds(), []);
+  assert.equal(history.player(ALICE), null);
+});
+
+test("taps per minute cover the minutes up to the latest tap, gaps included", () => {
+  const history = sampleHistory(); // taps at 10s, 20s, 30s, 110s and 210s
+  assert.deepEqual(history.tapsPerMinute(4), [
+    { minute: 0, taps: 3 },
+    { minute: 60000, taps: 1 },
+    { minute: 120000, taps: 0 },
+    { minute: 180000, taps: 1 },
+  ]);
+  assert.deepEqual(history.tapsPerMinute(1), [{ minute: 180000, taps: 1 }]);
+  assert.deepEqual(createGameHistory().tapsPerMinute(5), []);
+});
+
+test("prizes list the latest ended rounds, oldest first", () => {
+  const history = sampleHistory();
+  assert.deepEqual(history.prizes(5), [
+    { round: "9", prize: ether(10), winner: ALICE },
+    { round: "10", prize: ether(4), winner: BOB },
+  ]);
+  assert.deepEqual(history.prizes(1).map(({ round }) => round), ["10"]);
+  assert.deepEqual(history.prizes(0), []);
+});
+
+test("top players rank by taps, then by spend", () => {
+  const history = sampleHistory();
+  history.add("Tapped", tap(11, BOB, 5, 220));
+  assert.deepEqual(history.topPlayers(5), [
+    { address: BOB, taps: 3, spent: ether(8), wins: 1 },
+    { address: ALICE, taps: 3, spent: ether(5), wins: 1 },
+  ]);
+  assert.equal(history.topPlayers(1)[0].address, BOB);
+});
@@ -0,0 +1,142 @@
+// test/unit/last-tap-replay.test.js
+// Loading stored game rows and stepping, seeking and timing their replay
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { createReplay, loadGameEvents } from "../../lib/last-tap-replay.js";
+import { createStorage } from "../../lib/storage/index.js";
+import { tempDir } from "../support/indexer-process.js";
+
+const GAME = "0x1111111111111111111111111111111111111111";
+const PLAYER = "0x2222222222222222222222222222222222222222";
+const WINNER = "0x3333333333333333333333333333333333333333";
+const KEY = ["block_number", "transaction_hash", "log_index"];
+
+const tap = (block, round, timestamp, logIndex = 0) => ({
+  name: "Tapped",
+  row: {
+    block_number: block,
+    transaction_hash: `0x${block}`,
+    log_index: logIndex,
+    round_number: String(round),
+    player: PLAYER,
+    cost: "1000000000000000000",
+    new_end_time: String(timestamp + 60),
+    timestamp: String(timestamp),
+    contract_address: GAME,
+  },
+});
+const roundEnd = (block, round, timestamp) => ({
+  name: "RoundEnded",
+  row: {
+    block_number: block,
+    transaction_hash: `0x${block}`,
+    log_index: 1,
+    round_number: String(round),
+    winner: WINNER,
+    prize: "5000000000000000000",
+    timestamp: String(timestamp),
+    contract_address: GAME,
+  },
+});
+
+// Two rounds: three taps and an end, then one tap
+const EVENTS = [
+  tap(10, 1, 1000),
+  tap(11, 1, 1010),
+  tap(11, 1, 1010, 3),
+  roundEnd(20, 1, 1100),
+  tap(30, 2, 5000),
+];
+
+test("stored rows load in chain order for the one contract", async (t) => {
+  const storage = createStorage({ storage: "sqlite", sqlitePath: path.join(tempDir(t), "last-tap.sqlite") }, () => {});
+  const rows = (events) => events.map(({ row }) => row);
+  await storage.upsert("tapped_events_2", rows([EVENTS[4], EVENTS[0], EVENTS[2], EVENTS[1]]), { onConflict: KEY });
+  await storage.upsert("round_ended_events_2", rows([EVENTS[3]]), { onConflict: KEY });
+  await storage.upsert("tapped_events_2", [{ ...tap(12, 1, 1020).row, contract_address: WINNER }], { onConflict: KEY });
+
+  const { data, error } = await loadGameEvents(storage, GAME);
+  assert.equal(error, null);
+  assert.deepEqual(data.map(({ name, row }) => [name, row.block_number, row.log_index]), [
+    ["Tapped", 10, 0],
+    ["Tapped", 11, 0],
+    ["Tapped", 11, 3],
+    ["RoundEnded", 20, 1],
+    ["Tapped", 30, 0],
+  ]);
+});
+
+test("a contract with no stored rows loads nothing", async (t) => {
+  const storage = createStorage({ storage: "sqlite", sqlitePath: path.join(tempDir(t), "empty.sqlite") }, () => {});
+  assert.deepEqual(await loadGameEvents(storage, GAME), { data: [], error: null });
+});
+
+test("stepping folds the game state and counts", () => {
+  const replay = createReplay(EVENTS);
+  for (let i = 0; i < 4; i++) replay.next();
+  assert.deepEqual(replay.game, {
+    currentRound: "2",
+    lastTapper: PLAYER,
+    tapCost: "1000000000000000000",
+    lastWinner: WINNER,
+    lastPrize: "5000000000000000000",
+    deadline: null,
+  });
+  assert.deepEqual(replay.counts, { Tapped: 3, RoundEnded: 1 });
+  assert.equal(replay.current, EVENTS[3]);
+
+  assert.equal(replay.next(), EVENTS[4]);
+  assert.equal(replay.game.deadline, 5060);
+  assert.equal(replay.done, true);
+  assert.equal(replay.next(), null);
+});
+
+test("delays follow the on-chain gaps, scaled by speed and capped", () => {
+  const replay = createReplay(EVENTS, { speed: 2, maxGapMs: 30000 });
+  assert.equal(replay.delay(), 0); // nothing to wait for before the first event
+  replay.next();
+  assert.equal(replay.delay(), 5000); // 10s at 2x
+  replay.next();
+  assert.equal(replay.delay(), 0); // same block
+  replay.next();
+  replay.setSpeed(0.5);
+  assert.equal(replay.delay(), 30000); // 90s at 0.5x, capped
+  assert.equal(replay.setSpeed(1e9), 4096);
+  assert.equal(replay.setSpeed(0), 1 / 16);
+});
+
+test("seeking back replays the state from the start", () => {
+  const replay = createReplay(EVENTS);
+  replay.seek(5);
+  assert.equal(replay.game.currentRound, "2");
+
+  replay.seek(2);
+  assert.equal(replay.position, 2);
+  assert.deepEqual(replay.counts, { Tapped: 2, RoundEnded: 0 });
+  assert.equal(replay.game.currentRound, "1");
+  assert.equal(replay.game.lastWinner, undefined);
+
+  replay.seek(-3);
+  assert.equal(replay.position, 0);
+  replay.seek(99);
+  assert.equal(replay.done, true);
+});
+
+test("round seeks stop before each round's first event", () => {
+  const replay = createReplay(EVENTS);
+  replay.seekRound(1);
+  assert.equal(replay.position, 4); // round 2 opens with the fifth event
+  assert.equal(replay.game.lastWinner, WINNER);
+  replay.seekRound(1);
+  assert.equal(replay.done, true);
+
+  replay.seekRound(-1);
+  assert.equal(replay.position, 4);
+  replay.seekRound(-1);
+  assert.equal(replay.position, 0);
+
+  replay.seek(2); // mid round 1
+  replay.seekRound(-1);
+  assert.equal(replay.position, 0);
+});
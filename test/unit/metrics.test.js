@@ -0,0 +1,105 @@
+// test/unit/metrics.test.js
+// The Prometheus registry behind the status server's /metrics route
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetricsRegistry } from "../../lib/metrics.js";
+
+// The rendered sample lines, without the HELP and TYPE comments
+const samples = (registry) => registry.render().split("\n").filter((line) => line && !line.startsWith("#"));
+
+test("counters add up per label set", () => {
+  const registry = createMetricsRegistry("indexer_");
+  const requests = registry.counter("requests_total", "Hypersync requests", { labelNames: ["endpoint", "status"] });
+  requests.inc({ endpoint: "query", status: "ok" });
+  requests.inc({ endpoint: "query", status: "ok" }, 2);
+  requests.inc({ endpoint: "height", status: "error" });
+
+  assert.equal(registry.render(), [
+    "# HELP indexer_requests_total Hypersync requests",
+    "# TYPE indexer_requests_total counter",
+    'indexer_requests_total{endpoint="query",status="ok"} 3',
+    'indexer_requests_total{endpoint="height",status="error"} 1',
+    "",
+  ].join("\n"));
+  assert.throws(() => requests.inc({ route: "/health" }), /Unknown labels for indexer_requests_total: route/);
+});
+
+test("gauges keep the last value set, and missing labels render empty", () => {
+  const registry = createMetricsRegistry();
+  const lag = registry.gauge("lag_blocks", "Blocks behind the tip", { labelNames: ["contract"] });
+  const height = registry.gauge("chain_height", "Chain height");
+  lag.set({ contract: "0xabc" }, 12);
+  lag.set({ contract: "0xabc" }, 3);
+  lag.set({}, Infinity);
+  height.set({}, 120);
+
+  assert.deepEqual(samples(registry), [
+    'lag_blocks{contract="0xabc"} 3',
+    'lag_blocks{contract=""} +Inf',
+    "chain_height 120",
+  ]);
+});
+
+test("histograms count observations into cumulative buckets with _sum and _count", () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram("latency_seconds", "Query latency", { labelNames: ["endpoint"], buckets: [1, 0.1, 0.5] });
+  for (const value of [0.05, 0.3, 0.3, 2]) latency.observe({ endpoint: "query" }, value);
+
+  assert.equal(registry.render().split("\n")[1], "# TYPE latency_seconds histogram");
+  assert.deepEqual(samples(registry), [
+    'latency_seconds_bucket{endpoint="query",le="0.1"} 1',
+    'latency_seconds_bucket{endpoint="query",le="0.5"} 3',
+    'latency_seconds_bucket{endpoint="query",le="1"} 3',
+    'latency_seconds_bucket{endpoint="query",le="+Inf"} 4',
+    'latency_seconds_sum{endpoint="query"} 2.65',
+    'latency_seconds_count{endpoint="query"} 4',
+  ]);
+});
+
+test("histogram timers record a duration even when the call throws", async () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram("write_seconds", "Write latency", { buckets: [60] });
+  assert.equal(await latency.time({}, async () => "written"), "written");
+  await assert.rejects(latency.time({}, async () => { throw new Error("503"); }), /503/);
+
+  const lines = samples(registry);
+  assert.ok(lines.includes('write_seconds_bucket{le="60"} 2'));
+  assert.ok(lines.includes("write_seconds_count 2"));
+});
+
+test("label values and help text are escaped", () => {
+  const registry = createMetricsRegistry();
+  const errors = registry.counter("errors_total", 'Errors by message\nwith a C:\\ path', { labelNames: ["message"] });
+  errors.inc({ message: 'said "no"\nat C:\\tmp' });
+
+  assert.equal(registry.render(), [
+    "# HELP errors_total Errors by message\\nwith a C:\\\\ path",
+    "# TYPE errors_total counter",
+    'errors_total{message="said \\"no\\"\\nat C:\\\\tmp"} 1',
+    "",
+  ].join("\n"));
+});
+
+test("collect callbacks are read on every render", () => {
+  const registry = createMetricsRegistry();
+  let pending = 2;
+  const contracts = { "0xabc": 100n, "0xdef": 95n };
+  registry.gauge("dead_letters_pending", "Pending dead-letter batches", { collect: () => pending });
+  registry.gauge("checkpoint_block", "Next block to index", {
+    labelNames: ["contract"],
+    collect: () => Object.entries(contracts).map(([contract, block]) => [{ contract }, block]),
+  });
+
+  assert.deepEqual(samples(registry), [
+    "dead_letters_pending 2",
+    'checkpoint_block{contract="0xabc"} 100',
+    'checkpoint_block{contract="0xdef"} 95',
+  ]);
+  pending = 0;
+  contracts["0xabc"] = 120n;
+  assert.deepEqual(samples(registry), [
+    "dead_letters_pending 0",
+    'checkpoint_block{contract="0xabc"} 120',
+    'checkpoint_block{contract="0xdef"} 95',
+  ]);
+});
@@ -0,0 +1,191 @@
+// test/unit/notifications.test.js
+// Rule matching and webhook delivery, against a stubbed fetch
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createNotifier } from "../../lib/notifications.js";
+import { sleep, tempDir, waitFor } from "../support/indexer-process.js";
+
+const RULE_TYPES = {
+  // Taps costing at least `minCost`
+  big_tap: ({ minCost = 0 }) => ({
+    event: "Tapped",
+    match: ({ row }) => (Number(row.cost) >= minCost ? { message: `Tap of ${row.cost}`, cost: Number(row.cost) } : null),
+  }),
+  round_ended: () => ({
+    event: "RoundEnded",
+    match: ({ row }) => ({ message: `Round ${row.round_number} won by ${row.winner}` }),
+  }),
+};
+
+const tapped = (cost, { block = 10, secondsAgo = 0 } = {}) => ({
+  event: "Tapped",
+  contract: "0xgame",
+  row: {
+    cost: String(cost),
+    block_number: block,
+    log_index: 0,
+    transaction_hash: "0xtx",
+    event_timestamp: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+  },
+});
+
+// Replaces fetch for the test. Responses are taken in order, then 200s.
+function stubFetch(t, responses = []) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, at: Date.now(), headers: init.headers, body: JSON.parse(init.body) });
+    const { status = 200, headers = {} } = responses.shift() ?? {};
+    return new Response(status === 200 ? "ok" : "failed", { status, headers });
+  };
+  t.after(() => { globalThis.fetch = original; });
+  return calls;
+}
+
+function notifierFor(t, settings) {
+  const file = path.join(tempDir(t), "notifications.json");
+  fs.writeFileSync(file, JSON.stringify(settings));
+  const lines = [];
+  const notifier = createNotifier(file, RULE_TYPES, (message, level) => lines.push({ message, level }));
+  return { notifier, lines };
+}
+
+const webhook = (options) => ({ name: "hook", url: "https://hooks.test/notify", retryBaseDelay: 10, ...options });
+
+test("only matching events reach the rule's webhooks", async (t) => {
+  const calls = stubFetch(t);
+  const { notifier } = notifierFor(t, {
+    webhooks: [webhook(), webhook({ name: "other", url: "https://hooks.test/other" })],
+    rules: [{ type: "big_tap", minCost: 5, webhooks: ["hook"] }, { name: "ends", type: "round_ended" }],
+  });
+
+  notifier.handleEvents([
+    tapped(1),
+    tapped(7, { block: 11 }),
+    { event: "RoundEnded", contract: "0xgame", row: { round_number: "3", winner: "0xwin", block_number: 12 } },
+  ]);
+  await waitFor(() => calls.length === 3, { message: "three deliveries" });
+
+  const byUrl = (url) => calls.filter((call) => call.url === url).map((call) => call.body);
+  assert.deepEqual(byUrl("https://hooks.test/notify").map(({ rule, message }) => [rule, message]), [
+    ["big_tap", "Tap of 7"],
+    ["ends", "Round 3 won by 0xwin"],
+  ]);
+  assert.deepEqual(byUrl("https://hooks.test/other").map(({ rule }) => rule), ["ends"]);
+  const { timestamp, ...notification } = byUrl("https://hooks.test/notify")[0];
+  assert.deepEqual(notification, {
+    rule: "big_tap",
+    type: "big_tap",
+    event: "Tapped",
+    contract: "0xgame",
+    blockNumber: 11,
+    transactionHash: "0xtx",
+    logIndex: 0,
+    message: "Tap of 7",
+    cost: 7,
+  });
+  assert.ok(Date.parse(timestamp) > 0);
+});
+
+test("templates fill placeholders, keeping a lone placeholder's type", async (t) => {
+  const calls = stubFetch(t);
+  const { notifier } = notifierFor(t, {
+    webhooks: [webhook({
+      headers: { Authorization: "Bearer secret" },
+      template: {
+        content: "{{ message }} in block {{blockNumber}}{{missing.path}}",
+        cost: "{{cost}}",
+        embeds: [{ title: "{{rule}}", footer: "{{nothing}}" }],
+        flag: true,
+      },
+    })],
+    rules: [{ type: "big_tap" }],
+  });
+
+  notifier.handleEvents([tapped(7)]);
+  await waitFor(() => calls.length === 1, { message: "a delivery" });
+
+  assert.deepEqual(calls[0].body, {
+    content: "Tap of 7 in block 10",
+    cost: 7,
+    embeds: [{ title: "big_tap", footer: null }],
+    flag: true,
+  });
+  assert.equal(calls[0].headers.Authorization, "Bearer secret");
+  assert.equal(calls[0].headers["Content-Type"], "application/json");
+});
+
+test("deliveries wait for the sliding rate-limit window", async (t) => {
+  const calls = stubFetch(t);
+  const { notifier } = notifierFor(t, {
+    webhooks: [webhook({ rateLimit: { count: 2, perSeconds: 0.3 } })],
+    rules: [{ type: "big_tap" }],
+  });
+
+  notifier.handleEvents([1, 2, 3, 4, 5].map((cost) => tapped(cost)));
+  await waitFor(() => calls.length === 5, { message: "five deliveries" });
+
+  assert.deepEqual(calls.map(({ body }) => body.cost), [1, 2, 3, 4, 5]);
+  // No three deliveries fit in one window
+  for (let index = 2; index < calls.length; index++) {
+    assert.ok(calls[index].at - calls[index - 2].at >= 300, `delivery ${index + 1} came too early`);
+  }
+});
+
+test("429 and 5xx responses are retried after Retry-After, 4xx ones are not", async (t) => {
+  const calls = stubFetch(t, [{ status: 429, headers: { "Retry-After": "0.4" } }, { status: 503 }, {}, { status: 400 }]);
+  const { notifier, lines } = notifierFor(t, {
+    webhooks: [webhook({ retryBaseDelay: 50 })],
+    rules: [{ type: "big_tap" }],
+  });
+
+  notifier.handleEvents([tapped(1), tapped(2)]);
+  await waitFor(() => calls.length === 4, { message: "four attempts" });
+  await sleep(100);
+
+  assert.deepEqual(calls.map(({ body }) => body.cost), [1, 1, 1, 2]);
+  assert.ok(calls[1].at - calls[0].at >= 390, "the retry waited for Retry-After");
+  assert.ok(calls[2].at - calls[1].at >= 45, "the second retry backed off");
+  assert.equal(calls.length, 4);
+  assert.ok(lines.some(({ message }) => /HTTP 429 \(Attempt 1\/5\)/.test(message)));
+  assert.ok(lines.some(({ message }) => /rejected notification big_tap: HTTP 400/.test(message)));
+});
+
+test("a notification is dropped after maxRetries attempts", async (t) => {
+  const calls = stubFetch(t, [{ status: 500 }, { status: 500 }, { status: 500 }]);
+  const { notifier, lines } = notifierFor(t, {
+    webhooks: [webhook({ maxRetries: 2 })],
+    rules: [{ type: "big_tap" }],
+  });
+
+  notifier.handleEvents([tapped(1)]);
+  await waitFor(() => lines.some(({ message }) => /Dropping notification big_tap for hook after 2 attempts/.test(message)), {
+    message: "the notification to be dropped",
+  });
+  assert.equal(calls.length, 2);
+});
+
+test("events older than maxEventAgeSeconds are not sent", async (t) => {
+  const calls = stubFetch(t);
+  const { notifier, lines } = notifierFor(t, {
+    maxEventAgeSeconds: 60,
+    webhooks: [webhook()],
+    rules: [{ type: "big_tap" }],
+  });
+
+  notifier.handleEvents([tapped(1, { secondsAgo: 120 }), tapped(2, { secondsAgo: 30 })]);
+  await waitFor(() => calls.length === 1, { message: "a delivery" });
+  await sleep(100);
+
+  assert.deepEqual(calls.map(({ body }) => body.cost), [2]);
+  assert.deepEqual(lines.filter(({ message }) => message.startsWith("NOTIFY")).map(({ message }) => message), ["NOTIFY | big_tap | Tap of 2"]);
+});
+
+test("invalid settings are rejected up front", (t) => {
+  assert.equal(createNotifier(undefined, RULE_TYPES, () => {}), null);
+  assert.throws(() => notifierFor(t, { webhooks: [webhook()], rules: [{ type: "whale" }] }), /unknown type "whale". Available types: big_tap, round_ended/);
+  assert.throws(() => notifierFor(t, { webhooks: [webhook()], rules: [{ type: "big_tap", webhooks: ["slack"] }] }), /unknown webhook\(s\) slack/);
+  assert.throws(() => notifierFor(t, { webhooks: [webhook(), webhook()] }), /duplicate webhook hook/);
+});
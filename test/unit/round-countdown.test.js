@@ -0,0 +1,72 @@
+// test/unit/round-countdown.test.js
+// Round countdown alerts, checked against a fixed clock
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { armCountdown, dueCountdowns } from "../../lib/round-countdown.js";
+
+const OPTIONS = { thresholds: [60, 30, 10], expiredGrace: 30 };
+const NOW = 1700000000;
+
+// The alerts due at each check, as [kind, secondsRemaining, threshold]
+const checks = (countdown, deadline, times) =>
+  times.map((now) => dueCountdowns(countdown, deadline, now, OPTIONS).map(({ kind, secondsRemaining, threshold }) => [kind, secondsRemaining, threshold]));
+
+test("each threshold fires once, and only the closest when several pass together", () => {
+  const deadline = NOW + 100;
+  const countdown = armCountdown("1", deadline, NOW, OPTIONS);
+  assert.deepEqual([...countdown.thresholds], [60, 30, 10]);
+
+  assert.deepEqual(checks(countdown, deadline, [NOW + 30, NOW + 40, NOW + 41, NOW + 95, NOW + 96, NOW + 100]), [
+    [],
+    [["threshold", 60, 60]],
+    [],
+    // 30 and 10 both passed since the last check
+    [["threshold", 5, 10]],
+    [],
+    [],
+  ]);
+});
+
+test("a round past its deadline is reported as expired once", () => {
+  const deadline = NOW + 15;
+  const countdown = armCountdown("1", deadline, NOW, OPTIONS);
+
+  assert.deepEqual(checks(countdown, deadline, [NOW + 11, NOW + 44, NOW + 45, NOW + 60]), [
+    [["threshold", 4, 10]],
+    [],
+    [["expired", -30, null]],
+    [],
+  ]);
+});
+
+test("a new round re-arms every threshold", () => {
+  const firstDeadline = NOW + 100;
+  const first = armCountdown("1", firstDeadline, NOW, OPTIONS);
+  assert.deepEqual(checks(first, firstDeadline, [NOW + 40, NOW + 75, NOW + 95]), [
+    [["threshold", 60, 60]],
+    [["threshold", 25, 30]],
+    [["threshold", 5, 10]],
+  ]);
+
+  // The round ended and the next one opened with a tap
+  const secondDeadline = NOW + 200;
+  const second = armCountdown("2", secondDeadline, NOW + 100, OPTIONS);
+  assert.equal(second.round, "2");
+  assert.deepEqual(checks(second, secondDeadline, [NOW + 140, NOW + 141, NOW + 190]), [
+    [["threshold", 60, 60]],
+    [],
+    [["threshold", 10, 10]],
+  ]);
+});
+
+test("a deadline already behind the thresholds arms only what is left", () => {
+  assert.deepEqual([...armCountdown("1", NOW + 45, NOW, OPTIONS).thresholds], [30, 10]);
+
+  // A tap replayed from history is long past its deadline
+  const replayed = armCountdown("1", NOW - 3600, NOW, OPTIONS);
+  assert.deepEqual(replayed, { round: "1", thresholds: new Set(), expiryArmed: false });
+  assert.deepEqual(checks(replayed, NOW - 3600, [NOW]), [[]]);
+
+  assert.equal(armCountdown("1", null, NOW, OPTIONS), null);
+  assert.deepEqual(dueCountdowns(null, null, NOW, OPTIONS), []);
+});
@@ -0,0 +1,115 @@
+// test/unit/uniswap-v2-events.test.js
+// Swap/Sync/Mint/Burn processing without a network or database
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INITIAL_MARKET_STATE, createPairEvents, swapDirection } from "../../lib/uniswap-v2-events.js";
+
+const TRADER = "0x6666666666666666666666666666666666666666";
+const RAW_LOG = { blockNumber: 20, logIndex: 3, transactionHash: `0x${"cd".repeat(32)}` };
+const BLOCK_TIMESTAMP = 1700000000;
+const ether = (value) => BigInt(value) * 10n ** 18n;
+
+const decoded = (indexed, body) => ({
+  indexed: indexed.map((val) => ({ val })),
+  body: body.map((val) => ({ val })),
+});
+// Amounts are [WETH, $TAP] pairs; the pair orders them by token0
+const swap = (pair, { wethIn = 0n, tapIn = 0n, wethOut = 0n, tapOut = 0n }) => {
+  const [in0, in1] = pair.wethIsToken0 ? [wethIn, tapIn] : [tapIn, wethIn];
+  const [out0, out1] = pair.wethIsToken0 ? [wethOut, tapOut] : [tapOut, wethOut];
+  return { decoded: decoded([TRADER, TRADER], [in0, in1, out0, out1]), rawLog: RAW_LOG, blockTimestamp: BLOCK_TIMESTAMP };
+};
+
+for (const wethIsToken0 of [true, false]) {
+  const pair = { ...createPairEvents({ wethIsToken0 }), wethIsToken0 };
+
+  test(`swaps are labelled and priced by direction (WETH is token${wethIsToken0 ? 0 : 1})`, () => {
+    const sold = pair.processSwap(swap(pair, { tapIn: ether(1000), wethOut: ether(1) }), INITIAL_MARKET_STATE);
+    assert.equal(sold.row.amount_tap_in, ether(1000).toString());
+    assert.equal(sold.row.amount_weth_out, ether(1).toString());
+    assert.match(sold.row.price_tap_in_weth, /^0\.0010*$/);
+    assert.match(sold.row.price_weth_in_tap, /^1000\.0*$/);
+    assert.equal(sold.state.latestSwap.type, "SELL $TAP");
+    assert.match(sold.state.latestPrice, /^0\.0010*$/);
+
+    const bought = pair.processSwap(swap(pair, { wethIn: ether(2), tapOut: ether(500) }), sold.state);
+    assert.match(bought.row.price_tap_in_weth, /^0\.0040*$/);
+    assert.equal(bought.state.latestSwap.type, "BUY $TAP");
+    assert.match(bought.state.latestPrice, /^0\.0040*$/);
+  });
+}
+
+test("the pool rate strips the 0.3% fee from the input side", () => {
+  const pair = { ...createPairEvents({ wethIsToken0: true }), wethIsToken0: true };
+  const { row } = pair.processSwap(swap(pair, { tapIn: ether(1000), wethOut: ether(997) }), INITIAL_MARKET_STATE);
+  assert.match(row.price_tap_in_weth, /^0\.9970*$/);
+  assert.match(row.pool_price_tap_in_weth, /^1\.0*$/);
+  assert.match(row.pool_price_weth_in_tap, /^1\.0*$/);
+});
+
+test("zero-amount swaps are stored unpriced and keep the last price", () => {
+  const pair = { ...createPairEvents({ wethIsToken0: true }), wethIsToken0: true };
+  const prior = { ...INITIAL_MARKET_STATE, latestPrice: "0.001" };
+
+  for (const amounts of [{}, { wethIn: ether(1) }, { tapIn: ether(5), tapOut: ether(5) }]) {
+    const { row, state, logs } = pair.processSwap(swap(pair, amounts), prior);
+    assert.equal(row.price_tap_in_weth, null);
+    assert.equal(row.price_weth_in_tap, null);
+    assert.equal(row.pool_price_tap_in_weth, null);
+    assert.equal(state.latestPrice, "0.001");
+    assert.equal(state.latestSwap.type, "SWAP");
+    assert.match(logs[0].message, /Price: N\/A/);
+  }
+});
+
+test("swap direction needs an amount in and the other token out", () => {
+  assert.equal(swapDirection({ amountWethIn: 0n, amountTapIn: 1n, amountWethOut: 1n, amountTapOut: 0n }), "sell");
+  assert.equal(swapDirection({ amountWethIn: 1n, amountTapIn: 0n, amountWethOut: 0n, amountTapOut: 1n }), "buy");
+  assert.equal(swapDirection({ amountWethIn: 0n, amountTapIn: 0n, amountWethOut: 0n, amountTapOut: 0n }), null);
+  assert.equal(swapDirection({ amountWethIn: 1n, amountTapIn: 0n, amountWethOut: 1n, amountTapOut: 0n }), null);
+});
+
+test("events without a usable block timestamp are skipped", () => {
+  const pair = { ...createPairEvents({ wethIsToken0: true }), wethIsToken0: true };
+  const prior = { ...INITIAL_MARKET_STATE, latestPrice: "0.001" };
+  const reserves = { decoded: decoded([], [ether(10), ether(10000)]), rawLog: RAW_LOG };
+  const liquidity = { decoded: decoded([TRADER, TRADER], [ether(1), ether(1000)]), rawLog: RAW_LOG };
+
+  const cases = [
+    ["Swap", pair.processSwap, { ...swap(pair, { tapIn: ether(1), wethOut: 1n }), blockTimestamp: undefined }],
+    ["Sync", pair.processSync, reserves],
+    ["Mint", pair.processMint, { ...liquidity, blockTimestamp: null }],
+    ["Burn", pair.processBurn, liquidity],
+  ];
+  for (const [name, processEvent, event] of cases) {
+    const { row, state, logs } = processEvent(event, prior);
+    assert.equal(row, null, name);
+    assert.equal(state, prior, name);
+    assert.deepEqual(logs.map(({ level }) => level), ["error"]);
+    assert.match(logs[0].message, new RegExp(`Could not find block data for ${name} in block 20`));
+  }
+
+  const outOfRange = pair.processSync({ ...reserves, blockTimestamp: 2n ** 60n }, prior);
+  assert.equal(outOfRange.row, null);
+  assert.match(outOfRange.logs[0].message, /Invalid block timestamp/);
+});
+
+test("syncs, mints and burns map token0/token1 onto WETH and $TAP", () => {
+  const pair = createPairEvents({ wethIsToken0: false, wethDecimals: 18, tapDecimals: 6 });
+  const blockTimestamp = BigInt(BLOCK_TIMESTAMP);
+
+  const sync = pair.processSync({ decoded: decoded([], [10000n * 10n ** 6n, ether(10)]), rawLog: RAW_LOG, blockTimestamp }, INITIAL_MARKET_STATE);
+  assert.equal(sync.row.reserve_weth, ether(10).toString());
+  assert.equal(sync.row.reserve_tap, (10000n * 10n ** 6n).toString());
+  assert.match(sync.row.price_tap_in_weth, /^0\.0010*$/);
+  assert.equal(sync.row.event_timestamp, "2023-11-14T22:13:20.000Z");
+  assert.deepEqual(sync.state.latestReserves, { block: 20, weth: "10.000000", tap: "10000.000000", price: "0.00100000" });
+
+  const mint = pair.processMint({ decoded: decoded([TRADER], [5n * 10n ** 6n, ether(2)]), rawLog: RAW_LOG, blockTimestamp }, sync.state);
+  assert.deepEqual([mint.row.amount_weth, mint.row.amount_tap], [ether(2).toString(), "5000000"]);
+  assert.equal(mint.state, sync.state);
+
+  const burn = pair.processBurn({ decoded: decoded([TRADER, TRADER], [5n * 10n ** 6n, ether(2)]), rawLog: RAW_LOG, blockTimestamp }, sync.state);
+  assert.equal(burn.row.recipient, TRADER);
+  assert.match(burn.logs[0].message, /^BURN \| Blk: 20 \| -2\.000000 WETH -5\.000000 \$TAP/);
+});
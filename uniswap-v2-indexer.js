@@ -1,236 +1,71 @@
 // uniswap-v2-indexer.js
-import { keccak256, toHex } from "viem";
+import { BlockField, JoinMode, TransactionField } from "@envio-dev/hypersync-client";
 import {
-  HypersyncClient,
-  LogField,
-  JoinMode,
-  Decoder,
-  BlockField,
-  TransactionField,
-} from "@envio-dev/hypersync-client";
-import http from "http";
-import { createClient } from "@supabase/supabase-js";
-import pg from "pg";
-const { Pool } = pg;
+  badRequest,
+  createIndexer,
+  createLogger,
+  isAddress,
+  runCli,
+} from "./lib/indexer-core.js";
+import { INDEXER_OPTIONS, loadConfig, withDefaults } from "./lib/config.js";
+import { toDecimalString } from "./lib/price-math.js";
+import { INITIAL_MARKET_STATE, createPairEvents } from "./lib/uniswap-v2-events.js";
+import { parseUnits } from "viem";
 import "dotenv/config";
 
 // --- Configuration ---
-const UNISWAP_V2_PAIR_ADDRESS = process.env.UNISWAP_V2_PAIR_ADDRESS || "0x9f6A232C454743a31512C01FcD4A9873BDb3df71";
-const TAP_TOKEN_ADDRESS = process.env.TAP_TOKEN_ADDRESS || "0xAb0d0B32dadAbcADD74aF2E87593c920C3070a81";
-const WETH_TOKEN_ADDRESS = "0x4eB2Bd7beE16F38B1F4a0A5796Fffd028b6040e9";
-
-const CONFIG = {
-  uniswapV2PairAddress: UNISWAP_V2_PAIR_ADDRESS,
-  tapTokenAddress: TAP_TOKEN_ADDRESS,
-  wethTokenAddress: WETH_TOKEN_ADDRESS,
-  startBlock: 3507082,
-  network: "megaethTestnet",
-  logLevel: "event-only", // 'verbose', 'normal', 'event-only'
-  supabaseUrl: process.env.SUPABASE_URL,
-  supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
-  supabaseDbConnectionString: process.env.SUPABASE_DB_CONNECTION_STRING,
-  batchSize: 200,
-  maxRetries: 20,
-  retryBaseDelay: 500,
+// Options are layered defaults < config file < environment < CLI flags; see
+// lib/config.js and `node uniswap-v2-indexer.js --help`.
+const address = (env, fallback, description) => ({
+  env,
+  default: fallback,
+  description,
+  validate: (value) => (isAddress(value) ? null : "must be a 0x-prefixed 20-byte address"),
+});
+const decimals = (env, description) => ({ type: "integer", env, min: 0, max: 77, default: 18, description });
+
+const CONFIG_SCHEMA = {
+  uniswapV2PairAddress: address("UNISWAP_V2_PAIR_ADDRESS", "0x9f6A232C454743a31512C01FcD4A9873BDb3df71", "$TAP/WETH pair to index"),
+  tapTokenAddress: address("TAP_TOKEN_ADDRESS", "0xAb0d0B32dadAbcADD74aF2E87593c920C3070a81", "$TAP token"),
+  wethTokenAddress: address("WETH_TOKEN_ADDRESS", "0x4eB2Bd7beE16F38B1F4a0A5796Fffd028b6040e9", "WETH token"),
+  tapDecimals: decimals("TAP_DECIMALS", "$TAP token decimals"),
+  wethDecimals: decimals("WETH_DECIMALS", "WETH token decimals"),
+  ...withDefaults(INDEXER_OPTIONS, {
+    startBlock: 3507082,
+    sqlitePath: "uniswap-v2.sqlite",
+    jsonlPath: "uniswap-v2.jsonl",
+    batchSize: 200,
+    deadLetterPath: "uniswap-v2-dead-letters.jsonl",
+    pollingInterval: 2000,
+  }),
 };
 
+const { config: CONFIG, args: COMMAND_ARGS } = loadConfig(CONFIG_SCHEMA, {
+  usage: "Usage: node uniswap-v2-indexer.js [command] [options]\nCommands: migrate, backfill, replay-dead-letters",
+});
+
 // Determine which token is token0 and which is token1
 const [token0, token1] = [CONFIG.wethTokenAddress, CONFIG.tapTokenAddress].sort((a, b) => a.localeCompare(b));
 const IS_WETH_TOKEN0 = token0 === CONFIG.wethTokenAddress;
 
-// --- Enhanced Network URL mapping with fallback RPCs ---
-const NETWORK_URLS = {
-  megaethTestnet: [
-    "https://megaeth-testnet.hypersync.xyz",
-    "https://6342.rpc.hypersync.xyz"
-  ],
-};
-
-// Track which RPC we're currently using
-let currentRpcIndex = 0;
-let currentRpcUrl = null;
-
 // --- Helper Functions ---
-const log = (message, level = "normal") => {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} [${level.toUpperCase()}] ${message}`;
-
-  if (level === "error") {
-    console.error(logMessage);
-    return;
-  }
-
-  if (
-    CONFIG.logLevel === "verbose" ||
-    level === "event" ||
-    level === "startup" ||
-    level === "supabase" ||
-    level === "db_setup"
-  ) {
-    console.log(logMessage);
-  } else if (CONFIG.logLevel === "normal" && level !== "verbose") {
-    console.log(logMessage);
-  } else if (
-    CONFIG.logLevel === "event-only" &&
-    (level === "event" || level === "startup" || level === "db_setup")
-  ) {
-    console.log(logMessage);
-  }
-};
-
-const formatAddress = (address) => {
-  if (!address || address.length < 12) return address || "N/A";
-  return `${address.substring(0, 8)}...${address.substring(
-    address.length - 4
-  )}`;
-};
-
-const formatUnits = (value, decimals = 18) => {
-    try {
-        if (value === null || value === undefined) return "N/A";
-        const valueBigInt = BigInt(value);
-        const divisor = 10n ** BigInt(decimals);
-        const scaled = valueBigInt * 1000000n / divisor;
-        return (Number(scaled) / 1000000).toFixed(6);
-    } catch(e) {
-        log(`Error formatting units: ${value} - ${e.message}`, "error");
-        return value?.toString() || "N/A";
-    }
-}
-
-// --- RPC Management Functions ---
-function getCurrentRpcUrl(network) {
-  const urls = NETWORK_URLS[network];
-  if (!urls || urls.length === 0) {
-    throw new Error(`No RPC URLs configured for network: ${network}`);
-  }
-
-  currentRpcIndex = currentRpcIndex % urls.length;
-  currentRpcUrl = urls[currentRpcIndex];
-  return currentRpcUrl;
-}
-
-function switchToNextRpc(network) {
-  const urls = NETWORK_URLS[network];
-  if (!urls || urls.length <= 1) {
-    return false;
-  }
-
-  const previousUrl = currentRpcUrl;
-  currentRpcIndex = (currentRpcIndex + 1) % urls.length;
-  currentRpcUrl = urls[currentRpcIndex];
-
-  log(`🔄 Switching RPC from ${previousUrl} to ${currentRpcUrl}`, 'startup');
-  return true;
-}
-
-// --- Validate Configuration ---
-if (!CONFIG.supabaseUrl || !CONFIG.supabaseServiceKey) {
-  log("Error: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required.", "error");
-  process.exit(1);
-}
-if (!CONFIG.supabaseDbConnectionString) {
-  log("Error: SUPABASE_DB_CONNECTION_STRING environment variable is required for initial setup.", "error");
-  process.exit(1);
-}
+const log = createLogger(CONFIG);
 
 log(`Monitoring Uniswap V2 Pair: ${CONFIG.uniswapV2PairAddress}`, "startup");
 log(`$TAP Token: ${CONFIG.tapTokenAddress}`, "startup");
 log(`WETH Token: ${CONFIG.wethTokenAddress}`, "startup");
+log(`Decimals: $TAP=${CONFIG.tapDecimals}, WETH=${CONFIG.wethDecimals}`, "startup");
 log(`Token Order: token0=${IS_WETH_TOKEN0 ? 'WETH' : '$TAP'}, token1=${IS_WETH_TOKEN0 ? '$TAP' : 'WETH'}`, 'startup');
-log(`🌐 Available RPCs for ${CONFIG.network}: ${NETWORK_URLS[CONFIG.network].join(', ')}`, 'startup');
-
-// --- Enhanced Hypersync client creation with RPC fallback ---
-async function createHypersyncClientWithFallback(maxRetries = 3) {
-  const urls = NETWORK_URLS[CONFIG.network];
-  if (!urls || urls.length === 0) {
-    throw new Error(`No RPC URLs configured for network: ${CONFIG.network}`);
-  }
-
-  let totalAttempts = 0;
-  const maxTotalAttempts = maxRetries * urls.length;
 
-  while (totalAttempts < maxTotalAttempts) {
-    const rpcUrl = getCurrentRpcUrl(CONFIG.network);
-    totalAttempts++;
+// --- Database Migrations ---
+// Never edit a migration that has shipped; append a new one instead.
+const MIGRATION_SCOPE = "uniswap_v2";
 
-    try {
-      log(`🔌 Attempting to connect to ${rpcUrl} (attempt ${totalAttempts}/${maxTotalAttempts})`, 'startup');
-
-      const client = HypersyncClient.new({
-        url: rpcUrl,
-        bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
-        timeout: 30000,
-      });
-
-      const height = await client.getHeight();
-      log(`✅ Successfully connected to ${rpcUrl}. Chain height: ${height}`, 'startup');
-      return { client, rpcUrl };
-
-    } catch (error) {
-      log(`❌ Failed to connect to ${rpcUrl}: ${error.message}`, 'error');
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout') ||
-                               error.message.includes('ECONNREFUSED') ||
-                               error.message.includes('ENOTFOUND');
-
-      if (isConnectionError && switchToNextRpc(CONFIG.network)) {
-        log(`Connection error detected, trying next RPC...`, 'startup');
-        continue;
-      }
-
-      if (totalAttempts < maxTotalAttempts) {
-        const delay = Math.min(1000 * Math.pow(2, Math.floor(totalAttempts / urls.length)), 30000);
-        log(`Retrying in ${delay}ms...`, 'startup');
-        await new Promise(resolve => setTimeout(resolve, delay));
-
-        switchToNextRpc(CONFIG.network);
-      }
-    }
-  }
-
-  throw new Error(`Failed to connect to any Hypersync RPC after ${maxTotalAttempts} attempts across ${urls.length} endpoints`);
-}
-
-async function createStreamWithFallback(client, query, maxRetries = 3) {
-  let attempts = 0;
-
-  while (attempts < maxRetries) {
-    attempts++;
-    try {
-      log(`Creating stream (attempt ${attempts}/${maxRetries})...`, 'startup');
-      const stream = await client.stream(query, {});
-      log(`✅ Stream created successfully`, 'startup');
-      return stream;
-    } catch (error) {
-      log(`❌ Stream creation failed (attempt ${attempts}/${maxRetries}): ${error.message}`, 'error');
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout');
-
-      if (isConnectionError && attempts === maxRetries) {
-        throw new Error(`Stream creation failed after ${maxRetries} attempts: ${error.message}`);
-      }
-
-      if (attempts < maxRetries) {
-        const delay = 1000 * attempts;
-        log(`Retrying stream creation in ${delay}ms...`, 'startup');
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-
-  throw new Error(`Failed to create stream after ${maxRetries} attempts`);
-}
-
-// --- Initialize Supabase Client ---
-const supabase = createClient(CONFIG.supabaseUrl, CONFIG.supabaseServiceKey);
-
-// --- Database Setup SQL ---
-const SETUP_SQL = `
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_swap_events",
+    sql: `
 CREATE SCHEMA IF NOT EXISTS public;
 
 CREATE TABLE IF NOT EXISTS public.swap_events (
@@ -253,6 +88,18 @@ CREATE INDEX IF NOT EXISTS idx_swap_events_sender ON public.swap_events(sender);
 CREATE INDEX IF NOT EXISTS idx_swap_events_recipient ON public.swap_events(recipient);
 CREATE INDEX IF NOT EXISTS idx_swap_events_price ON public.swap_events(price_tap_in_weth);
 
+ALTER TABLE public.swap_events ADD COLUMN IF NOT EXISTS confirmed BOOLEAN NOT NULL DEFAULT true;
+CREATE INDEX IF NOT EXISTS idx_swap_events_block_number ON public.swap_events(block_number);
+
+CREATE TABLE IF NOT EXISTS public.indexer_block_hashes (
+    source TEXT NOT NULL,
+    network TEXT NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL,
+    parent_hash TEXT NOT NULL,
+    PRIMARY KEY (source, network, block_number)
+);
+
 GRANT USAGE ON SCHEMA public TO postgres, anon, authenticated, service_role;
 GRANT SELECT ON TABLE public.swap_events TO anon, authenticated;
 GRANT ALL PRIVILEGES ON TABLE public.swap_events TO postgres, service_role;
@@ -265,6 +112,11 @@ CREATE POLICY "Anon can read swap_events" ON public.swap_events FOR SELECT TO an
 DROP POLICY IF EXISTS "Service roles full access swap_events" ON public.swap_events;
 CREATE POLICY "Service roles full access swap_events" ON public.swap_events FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
 
+GRANT ALL PRIVILEGES ON TABLE public.indexer_block_hashes TO postgres, service_role;
+ALTER TABLE public.indexer_block_hashes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access indexer_block_hashes" ON public.indexer_block_hashes;
+CREATE POLICY "Service roles full access indexer_block_hashes" ON public.indexer_block_hashes FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+
 DO $$
 BEGIN
   IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
@@ -287,485 +139,450 @@ EXCEPTION
     RAISE WARNING 'An error occurred during publication setup: SQLSTATE: %, SQLERRM: %', SQLSTATE, SQLERRM;
 END
 $$;
-`;
+`,
+  },
+  {
+    version: 2,
+    name: "create_indexer_checkpoints",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.indexer_checkpoints (
+    contract_address TEXT NOT NULL,
+    network TEXT NOT NULL,
+    next_block BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (contract_address, network)
+);
 
-async function runDatabaseSetup() {
-  log("Starting database schema setup...", "db_setup");
-  const pool = new Pool({
-    connectionString: CONFIG.supabaseDbConnectionString,
-  });
-  let client;
-
-  try {
-    client = await pool.connect();
-    log("Database connection successful for setup.", "db_setup");
-    await client.query(SETUP_SQL);
-    log("Database schema setup script executed successfully.", "db_setup");
-  } catch (err) {
-    log(`Database setup failed: ${err.message}`, "error");
-    log(`SQL Error Details: ${err.stack}`, "error");
-    log("Exiting due to critical database setup failure.", "error");
-    process.exit(1);
-  } finally {
-    if (client) {
-      client.release();
-      log("Database setup client released.", "db_setup");
-    }
-    await pool.end();
-    log("Database setup pool closed.", "db_setup");
-  }
-}
+GRANT ALL PRIVILEGES ON TABLE public.indexer_checkpoints TO postgres, service_role;
+ALTER TABLE public.indexer_checkpoints ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access indexer_checkpoints" ON public.indexer_checkpoints;
+CREATE POLICY "Service roles full access indexer_checkpoints" ON public.indexer_checkpoints FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+  {
+    version: 3,
+    name: "create_liquidity_and_reserve_tables",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.sync_events (
+    block_number BIGINT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    reserve_weth NUMERIC(78, 0) NOT NULL,
+    reserve_tap NUMERIC(78, 0) NOT NULL,
+    event_timestamp TIMESTAMPTZ NOT NULL,
+    confirmed BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (transaction_hash, log_index)
+);
 
-async function testSupabaseConnection() {
-  try {
-    const { error } = await supabase
-      .from("swap_events")
-      .select("transaction_hash", { count: "exact", head: true })
-      .limit(1);
-
-    if (error) {
-      log(`Supabase client connection/permission test failed: ${error.message}`, "error");
-      log(`Supabase error details: ${JSON.stringify(error)}`, "error");
-      return false;
-    }
-    log("Supabase client connection/permission test successful.", "startup");
-    return true;
-  } catch (e) {
-    log(`Supabase client connection test exception: ${e.message}`, "error");
-    return false;
-  }
-}
+CREATE TABLE IF NOT EXISTS public.mint_events (
+    block_number BIGINT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    sender TEXT NOT NULL,
+    amount_weth NUMERIC(78, 0) NOT NULL,
+    amount_tap NUMERIC(78, 0) NOT NULL,
+    event_timestamp TIMESTAMPTZ NOT NULL,
+    confirmed BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (transaction_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS public.burn_events (
+    block_number BIGINT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    amount_weth NUMERIC(78, 0) NOT NULL,
+    amount_tap NUMERIC(78, 0) NOT NULL,
+    event_timestamp TIMESTAMPTZ NOT NULL,
+    confirmed BOOLEAN NOT NULL DEFAULT true,
+    PRIMARY KEY (transaction_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_events_block_number ON public.sync_events(block_number, log_index);
+CREATE INDEX IF NOT EXISTS idx_sync_events_timestamp ON public.sync_events(event_timestamp);
+CREATE INDEX IF NOT EXISTS idx_mint_events_block_number ON public.mint_events(block_number);
+CREATE INDEX IF NOT EXISTS idx_mint_events_sender ON public.mint_events(sender);
+CREATE INDEX IF NOT EXISTS idx_burn_events_block_number ON public.burn_events(block_number);
+CREATE INDEX IF NOT EXISTS idx_burn_events_sender ON public.burn_events(sender);
+
+-- Pool reserves as of the end of every block with a Sync. The pair emits Sync
+-- after every swap, mint and burn, so this is the pool's full price history.
+CREATE OR REPLACE VIEW public.pool_reserve_history AS
+SELECT DISTINCT ON (block_number)
+    block_number,
+    event_timestamp,
+    reserve_weth,
+    reserve_tap,
+    reserve_weth / NULLIF(reserve_tap, 0) AS price_tap_in_weth,
+    confirmed
+FROM public.sync_events
+ORDER BY block_number, log_index DESC;
+
+GRANT SELECT ON TABLE public.sync_events, public.mint_events, public.burn_events, public.pool_reserve_history TO anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.sync_events, public.mint_events, public.burn_events TO postgres, service_role;
+
+ALTER TABLE public.sync_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mint_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.burn_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon can read sync_events" ON public.sync_events;
+DROP POLICY IF EXISTS "Service roles full access sync_events" ON public.sync_events;
+DROP POLICY IF EXISTS "Anon can read mint_events" ON public.mint_events;
+DROP POLICY IF EXISTS "Service roles full access mint_events" ON public.mint_events;
+DROP POLICY IF EXISTS "Anon can read burn_events" ON public.burn_events;
+DROP POLICY IF EXISTS "Service roles full access burn_events" ON public.burn_events;
+
+CREATE POLICY "Anon can read sync_events" ON public.sync_events FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access sync_events" ON public.sync_events FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+CREATE POLICY "Anon can read mint_events" ON public.mint_events FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access mint_events" ON public.mint_events FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+CREATE POLICY "Anon can read burn_events" ON public.burn_events FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access burn_events" ON public.burn_events FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+  {
+    version: 4,
+    name: "create_swap_candles",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.swap_candles (
+    interval TEXT NOT NULL CHECK (interval IN ('1m', '5m', '1h', '1d')),
+    bucket_start TIMESTAMPTZ NOT NULL,
+    open NUMERIC(38, 18) NOT NULL,
+    high NUMERIC(38, 18) NOT NULL,
+    low NUMERIC(38, 18) NOT NULL,
+    close NUMERIC(38, 18) NOT NULL,
+    volume_tap NUMERIC(78, 0) NOT NULL,
+    volume_weth NUMERIC(78, 0) NOT NULL,
+    trade_count INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (interval, bucket_start)
+);
 
-// --- Event Signatures and Topics ---
-const SWAP_TOPIC = keccak256(toHex("Swap(address,uint256,uint256,uint256,uint256,address)"));
-const topic0_list = [SWAP_TOPIC];
+GRANT SELECT ON TABLE public.swap_candles TO anon, authenticated;
+GRANT ALL PRIVILEGES ON TABLE public.swap_candles TO postgres, service_role;
+ALTER TABLE public.swap_candles ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anon can read swap_candles" ON public.swap_candles;
+DROP POLICY IF EXISTS "Service roles full access swap_candles" ON public.swap_candles;
+CREATE POLICY "Anon can read swap_candles" ON public.swap_candles FOR SELECT TO anon USING (true);
+CREATE POLICY "Service roles full access swap_candles" ON public.swap_candles FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+
+CREATE OR REPLACE FUNCTION public.candle_bucket(p_time TIMESTAMPTZ, p_seconds INTEGER)
+RETURNS TIMESTAMPTZ
+LANGUAGE sql
+IMMUTABLE
+AS $fn$
+  SELECT to_timestamp(floor(extract(epoch FROM p_time) / p_seconds) * p_seconds);
+$fn$;
+
+-- Recomputes every candle whose bucket overlaps [p_from, p_to] from
+-- swap_events. Running it twice, or after a rollback, converges on the same rows.
+CREATE OR REPLACE FUNCTION public.refresh_swap_candles(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS void
+LANGUAGE plpgsql
+AS $fn$
+BEGIN
+  CREATE TEMP TABLE candle_ranges ON COMMIT DROP AS
+  SELECT
+    i.name,
+    i.seconds,
+    public.candle_bucket(p_from, i.seconds) AS range_start,
+    public.candle_bucket(p_to, i.seconds) + make_interval(secs => i.seconds) AS range_end
+  FROM (VALUES ('1m', 60), ('5m', 300), ('1h', 3600), ('1d', 86400)) AS i(name, seconds);
+
+  -- Buckets whose swaps were all rolled back
+  DELETE FROM public.swap_candles c
+  USING candle_ranges r
+  WHERE c.interval = r.name
+    AND c.bucket_start >= r.range_start
+    AND c.bucket_start < r.range_end
+    AND NOT EXISTS (
+      SELECT 1 FROM public.swap_events s
+      WHERE s.event_timestamp >= c.bucket_start
+        AND s.event_timestamp < c.bucket_start + make_interval(secs => r.seconds)
+        AND s.price_tap_in_weth > 0
+    );
+
+  INSERT INTO public.swap_candles (
+    interval, bucket_start, open, high, low, close, volume_tap, volume_weth, trade_count, updated_at
+  )
+  SELECT
+    r.name,
+    public.candle_bucket(s.event_timestamp, r.seconds),
+    (array_agg(s.price_tap_in_weth ORDER BY s.block_number, s.log_index))[1],
+    max(s.price_tap_in_weth),
+    min(s.price_tap_in_weth),
+    (array_agg(s.price_tap_in_weth ORDER BY s.block_number DESC, s.log_index DESC))[1],
+    sum(s.amount_tap_in + s.amount_tap_out),
+    sum(s.amount_weth_in + s.amount_weth_out),
+    count(*),
+    now()
+  FROM candle_ranges r
+  JOIN public.swap_events s
+    ON s.event_timestamp >= r.range_start AND s.event_timestamp < r.range_end
+  WHERE s.price_tap_in_weth > 0
+  GROUP BY r.name, public.candle_bucket(s.event_timestamp, r.seconds)
+  ON CONFLICT (interval, bucket_start) DO UPDATE SET
+    open = EXCLUDED.open,
+    high = EXCLUDED.high,
+    low = EXCLUDED.low,
+    close = EXCLUDED.close,
+    volume_tap = EXCLUDED.volume_tap,
+    volume_weth = EXCLUDED.volume_weth,
+    trade_count = EXCLUDED.trade_count,
+    updated_at = EXCLUDED.updated_at;
+
+  DROP TABLE candle_ranges;
+END;
+$fn$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_swap_candles(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.refresh_swap_candles(TIMESTAMPTZ, TIMESTAMPTZ) TO postgres, service_role;
+
+-- Populate candles once for swaps indexed before the table existed
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.swap_candles) THEN
+    PERFORM public.refresh_swap_candles(min(event_timestamp), max(event_timestamp))
+    FROM public.swap_events
+    HAVING count(*) > 0;
+  END IF;
+END
+$$;
+`,
+  },
+  {
+    version: 5,
+    name: "exact_swap_prices",
+    sql: `
+-- Prices are written as exact decimal strings, so drop the fixed scale.
+-- price_* is the rate the trader actually got, 0.3% fee included, which is
+-- what price_tap_in_weth has always held; pool_price_* is the pool's own rate
+-- without the fee. Rows indexed before this migration keep their values and
+-- have no pool price.
+ALTER TABLE public.swap_events ALTER COLUMN price_tap_in_weth TYPE NUMERIC;
+ALTER TABLE public.swap_events ADD COLUMN IF NOT EXISTS price_weth_in_tap NUMERIC;
+ALTER TABLE public.swap_events ADD COLUMN IF NOT EXISTS pool_price_tap_in_weth NUMERIC;
+ALTER TABLE public.swap_events ADD COLUMN IF NOT EXISTS pool_price_weth_in_tap NUMERIC;
+
+-- Reserve prices are scaled by the configured token decimals, which this SQL
+-- cannot know, so Syncs indexed before this migration are left without one
+ALTER TABLE public.sync_events ADD COLUMN IF NOT EXISTS price_tap_in_weth NUMERIC;
+ALTER TABLE public.sync_events ADD COLUMN IF NOT EXISTS price_weth_in_tap NUMERIC;
+
+CREATE OR REPLACE VIEW public.pool_reserve_history AS
+SELECT DISTINCT ON (block_number)
+    block_number,
+    event_timestamp,
+    reserve_weth,
+    reserve_tap,
+    price_tap_in_weth,
+    confirmed,
+    price_weth_in_tap
+FROM public.sync_events
+ORDER BY block_number, log_index DESC;
+
+ALTER TABLE public.swap_candles ALTER COLUMN open TYPE NUMERIC;
+ALTER TABLE public.swap_candles ALTER COLUMN high TYPE NUMERIC;
+ALTER TABLE public.swap_candles ALTER COLUMN low TYPE NUMERIC;
+ALTER TABLE public.swap_candles ALTER COLUMN close TYPE NUMERIC;
+`,
+  },
+  {
+    version: 6,
+    name: "create_backfill_ranges",
+    sql: `
+CREATE TABLE IF NOT EXISTS public.backfill_ranges (
+    source TEXT NOT NULL,
+    network TEXT NOT NULL,
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (source, network, from_block, to_block)
+);
 
-const POLLING_INTERVAL = 2000;
+GRANT ALL PRIVILEGES ON TABLE public.backfill_ranges TO postgres, service_role;
+ALTER TABLE public.backfill_ranges ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service roles full access backfill_ranges" ON public.backfill_ranges;
+CREATE POLICY "Service roles full access backfill_ranges" ON public.backfill_ranges FOR ALL TO service_role, postgres USING (true) WITH CHECK (true);
+`,
+  },
+];
 
 // --- Metrics and State ---
-let eventCounts = {
-  Swap: 0,
-  SupabaseBatchesSent: 0,
-  SupabaseEventsUpserted: 0,
-  SupabaseErrors: 0,
+let market = INITIAL_MARKET_STATE;
+
+const { formatTap, formatWeth, tapPriceInWeth, processSwap, processSync, processMint, processBurn } = createPairEvents({
+  wethIsToken0: IS_WETH_TOKEN0,
+  wethDecimals: CONFIG.wethDecimals,
+  tapDecimals: CONFIG.tapDecimals,
+});
+
+// --- Event Handlers ---
+// Decoding, pricing and the market state changes live in
+// lib/uniswap-v2-events.js; this applies the result.
+const handlerFor = (processEvent) => (event) => {
+  const { row, state, logs } = processEvent(event, market);
+  for (const { message, level } of logs) log(message, level);
+  market = state;
+  return row;
 };
-let latestPrice = 0;
-let latestSwap = {};
-let currentBlock = CONFIG.startBlock;
-let startTime = performance.now();
-let hypersyncClient = null;
-
-// --- Supabase Batch Upsert Function ---
-async function batchUpsertEventsWithRetry(tableName, batchData) {
-  if (!batchData || batchData.length === 0) {
-    return { success: true, error: null };
-  }
-  let attempts = 0;
-  const batchSize = batchData.length;
-
-  while (attempts < CONFIG.maxRetries) {
-    attempts++;
-    try {
-      const { error } = await supabase.from(tableName).upsert(batchData, {
-        onConflict: "transaction_hash,log_index",
-      });
-      if (error) {
-        throw error;
-      } else {
-        log(`Successfully upserted batch of ${batchSize} events to ${tableName}${attempts > 1 ? ` after ${attempts} attempts` : ""}`, "supabase");
-        eventCounts.SupabaseBatchesSent++;
-        eventCounts.SupabaseEventsUpserted += batchSize;
-        return { success: true, error: null };
-      }
-    } catch (e) {
-      log(`Supabase batch upsert error (Attempt ${attempts}/${CONFIG.maxRetries}, Table: ${tableName}, Size: ${batchSize}): ${e.message || JSON.stringify(e)}`, "error");
-      if (attempts < CONFIG.maxRetries) {
-        const delay = Math.pow(2, attempts - 1) * CONFIG.retryBaseDelay;
-        log(`Retrying batch upsert to ${tableName} in ${delay}ms`, "supabase");
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      } else {
-        eventCounts.SupabaseErrors += batchSize;
-        return { success: false, error: e };
-      }
-    }
-  }
-  log(`Failed to upsert batch to ${tableName} after ${CONFIG.maxRetries} attempts`, "error");
-  return { success: false, error: { message: `Failed after ${CONFIG.maxRetries} attempts` } };
-}
 
-// --- Simplified JSON Status Server ---
-const server = http.createServer(async (req, res) => {
-  // Health check for all RPCs
-  if (req.url === '/health/rpcs') {
-    const rpcStatuses = [];
-    const availableRpcs = NETWORK_URLS[CONFIG.network];
-
-    for (let i = 0; i < availableRpcs.length; i++) {
-      const rpcUrl = availableRpcs[i];
-      try {
-        const testClient = HypersyncClient.new({
-          url: rpcUrl,
-          bearerToken: process.env.HYPERSYNC_BEARER_TOKEN,
-          timeout: 10000,
-        });
-
-        const startTime = Date.now();
-        const height = await testClient.getHeight();
-        const responseTime = Date.now() - startTime;
-
-        rpcStatuses.push({
-          url: rpcUrl,
-          status: 'healthy',
-          height: height,
-          responseTime: responseTime,
-          active: i === currentRpcIndex
-        });
-      } catch (error) {
-        rpcStatuses.push({
-          url: rpcUrl,
-          status: 'unhealthy',
-          error: error.message,
-          active: i === currentRpcIndex
-        });
-      }
-    }
+const handleSwap = handlerFor(processSwap);
+const handleSync = handlerFor(processSync);
+const handleMint = handlerFor(processMint);
+const handleBurn = handlerFor(processBurn);
+
+// --- Notification Rules ---
+// Rule types for the notifications config
+const NOTIFICATION_RULES = {
+  // Swaps that move more than `threshold` WETH in either direction
+  swap_above: (options) => {
+    if (options.threshold === undefined) throw new Error("swap_above rule needs a threshold in WETH");
+    const threshold = parseUnits(String(options.threshold), CONFIG.wethDecimals);
+    return {
+      event: "Swap",
+      match: ({ row }) => {
+        const tapSold = BigInt(row.amount_weth_out) > 0n;
+        const wethAmount = BigInt(tapSold ? row.amount_weth_out : row.amount_weth_in);
+        if (wethAmount <= threshold) return null;
+        const tapAmount = BigInt(tapSold ? row.amount_tap_in : row.amount_tap_out);
+        const price = toDecimalString(tapPriceInWeth(wethAmount, tapAmount), 8) ?? "N/A";
+        return {
+          message: tapSold
+            ? `Swap of ${formatTap(tapAmount)} $TAP for ${formatWeth(wethAmount)} WETH at ${price} WETH/$TAP`
+            : `Swap of ${formatWeth(wethAmount)} WETH for ${formatTap(tapAmount)} $TAP at ${price} WETH/$TAP`,
+          side: tapSold ? "tap_sold" : "tap_bought",
+          wethAmount: wethAmount.toString(),
+          tapAmount: tapAmount.toString(),
+          price,
+        };
+      },
+    };
+  },
+};
 
-    const healthyCount = rpcStatuses.filter(rpc => rpc.status === 'healthy').length;
-    const overallStatus = healthyCount > 0 ? 'healthy' : 'unhealthy';
-
-    res.writeHead(overallStatus === 'healthy' ? 200 : 503, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      overall: overallStatus,
-      network: CONFIG.network,
-      healthyRpcs: healthyCount,
-      totalRpcs: availableRpcs.length,
-      currentRpc: currentRpcUrl,
-      rpcs: rpcStatuses,
-      timestamp: new Date().toISOString()
-    }, null, 2));
-    return;
+// --- Candle Functions ---
+// Recomputes the 1m/5m/1h/1d candles covering the given swap rows. Returns
+// false if the refresh gave up.
+async function refreshCandles(swapRows) {
+  if (!swapRows || swapRows.length === 0) return true;
+  const times = swapRows.map((row) => new Date(row.event_timestamp).getTime());
+  const result = await indexer.rpcWithRetry("refresh_swap_candles", {
+    p_from: new Date(Math.min(...times)).toISOString(),
+    p_to: new Date(Math.max(...times)).toISOString(),
+  });
+  return result.success;
+}
+
+// --- Candles API ---
+const CANDLE_INTERVALS = { "1m": 60, "5m": 300, "1h": 3600, "1d": 86400 };
+const DEFAULT_CANDLE_LIMIT = 500;
+const MAX_CANDLE_LIMIT = 1000;
+
+// Accepts ISO 8601 or unix seconds
+function parseTime(params, name, fallback) {
+  const value = params.get(name);
+  if (value === null) return fallback;
+  const time = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw badRequest(`${name} must be an ISO 8601 timestamp or unix seconds`);
   }
+  return time;
+}
 
-  // Single RPC health check
-  if (req.url === '/health') {
-    try {
-      if (!hypersyncClient || !currentRpcUrl) {
-        throw new Error('No active Hypersync client');
-      }
-      const height = await hypersyncClient.getHeight();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'healthy',
-        hypersync: 'connected',
-        rpc: currentRpcUrl,
-        height: height,
-        network: CONFIG.network
-      }, null, 2));
-    } catch (error) {
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'unhealthy',
-        hypersync: 'disconnected',
-        rpc: currentRpcUrl || 'none',
-        error: error.message,
-        network: CONFIG.network
-      }, null, 2));
-    }
-    return;
+async function getCandles(params, searchParams) {
+  const interval = searchParams.get("interval") || "1h";
+  if (!(interval in CANDLE_INTERVALS)) {
+    throw badRequest(`interval must be one of: ${Object.keys(CANDLE_INTERVALS).join(", ")}`);
+  }
+  const limit = searchParams.has("limit") ? Number(searchParams.get("limit")) : DEFAULT_CANDLE_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CANDLE_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_CANDLE_LIMIT}`);
   }
 
-  // Default status endpoint
-  const totalEvents = eventCounts.Swap;
-  const uptimeSeconds = ((performance.now() - startTime) / 1000);
-  const eventsPerSecond = uptimeSeconds > 0 ? (totalEvents / uptimeSeconds).toFixed(2) : "0.00";
-  const dbOpsPerSecond = uptimeSeconds > 0 ? (eventCounts.SupabaseEventsUpserted / uptimeSeconds).toFixed(2) : "0.00";
-
-  const status = {
-    status: "running",
-    uptimeSeconds: Math.floor(uptimeSeconds),
-    network: CONFIG.network,
-    contractAddress: CONFIG.uniswapV2PairAddress,
-    currentBlock,
-    processingRate: {
-      eventsPerSecond,
-      dbOpsPerSecond,
+  // Without a range, return the latest `limit` buckets
+  const to = parseTime(searchParams, "to", new Date());
+  const from = parseTime(searchParams, "from", new Date(to.getTime() - limit * CANDLE_INTERVALS[interval] * 1000));
+  if (from > to) throw badRequest("from must not be after to");
+
+  const { data, error } = await indexer.storage.select("swap_candles", {
+    columns: ["bucket_start", "open::text", "high::text", "low::text", "close::text", "volume_tap::text", "volume_weth::text", "trade_count"],
+    filters: [
+      ["interval", "eq", interval],
+      ["bucket_start", "gte", from.toISOString()],
+      ["bucket_start", "lte", to.toISOString()],
+    ],
+    order: [["bucket_start", "asc"]],
+    limit,
+  });
+  if (error) throw error;
+
+  return { interval, from: from.toISOString(), to: to.toISOString(), candles: data };
+}
+
+const API_ROUTES = [
+  { pattern: /^\/candles\/?$/, handler: getCandles },
+];
+
+// --- Indexer Definition ---
+const indexer = createIndexer({
+  name: "Uniswap V2 Indexer",
+  config: CONFIG,
+  log,
+  contracts: [{ address: CONFIG.uniswapV2PairAddress, startBlock: CONFIG.startBlock }],
+  events: [
+    {
+      name: "Swap",
+      signature: "Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+      table: "swap_events",
+      handle: handleSwap,
+    },
+    {
+      name: "Sync",
+      signature: "Sync(uint112 reserve0, uint112 reserve1)",
+      table: "sync_events",
+      handle: handleSync,
+    },
+    {
+      name: "Mint",
+      signature: "Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+      table: "mint_events",
+      handle: handleMint,
     },
-    rpcStatus: {
-      currentRpc: currentRpcUrl || "Not connected",
-      availableRpcs: NETWORK_URLS[CONFIG.network],
+    {
+      name: "Burn",
+      signature: "Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+      table: "burn_events",
+      handle: handleBurn,
     },
+  ],
+  fieldSelection: {
+    block: [BlockField.Number, BlockField.Timestamp],
+    transaction: [TransactionField.Hash], // Ensure transaction data is linked
+  },
+  joinMode: JoinMode.JoinAll, // Use the most robust join mode
+  migrationScope: MIGRATION_SCOPE,
+  migrations: MIGRATIONS,
+  // The market state only feeds the status endpoint, which starts empty after
+  // a restart as well; no stored row depends on it
+  restoreState: () => {},
+  afterCommit: (rowsByTable) => refreshCandles(rowsByTable.swap_events),
+  onRollback: async (rowsByTable, forkBlock) => {
+    if (!(await refreshCandles(rowsByTable.swap_events))) {
+      log(`Candles may be stale after rolling back to block ${forkBlock}`, "error");
+    }
+  },
+  routes: API_ROUTES,
+  notificationRules: NOTIFICATION_RULES,
+  status: () => ({
     swapInfo: {
-      latestPrice_TAP_in_WETH: latestPrice,
-      latestSwap,
+      latestPrice_TAP_in_WETH: market.latestPrice,
+      latestSwap: market.latestSwap,
     },
-    eventStatistics: eventCounts,
-  };
-
-  res.writeHead(200, { "Content-Type": "application/json" });
-  res.end(JSON.stringify(status, (key, value) =>
-    typeof value === 'bigint' ? value.toString() : value,
-  2));
+    reserves: market.latestReserves,
+  }),
 });
 
-server.listen(8080, "0.0.0.0", () => {
-  log("Status web server running on port 8080", "startup");
-});
-
-// --- Enhanced Main Function with Comprehensive RPC Fallback ---
-async function main() {
-  const runStartTime = performance.now();
-  let lastTipReachedTime = 0;
-  const chainTipReportInterval = 5 * 60 * 1000;
-  let stream;
-  let consecutiveFailures = 0;
-  const maxConsecutiveFailures = 5;
-
-  // Run Database Setup First
-  await runDatabaseSetup();
-
-  // Test Supabase connection
-  const connectionOk = await testSupabaseConnection();
-  if (!connectionOk) {
-    log("CRITICAL: Supabase client connection test failed after setup. Exiting.", "error");
-    process.exit(1);
-  }
-
-  // Main retry loop with RPC fallback
-  while (true) {
-    try {
-      // Create Hypersync client with RPC fallback
-      const clientResult = await createHypersyncClientWithFallback();
-      hypersyncClient = clientResult.client;
-
-      log(`🚀 Starting Uniswap V2 Indexer using ${clientResult.rpcUrl}`, "startup");
-      log(`Network: ${CONFIG.network}, Pair Contract: ${CONFIG.uniswapV2PairAddress}, Start Block: ${CONFIG.startBlock}`, "startup");
-
-      let height = await hypersyncClient.getHeight();
-      log(`Initial chain height: ${height}`, "startup");
-
-      const decoder = Decoder.fromSignatures([
-        "Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)"
-      ]);
-
-      let query = {
-        fromBlock: currentBlock,
-        logs: [{ address: [CONFIG.uniswapV2PairAddress], topics: [topic0_list] }],
-        fieldSelection: {
-          log: [
-            LogField.BlockNumber,
-            LogField.TransactionHash,
-            LogField.LogIndex,
-            LogField.Data,
-            LogField.Topic0,
-            LogField.Topic1,
-            LogField.Topic2,
-          ],
-          block: [BlockField.Timestamp],
-          transaction: [TransactionField.Hash] // Ensure transaction data is linked
-        },
-        joinMode: JoinMode.JoinAll, // Use the most robust join mode
-      };
-
-      log(`Starting event stream from block ${query.fromBlock}...`, "startup");
-      stream = await createStreamWithFallback(hypersyncClient, query);
-
-      let lastProgressLogBlock = currentBlock;
-      consecutiveFailures = 0;
-
-      // Main event processing loop
-      while (true) {
-        try {
-          const res = await stream.recv();
-
-          if (res === null) {
-            // Reached chain tip logic
-            const now = Date.now();
-            if (now - lastTipReachedTime > chainTipReportInterval) {
-              log(`⏳ Reached chain tip at block ${currentBlock} on ${currentRpcUrl}. Waiting...`, "verbose");
-              lastTipReachedTime = now;
-            }
-            await new Promise((resolve) => setTimeout(resolve, POLLING_INTERVAL));
-
-            try {
-              const newHeight = await hypersyncClient.getHeight();
-              if (newHeight > height) {
-                log(`📈 Chain advanced to ${newHeight}. Re-querying...`, "verbose");
-                await stream.close();
-                height = newHeight;
-                query.fromBlock = currentBlock;
-                stream = await createStreamWithFallback(hypersyncClient, query);
-              }
-            } catch (err) {
-              log(`Error checking height: ${err.message}`, "error");
-              throw err;
-            }
-            continue;
-          }
-
-          consecutiveFailures = 0;
-          let swapBatch = [];
-
-          if (res.data && res.data.logs && res.data.logs.length > 0) {
-            const blockTimestampMap = new Map(
-                res.data.blocks?.map(block => [block.number, block.timestamp]) || []
-            );
-            const decodedLogs = await decoder.decodeLogs(res.data.logs);
-
-            for (let i = 0; i < decodedLogs.length; i++) {
-              const decodedLog = decodedLogs[i];
-              const rawLog = res.data.logs[i];
-              if (decodedLog === null) {
-                log(`Skipping undecodable log idx ${i}, blk ${rawLog.blockNumber}`, "verbose");
-                continue;
-              }
-
-              const blockNumber = rawLog.blockNumber;
-              const transactionHash = rawLog.transactionHash;
-              const logIndex = rawLog.logIndex;
-              if (transactionHash === undefined || logIndex === undefined || blockNumber === undefined) {
-                log(`Missing critical fields in log idx ${i}, blk ${rawLog.blockNumber}. Skipping. Raw: ${JSON.stringify(rawLog)}`, "error");
-                continue;
-              }
-
-              try {
-                eventCounts.Swap++;
-                const sender = decodedLog.indexed[0]?.val?.toString();
-                const recipient = decodedLog.indexed[1]?.val?.toString();
-                const amount0In = BigInt(decodedLog.body[0]?.val);
-                const amount1In = BigInt(decodedLog.body[1]?.val);
-                const amount0Out = BigInt(decodedLog.body[2]?.val);
-                const amount1Out = BigInt(decodedLog.body[3]?.val);
-
-                const blockTimestamp = blockTimestampMap.get(rawLog.blockNumber);
-                if (blockTimestamp === undefined) {
-                    const availableBlocks = Array.from(blockTimestampMap.keys());
-                    log(`Could not find block data for log in block ${rawLog.blockNumber}, tx ${rawLog.transactionHash}. Available blocks in this batch: [${availableBlocks.join(', ')}]`, 'error');
-                    continue;
-                }
-                const eventTimestamp = new Date(Number(blockTimestamp) * 1000);
-
-                const amountWethIn = IS_WETH_TOKEN0 ? amount0In : amount1In;
-                const amountTapIn = IS_WETH_TOKEN0 ? amount1In : amount0In;
-                const amountWethOut = IS_WETH_TOKEN0 ? amount0Out : amount1Out;
-                const amountTapOut = IS_WETH_TOKEN0 ? amount1Out : amount0Out;
-
-                let price = 0;
-                if (amountTapIn > 0n && amountWethOut > 0n) {
-                    price = Number(amountWethOut * 10n**18n / amountTapIn) / 1e18;
-                } else if (amountWethIn > 0n && amountTapOut > 0n) {
-                    price = Number(amountWethIn * 10n**18n / amountTapOut) / 1e18;
-                }
-                latestPrice = price;
-
-                latestSwap = {
-                    tx: formatAddress(rawLog.transactionHash),
-                    type: amountWethIn > 0n ? 'SELL $TAP' : 'BUY $TAP',
-                    tapAmount: formatUnits(amountTapIn > 0n ? amountTapIn : amountTapOut),
-                    wethAmount: formatUnits(amountWethIn > 0n ? amountWethIn : amountWethOut),
-                    price: price.toFixed(8)
-                };
-                log(`SWAP | Blk: ${blockNumber} | ${latestSwap.type} | Price: ${latestSwap.price} WETH/$TAP`, "event");
-
-                swapBatch.push({
-                    block_number: Number(blockNumber),
-                    transaction_hash: String(transactionHash),
-                    log_index: Number(logIndex),
-                    sender,
-                    recipient,
-                    amount_weth_in: amountWethIn.toString(),
-                    amount_tap_in: amountTapIn.toString(),
-                    amount_weth_out: amountWethOut.toString(),
-                    amount_tap_out: amountTapOut.toString(),
-                    price_tap_in_weth: price.toFixed(18),
-                    event_timestamp: eventTimestamp.toISOString(),
-                });
-
-              } catch (processingError) {
-                log(`Error processing log: ${processingError.message}. Tx: ${formatAddress(transactionHash)}, Log: ${logIndex}. Skipping. Stack: ${processingError.stack}`, "error");
-              }
-            }
-
-            // Send Batches
-            if (swapBatch.length > 0) {
-              await batchUpsertEventsWithRetry("swap_events", swapBatch);
-            }
-          }
-
-          // Update block position
-          if (res.nextBlock) {
-            currentBlock = res.nextBlock;
-            query.fromBlock = currentBlock;
-
-            if (currentBlock - lastProgressLogBlock >= 10000) {
-              const seconds = (performance.now() - runStartTime) / 1000;
-              const totalEvents = eventCounts.Swap;
-              log(`📊 Progress: Block ${currentBlock} | ${totalEvents} events | ${eventCounts.SupabaseEventsUpserted} DB upserts | ${eventCounts.SupabaseErrors} DB errors | ${seconds.toFixed(1)}s | RPC: ${currentRpcUrl}`, "normal");
-              lastProgressLogBlock = currentBlock;
-            }
-          } else if (res.data && res.data.logs && res.data.logs.length > 0) {
-            const lastLogBlock = res.data.logs[res.data.logs.length - 1]?.blockNumber;
-            if (lastLogBlock && lastLogBlock >= currentBlock) {
-              currentBlock = lastLogBlock + 1;
-              query.fromBlock = currentBlock;
-              log(`Advanced currentBlock to ${currentBlock} based on last log at tip`, "verbose");
-            }
-          }
-
-        } catch (streamError) {
-          consecutiveFailures++;
-          log(`Stream error (${consecutiveFailures}/${maxConsecutiveFailures}): ${streamError.message}`, "error");
-
-          if (consecutiveFailures >= maxConsecutiveFailures) {
-            log(`Too many consecutive stream failures, breaking to retry with different RPC`, "error");
-            throw streamError;
-          }
-
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-
-    } catch (error) {
-      consecutiveFailures++;
-      log(`💥 Main loop error (${consecutiveFailures}): ${error.message}`, "error");
-
-      const isConnectionError = error.message.includes('503') ||
-                               error.message.includes('Service Unavailable') ||
-                               error.message.includes('timeout') ||
-                               error.message.includes('ECONNREFUSED') ||
-                               error.message.includes('fetch');
-
-      let retryDelay;
-
-      if (isConnectionError) {
-        log(`🔄 Connection error detected, will try different RPC endpoint`, "error");
-        retryDelay = 5000;
-        switchToNextRpc(CONFIG.network);
-      } else {
-        log(`⚠️ Non-connection error, using exponential backoff`, "error");
-        retryDelay = Math.min(1000 * Math.pow(2, consecutiveFailures), 60000);
-      }
-
-      // Clean up existing connections
-      if (stream) {
-        try {
-          await stream.close();
-        } catch (closeError) {
-          log(`Error closing stream: ${closeError.message}`, "error");
-        }
-        stream = null;
-      }
-
-      hypersyncClient = null;
-
-      log(`⏱️ Retrying main loop in ${retryDelay}ms...`, "startup");
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-  }
-}
-
 // --- Start the application ---
-main().catch((error) => {
-  log(`Unhandled error in main execution: ${error.message}`, "error");
-  log(`Stack Trace: ${error.stack}`, "error");
-  process.exit(1);
-});
\ No newline at end of file
+runCli(indexer, {}, COMMAND_ARGS);